@@ -0,0 +1,94 @@
+/* suika-achievements.js — achievement registry + per-game tracker
+   - REGISTRY lists every achievement as data: a goal and how to measure progress from the run so far
+   - createTracker() follows one SuikaGame's events and reports unlocks / progress; it does no storage itself,
+     the caller keeps the `saved` record ({ [id]: { best, unlockedAt } }) wherever it likes
+   - Text may use {almost}, {final} and {FINAL}: the caller swaps in the theme's fruit names
+   - Works as a plain <script> (window.SuikaAchievements) or under Node
+*/
+
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SuikaAchievements = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  const TICKS_PER_SECOND = 60;
+
+  // value(ctx) -> progress towards goal in the current run
+  // every: 'run' celebrates each run the goal is met, otherwise only the first unlock is announced
+  // allowed(ctx): false skips the achievement for this run (e.g. rules that make it trivial)
+  const REGISTRY = Object.freeze([
+    { id: 'almost', title: 'Almost there!', desc: 'Reach the {almost}', goal: 1, every: 'run',
+      value: c => c.highestLevel >= c.maxLevel - 1 ? 1 : 0 },
+    { id: 'final', title: '{FINAL}!', desc: 'Make the {final}', goal: 1, every: 'run',
+      value: c => c.terminalMerges },
+    { id: 'chain5', title: 'Chain Reaction', desc: 'Make a chain of 5 merges', goal: 5,
+      value: c => c.longestChain },
+    { id: 'pure1000', title: 'No Shortcuts', desc: 'Score 1000 without using Clear Small', goal: 1000,
+      value: c => c.clearUsed ? 0 : c.score },
+    { id: 'doubleFinal', title: 'Double Trouble', desc: 'Make the {final} twice in one game', goal: 2,
+      value: c => c.terminalMerges },
+    { id: 'salad', title: 'Fruit Salad', desc: 'Merge 100 times in one game', goal: 100,
+      value: c => c.merges },
+    { id: 'highRoller', title: 'High Roller', desc: 'Score 5000 in one game', goal: 5000,
+      value: c => c.score },
+    { id: 'marathon', title: 'Marathon', desc: 'Survive 10 minutes', goal: 10 * 60 * TICKS_PER_SECOND, format: 'time',
+      value: c => c.tick, allowed: c => c.rules.overflowEnds }
+  ].map(a => Object.freeze(a)));
+
+  // follows `game` from its current state; resumed games pick up where their stats left off
+  function createTracker(game, saved, hooks = {}){
+    const st = game.getState();
+    const ctx = {
+      score: st.score, tick: st.tick, clearUsed: st.clear.used,
+      longestChain: st.stats.longestChain, highestLevel: st.stats.highestLevel,
+      terminalMerges: st.bodies.filter(b => b.level === game.maxLevel).length,
+      merges: 0, maxLevel: game.maxLevel, rules: game.rules
+    };
+    const metThisRun = new Set();
+
+    function evaluate(announce){
+      let changed = false;
+      for(const a of REGISTRY){
+        if(a.allowed && !a.allowed(ctx)) continue;
+        const v = Math.min(a.goal, Math.max(0, a.value(ctx)));
+        const rec = saved[a.id] || (saved[a.id] = { best: 0, unlockedAt: null });
+        if(v > rec.best){ rec.best = v; changed = true; }
+        if(v < a.goal || metThisRun.has(a.id)) continue;
+        metThisRun.add(a.id);
+        const isNew = !rec.unlockedAt;
+        if(isNew){ rec.unlockedAt = Date.now(); changed = true; }
+        if(announce && (isNew || a.every === 'run') && hooks.onUnlock) hooks.onUnlock(a, { isNew, tick: ctx.tick });
+      }
+      if(changed && hooks.onChange) hooks.onChange(saved);
+    }
+
+    // goals already met before a resume count as met for this run, without a second announcement
+    evaluate(false);
+
+    const offs = [
+      game.on('merge', e => {
+        ctx.merges++;
+        ctx.score = e.score; ctx.tick = e.tick;
+        ctx.longestChain = Math.max(ctx.longestChain, e.chain);
+        ctx.highestLevel = Math.max(ctx.highestLevel, e.level);
+        if(e.level === ctx.maxLevel) ctx.terminalMerges++;
+        evaluate(true);
+      }),
+      game.on('clear', e => { ctx.clearUsed = true; ctx.tick = e.tick; evaluate(true); }),
+      // time-based goals only need checking once a second
+      game.on('tick', e => { ctx.tick = e.tick; if(e.tick % TICKS_PER_SECOND === 0) evaluate(true); }),
+      game.on('gameover', e => { ctx.tick = e.tick; ctx.score = e.score; evaluate(true); })
+    ];
+
+    return { ctx, stop(){ for(const off of offs) off(); } };
+  }
+
+  // registry + saved record -> rows for a trophy room
+  function describe(saved){
+    return REGISTRY.map(a => {
+      const rec = saved[a.id] || { best: 0, unlockedAt: null };
+      return { achievement: a, unlocked: !!rec.unlockedAt, unlockedAt: rec.unlockedAt, best: rec.best, fraction: Math.min(1, rec.best / a.goal) };
+    });
+  }
+
+  return { REGISTRY, createTracker, describe };
+});
@@ -0,0 +1,235 @@
+/* suika-audio.js — procedural sound effects + generative music on WebAudio
+   - Every sound is synthesized on the fly (oscillators, filtered noise); there are no audio files
+   - Mixer: master, SFX and music gains plus mute; the caller keeps the settings object wherever it likes
+   - Browsers only allow audio after a user gesture: the context is created on the first pointer / key / touch
+     and sounds asked for before that are dropped, not queued
+   - Music is a small pentatonic loop scheduled slightly ahead of time; setIntensity(0..1) speeds it up
+   - Works as a plain <script> (window.SuikaAudio); without WebAudio (e.g. Node) everything is a no-op
+*/
+
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(root);
+  else root.SuikaAudio = factory(root);
+})(typeof self !== 'undefined' ? self : this, function(root){
+  const DEFAULT_SETTINGS = Object.freeze({ master: 0.8, sfx: 0.8, music: 0.4, muted: false, musicOn: true });
+  const GESTURES = ['pointerdown', 'keydown', 'touchend'];
+
+  // music
+  const SCALE = [0, 2, 4, 7, 9];      // major pentatonic, semitones above the root
+  const ROOT_HZ = 220;                // A3
+  const BASE_BPM = 84, MAX_BPM = 150; // intensity 0 -> 1
+  const LOOKAHEAD_S = 0.12;           // notes are scheduled this far ahead
+  const SCHEDULE_MS = 30;
+
+  function noteHz(step){
+    const octave = Math.floor(step / SCALE.length);
+    const degree = ((step % SCALE.length) + SCALE.length) % SCALE.length;
+    return ROOT_HZ * Math.pow(2, octave + SCALE[degree] / 12);
+  }
+
+  function normalizeSettings(saved){
+    const s = Object.assign({}, DEFAULT_SETTINGS);
+    if(saved && typeof saved === 'object'){
+      for(const key of ['master', 'sfx', 'music']){
+        const v = Number(saved[key]);
+        if(Number.isFinite(v)) s[key] = Math.max(0, Math.min(1, v));
+      }
+      if(typeof saved.muted === 'boolean') s.muted = saved.muted;
+      if(typeof saved.musicOn === 'boolean') s.musicOn = saved.musicOn;
+    }
+    return s;
+  }
+
+  function createEngine(saved){
+    const settings = normalizeSettings(saved);
+    const AudioCtx = root.AudioContext || root.webkitAudioContext;
+    let ctx = null, master = null, sfxBus = null, musicBus = null, noiseBuffer = null;
+    let musicWanted = false, musicTimer = null, nextBeatTime = 0, beat = 0, intensity = 0;
+
+    // -------------------------
+    // Context & mixer
+    // -------------------------
+    function unlock(){
+      if(!AudioCtx) return;
+      if(!ctx){
+        try{ ctx = new AudioCtx(); }catch(e){ return; }
+        master = ctx.createGain(); sfxBus = ctx.createGain(); musicBus = ctx.createGain();
+        sfxBus.connect(master); musicBus.connect(master); master.connect(ctx.destination);
+        applyMix();
+      }
+      if(ctx.state === 'suspended') ctx.resume().catch(()=>{});
+      if(musicWanted) startScheduler();
+    }
+
+    // one listener set for the page's lifetime: browsers may suspend the context again (e.g. in a background tab)
+    function attachUnlock(target){
+      for(const type of GESTURES) target.addEventListener(type, unlock, { capture: true, passive: true });
+    }
+
+    function ready(){ return !!ctx && ctx.state === 'running'; }
+
+    function applyMix(){
+      if(!ctx) return;
+      const t = ctx.currentTime;
+      master.gain.setTargetAtTime(settings.muted ? 0 : settings.master, t, 0.02);
+      sfxBus.gain.setTargetAtTime(settings.sfx, t, 0.02);
+      musicBus.gain.setTargetAtTime(settings.musicOn ? settings.music : 0, t, 0.05);
+    }
+
+    function set(changes){
+      Object.assign(settings, normalizeSettings(Object.assign({}, settings, changes)));
+      applyMix();
+      if(musicWanted && settings.musicOn) startScheduler();
+      return Object.assign({}, settings);
+    }
+
+    // -------------------------
+    // Building blocks
+    // -------------------------
+    // one oscillator with an attack / exponential decay envelope; freq may be [from, to] for a sweep
+    function tone(bus, { type = 'sine', freq, at = 0, dur = 0.15, gain = 0.1, attack = 0.005 }){
+      const t0 = ctx.currentTime + at;
+      const o = ctx.createOscillator(), g = ctx.createGain();
+      o.type = type;
+      const [f0, f1] = Array.isArray(freq) ? freq : [freq, freq];
+      o.frequency.setValueAtTime(f0, t0);
+      if(f1 !== f0) o.frequency.exponentialRampToValueAtTime(f1, t0 + dur);
+      g.gain.setValueAtTime(0.0001, t0);
+      g.gain.exponentialRampToValueAtTime(gain, t0 + attack);
+      g.gain.exponentialRampToValueAtTime(0.0001, t0 + dur);
+      o.connect(g); g.connect(bus);
+      o.start(t0); o.stop(t0 + dur + 0.02);
+    }
+
+    // band-passed white noise; filter [from, to] sweeps the centre frequency
+    function noise(bus, { at = 0, dur = 0.2, gain = 0.1, filter = [800, 800], q = 1 }){
+      if(!noiseBuffer){
+        noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+        const data = noiseBuffer.getChannelData(0);
+        for(let i=0;i<data.length;i++) data[i] = Math.random() * 2 - 1;
+      }
+      const t0 = ctx.currentTime + at;
+      const src = ctx.createBufferSource(), bp = ctx.createBiquadFilter(), g = ctx.createGain();
+      src.buffer = noiseBuffer;
+      bp.type = 'bandpass'; bp.Q.value = q;
+      bp.frequency.setValueAtTime(filter[0], t0);
+      bp.frequency.exponentialRampToValueAtTime(filter[1], t0 + dur);
+      g.gain.setValueAtTime(gain, t0);
+      g.gain.exponentialRampToValueAtTime(0.0001, t0 + dur);
+      src.connect(bp); bp.connect(g); g.connect(bus);
+      src.start(t0); src.stop(t0 + dur + 0.02);
+    }
+
+    // -------------------------
+    // Sound effects
+    // -------------------------
+    const SOUNDS = {
+      // soft thud, a touch lower for bigger fruit
+      drop: ({ level = 1 }) => {
+        tone(sfxBus, { type: 'triangle', freq: [260 - level * 12, 90], dur: 0.16, gain: 0.12 });
+        noise(sfxBus, { dur: 0.05, gain: 0.05, filter: [1800, 600] });
+      },
+      // pitch climbs the scale with the new fruit's level
+      merge: ({ level = 1 }) => {
+        const hz = noteHz(level + 4);
+        tone(sfxBus, { freq: [hz * 0.94, hz], dur: 0.18, gain: 0.1 });
+        tone(sfxBus, { type: 'triangle', freq: hz * 2, dur: 0.1, gain: 0.03 });
+      },
+      // tiers: 2-3, 4-5, 6+ merges; each tier adds a note to the rising arpeggio
+      chain: ({ count = 2 }) => {
+        const tier = count >= 6 ? 3 : count >= 4 ? 2 : 1;
+        for(let i=0;i<=tier;i++) tone(sfxBus, { type: 'square', freq: noteHz(8 + i * 2), at: i * 0.07, dur: 0.12, gain: 0.035 });
+      },
+      clear: () => {
+        noise(sfxBus, { dur: 0.45, gain: 0.12, filter: [300, 4000], q: 2 });
+        tone(sfxBus, { freq: [300, 900], dur: 0.35, gain: 0.05 });
+      },
+      // low rumble with a wobble on top
+      shake: () => {
+        noise(sfxBus, { dur: 0.5, gain: 0.1, filter: [160, 90], q: 1.5 });
+        tone(sfxBus, { type: 'triangle', freq: [140, 70], dur: 0.4, gain: 0.06 });
+      },
+      upgrade: ({ level = 1 }) => {
+        [0, 2, 4].forEach((i, n) => tone(sfxBus, { freq: noteHz(level + 4 + i), at: n * 0.06, dur: 0.16, gain: 0.07 }));
+      },
+      pop: () => {
+        tone(sfxBus, { type: 'square', freq: [900, 1600], dur: 0.06, gain: 0.05 });
+        noise(sfxBus, { dur: 0.08, gain: 0.08, filter: [3000, 1200], q: 1.2 });
+      },
+      // slow rising hum while the pull starts
+      magnet: () => tone(sfxBus, { type: 'sawtooth', freq: [90, 180], dur: 0.7, gain: 0.035, attack: 0.15 }),
+      warning: () => {
+        tone(sfxBus, { type: 'triangle', freq: [330, 260], dur: 0.2, gain: 0.08 });
+        tone(sfxBus, { type: 'triangle', freq: [330, 260], at: 0.24, dur: 0.2, gain: 0.06 });
+      },
+      // one beat of the overflow countdown
+      countdown: () => tone(sfxBus, { type: 'square', freq: [660, 520], dur: 0.18, gain: 0.05 }),
+      gameover: () => {
+        [7, 5, 3, 0].forEach((step, i) => tone(sfxBus, { type: 'triangle', freq: noteHz(step) * 0.5, at: i * 0.16, dur: 0.3, gain: 0.09 }));
+      },
+      supernova: () => {
+        tone(sfxBus, { type: 'sawtooth', freq: [110, 1760], dur: 0.9, gain: 0.06, attack: 0.05 });
+        noise(sfxBus, { dur: 1.2, gain: 0.08, filter: [200, 6000], q: 0.7 });
+      }
+    };
+
+    function play(name, opts = {}){
+      if(!ready() || !SOUNDS[name]) return;
+      try{ SOUNDS[name](opts); }catch(e){}
+    }
+
+    // -------------------------
+    // Music
+    // -------------------------
+    // bass on beats 0 and 4 of every 8, a wandering melody on the rest; tempo follows intensity
+    function scheduleBeat(t){
+      const b = beat % 8;
+      const pad = { at: t - ctx.currentTime };
+      if(b === 0 || b === 4){
+        tone(musicBus, Object.assign({ type: 'triangle', freq: noteHz(b === 0 ? -5 : -3), dur: 0.5, gain: 0.09 }, pad));
+      }
+      if(Math.random() < 0.55 + intensity * 0.35){
+        const step = 5 + Math.floor(Math.random() * 6);
+        tone(musicBus, Object.assign({ freq: noteHz(step), dur: 0.22, gain: 0.035 + intensity * 0.02 }, pad));
+      }
+      if(intensity > 0.5 && b % 2 === 1) noise(musicBus, Object.assign({ dur: 0.04, gain: 0.03, filter: [6000, 6000] }, pad));
+      beat++;
+    }
+
+    function runScheduler(){
+      if(!ready()) return;
+      const secondsPerBeat = 60 / (BASE_BPM + (MAX_BPM - BASE_BPM) * intensity) / 2;
+      if(nextBeatTime < ctx.currentTime) nextBeatTime = ctx.currentTime + 0.05;
+      while(nextBeatTime < ctx.currentTime + LOOKAHEAD_S){
+        scheduleBeat(nextBeatTime);
+        nextBeatTime += secondsPerBeat;
+      }
+    }
+
+    function startScheduler(){
+      if(musicTimer || !ctx || !settings.musicOn) return;
+      nextBeatTime = 0;
+      musicTimer = setInterval(runScheduler, SCHEDULE_MS);
+    }
+
+    function stopScheduler(){ if(musicTimer){ clearInterval(musicTimer); musicTimer = null; } }
+
+    // idempotent, so the caller can simply say every frame whether music should be playing
+    function setMusicPlaying(on){
+      if(on === musicWanted) return;
+      musicWanted = on;
+      if(on) startScheduler(); else stopScheduler();
+    }
+
+    function setIntensity(v){ intensity = Math.max(0, Math.min(1, Number(v) || 0)); }
+
+    return {
+      SOUND_NAMES: Object.keys(SOUNDS),
+      attachUnlock, unlock, play, set, setMusicPlaying, setIntensity,
+      get settings(){ return Object.assign({}, settings); },
+      get unlocked(){ return !!ctx; }
+    };
+  }
+
+  return { DEFAULT_SETTINGS, normalizeSettings, createEngine };
+});
@@ -0,0 +1,1283 @@
+/* suika-core.js — headless game rules
+   - Owns the Matter engine, fruit bodies, merges, scoring, Clear Small charge and end conditions
+   - Board-relative units: the bowl interior is BOARD_SIZE x BOARD_SIZE with the origin at its top-left
+   - Only advances when step() is called, one fixed tick at a time
+   - No p5, no DOM: the renderer and the UI subscribe to its events
+   - Every run records seed + inputs; createReplayPlayer() plays a recording back tick-for-tick
+   - serialize() / restoreGame() save and resume a whole board through a versioned snapshot; restoring replays the
+     snapshot's inputs from its seed so the run carries on exactly, and only falls back to loading the bodies
+     (marking the run resumedAt, its replay no longer reproduces it) when that doesn't get back to the saved board
+   - Fruit sizes and points come from the theme's levels (radius factor + points per level)
+   - Overflow is graduated: a settled fruit in the danger band raises a warning, and only a fruit that stays over
+     the top line for rules.overflowTicks ends the run
+   - Tuning (spawn weights + randomizer, preview length, merge reach, gravity, Clear Small, danger / end conditions, hold slot,
+     undo charges) is one validated rules object;
+     RULE_PRESETS holds the named sets; ranked presets never allow undo
+   - Powers (Clear Small, Shake, Upgrade, Pop, Magnet) share one charge meter that merge points fill; each has a
+     cost in charges and its own cooldown, and the rules say which ones are on
+   - Modes (Endless, Time Attack, Limited Drops, Target) add their own end condition; the mode and its setting are
+     rules too, so replays and saves carry them, but they are not part of which preset a rule set is
+   - Versus: a big merge or a long chain emits 'attack' with a count of garbage fruit for the other board;
+     addGarbage() queues that many small fruit to fall at random spots and is recorded like any other input
+   - Every recorded input is also emitted as 'input' ([tick, action, x?], the replay entry), and applyInput() applies
+     one to a board; stateHash() fingerprints a board so two copies of the same run can be compared (online versus)
+   - undo() puts the board back as it was just before the last drop (time keeps running: the restored board's
+     timers are shifted to the current tick); charges refill with points like Clear Small
+   - Works as a plain <script> (window.SuikaGame) or under Node (require('./suika-core.js') + matter-js)
+*/
+
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('matter-js'));
+  else root.SuikaGame = factory(root.Matter);
+})(typeof self !== 'undefined' ? self : this, function(Matter){
+  const { Engine, World, Bodies, Body, Events, Composite, Vector } = Matter;
+
+  // -------------------------
+  // CONFIG
+  // -------------------------
+  const BOARD_SIZE = 700;     // bowl interior width == height, in board units
+  const STEP_MS = 1000 / 60;  // one simulation tick
+
+  // Fruit sizing (fraction of board width)
+  const RADIUS_BASE_FRAC = 0.02; // level1 radius = 2% of the board; a level's radius factor multiplies this
+  const MAX_RADIUS_FRAC = 0.33;  // clamp so fruit never bigger than this fraction of the board
+
+  // Levels when no theme supplies its own: x1.43 radius per level and a Suika-ish points table (tight).
+  // points = awarded for merging INTO that level; the last level is terminal
+  const DEFAULT_LEVELS = [1, 3, 6, 10, 15, 21, 28, 36, 45].map((points, i) => ({ radius: Math.pow(1.43, i), points }));
+  const MIN_LEVELS = 3, MAX_LEVELS = 16;
+
+  // Board geometry (board units)
+  const TOP_LINE_Y = 8;    // game-over line
+  const WALL_PAD = 12;     // fruits are kept this far from the side walls
+  const SPAWN_PAD = 18;    // drop x is clamped this far from the side walls
+  const FALL_OUT_Y = BOARD_SIZE + 900;
+
+  // Merge timing (simulation ticks)
+  const MERGE_DELAY_MIN_TICKS = 3;    // ~50ms
+  const MERGE_DELAY_SPREAD_TICKS = 6; // + up to ~100ms random squish
+  const CHAIN_WINDOW_TICKS = 54;
+
+  // Bag randomizer: every spawnable level is dealt at least once per bag of this many fruits
+  const BAG_SIZE = 12;
+
+  // Powers: the meter unlocks at rules.clearUnlockScore and gains a charge every rules.clearRechargePoints,
+  // up to rules.powerMaxCharges. cost = charges spent, cooldownTicks = wait before the same power again,
+  // action = replay letter (target powers record the fruit id as x)
+  const POWERS = Object.freeze({
+    clear: Object.freeze({ name: 'Clear Small', rule: 'powerClear', cost: 1, cooldownTicks: 0, action: 'c' }),
+    shake: Object.freeze({ name: 'Shake', rule: 'powerShake', cost: 1, cooldownTicks: 300, action: 's' }),
+    upgrade: Object.freeze({ name: 'Upgrade', rule: 'powerUpgrade', cost: 2, cooldownTicks: 600, action: 'g', target: true }),
+    pop: Object.freeze({ name: 'Pop', rule: 'powerPop', cost: 1, cooldownTicks: 240, action: 'o', target: true }),
+    magnet: Object.freeze({ name: 'Magnet', rule: 'powerMagnet', cost: 1, cooldownTicks: 600, action: 'm' })
+  });
+  // Modes: how a run ends besides overflow and the Supernova; rule = the rule holding the mode's setting,
+  // ranks = what its leaderboard compares ('time': fastest to the end reason, only runs that got there)
+  const MODES = Object.freeze({
+    endless: Object.freeze({ name: 'Endless', rule: null, ranks: 'score' }),
+    timeAttack: Object.freeze({ name: 'Time Attack', rule: 'modeTicks', ranks: 'score', end: 'time' }),
+    drops: Object.freeze({ name: 'Limited Drops', rule: 'modeDrops', ranks: 'score', end: 'drops' }),
+    target: Object.freeze({ name: 'Target', rule: 'modeTargetLevel', ranks: 'time', end: 'target' })
+  });
+  const MODE_RULES = ['mode', 'modeTicks', 'modeDrops', 'modeTargetLevel'];
+  const DROPS_SETTLE_TICKS = 120; // Limited Drops: the run ends once the bowl has been still this long after the last drop
+
+  // Versus garbage: a merge into GARBAGE_MIN_LEVEL or above sends (level - GARBAGE_MIN_LEVEL + 1) fruit, and a merge
+  // from the third of a chain on one more; received garbage starts falling GARBAGE_WARN_TICKS later (time to see
+  // it coming), then one fruit every GARBAGE_INTERVAL_TICKS
+  const GARBAGE_MIN_LEVEL = 5;
+  const GARBAGE_MAX_FRUIT_LEVEL = 2; // garbage is level 1 or 2
+  const GARBAGE_WARN_TICKS = 60;
+  const GARBAGE_INTERVAL_TICKS = 10;
+
+  const SHAKE_KICK = 6;         // upward kick (units per tick) given to every fruit
+  const MAGNET_TICKS = 180;     // how long the magnet pulls
+  const MAGNET_FORCE = 0.0006;  // per unit of mass, towards the nearest fruit of the same level
+
+  // -------------------------
+  // RULES
+  // -------------------------
+  // Everything a player may tune. Timings are in ticks, sizes relative to the theme's radii.
+  const DEFAULT_RULES = Object.freeze({
+    spawnWeights: Object.freeze([0.44, 0.30, 0.18, 0.08]), // relative odds for spawn levels 1..n (n = spawn max level)
+    randomizer: 'weighted',   // 'weighted': independent draws; 'bag': shuffled bags that keep the odds but cap droughts
+    previewCount: 1,          // upcoming fruits shown ahead of the drop (the queue length)
+    fruitScale: 1,            // multiplies every fruit radius; > 1 is a smaller bowl
+    mergeMinDist: 1.2,        // sum of radii * this -> nearly exact contact for merge checks
+    chainMultiplierPer: 0.13, // bonus per extra merge in a chain
+    chainMultiplierCap: 0.6,  // ... capped at this
+    clearUnlockScore: 500,    // the power meter unlocks here with one charge...
+    clearRechargePoints: 300, // ... and gains another every this many points
+    clearMaxLevel: 2,         // Clear Small removes this level and below
+    spawnGraceTicks: 54,      // a fresh fruit may poke over the top line for this long
+    gravityIdle: 1.06,        // empty bowl
+    gravityBase: 1.35,        // ... then base + perLevel * (highest level - 1), up to cap
+    gravityPerLevel: 0.08,
+    gravityCap: 2.0,
+    supernovaCount: 5,        // this many terminal fruits on the board ends the run
+    dangerBand: 60,           // a settled fruit reaching this far below the top line is in danger...
+    dangerWarnTicks: 30,      // ... and raises a warning once it has stayed there this long
+    overflowTicks: 120,       // a fruit must stay over the top line this long to end the run (0 = at once)
+    overflowEnds: true,       // false: crossing the top line never ends the run
+    holdSlot: false,          // hold() may stash / swap the upcoming fruit, once per drop
+    undoCharges: 0,           // undo() uses a charge to take back the last drop (0 = no undo)
+    undoRechargePoints: 400,  // points that earn a used charge back
+    powerClear: true,         // which powers are on (see POWERS)
+    powerShake: false,
+    powerUpgrade: false,
+    powerPop: false,
+    powerMagnet: false,
+    powerMaxCharges: 1,       // charges the power meter can bank
+    mode: 'endless',          // see MODES
+    modeTicks: 7200,          // Time Attack: length of the run
+    modeDrops: 50,            // Limited Drops: drops in the run
+    modeTargetLevel: 7        // Target: the fruit level to reach
+  });
+  const BOOLEAN_RULES = ['overflowEnds', 'holdSlot', 'powerClear', 'powerShake', 'powerUpgrade', 'powerPop', 'powerMagnet'];
+  const RULE_CHOICES = Object.freeze({ randomizer: Object.freeze(['weighted', 'bag']), mode: Object.freeze(Object.keys(MODES)) });
+
+  // [min, max, whole number?] for every numeric rule
+  const RULE_LIMITS = Object.freeze({
+    previewCount: [1, 5, true],
+    fruitScale: [0.5, 2, false],
+    mergeMinDist: [1, 1.6, false],
+    chainMultiplierPer: [0, 1, false],
+    chainMultiplierCap: [0, 5, false],
+    clearUnlockScore: [0, 100000, true],
+    clearRechargePoints: [1, 100000, true],
+    clearMaxLevel: [1, 8, true],
+    spawnGraceTicks: [0, 600, true],
+    gravityIdle: [0.1, 5, false],
+    gravityBase: [0.1, 5, false],
+    gravityPerLevel: [0, 1, false],
+    gravityCap: [0.1, 5, false],
+    supernovaCount: [1, 50, true],
+    dangerBand: [0, 300, false],
+    dangerWarnTicks: [0, 600, true],
+    overflowTicks: [0, 600, true],
+    undoCharges: [0, 9, true],
+    undoRechargePoints: [1, 100000, true],
+    powerMaxCharges: [1, 5, true],
+    modeTicks: [600, 72000, true],
+    modeDrops: [1, 1000, true],
+    modeTargetLevel: [2, 16, true]
+  });
+  const MAX_SPAWN_WEIGHTS = 8;
+
+  // ranked: scores compare fairly between players, so undo stays off (any set with undo on is Zen or Custom)
+  const RULE_PRESETS = Object.freeze([
+    { id: 'classic', name: 'Classic', ranked: true, rules: {} },
+    { id: 'zen', name: 'Zen', ranked: false, rules: {
+      overflowEnds: false, gravityBase: 1.1, gravityPerLevel: 0.04, gravityCap: 1.4,
+      clearUnlockScore: 0, clearRechargePoints: 150, chainMultiplierPer: 0.2, chainMultiplierCap: 1, holdSlot: true,
+      undoCharges: 3, undoRechargePoints: 300,
+      powerShake: true, powerUpgrade: true, powerPop: true, powerMagnet: true, powerMaxCharges: 3
+    } },
+    { id: 'hardcore', name: 'Hardcore', ranked: true, rules: {
+      spawnWeights: [0.30, 0.30, 0.24, 0.16], mergeMinDist: 1.05, gravityBase: 1.6, gravityPerLevel: 0.1, gravityCap: 2.6,
+      clearUnlockScore: 1500, clearRechargePoints: 800, clearMaxLevel: 1, spawnGraceTicks: 30, supernovaCount: 3,
+      overflowTicks: 60
+    } },
+    { id: 'tiny', name: 'Tiny Bowl', ranked: true, rules: { fruitScale: 1.35, supernovaCount: 3 } }
+  ].map(p => Object.freeze(p)));
+
+  // Replays: { v, seed, theme, lv, rules, end, score, a: [[tick, action, x?], ...] }
+  // v1 recordings predate the overflow countdown, so they play back with overflowTicks 0
+  const REPLAY_VERSION = 2;
+  const REPLAY_ACTIONS = { d: 'drop', h: 'hold', u: 'undo', j: 'garbage' };
+  const POWER_BY_ACTION = {};
+  for(const id of Object.keys(POWERS)){ REPLAY_ACTIONS[POWERS[id].action] = id; POWER_BY_ACTION[POWERS[id].action] = id; }
+
+  // Snapshots: bump SNAPSHOT_VERSION when the format changes and add a migration from the old version
+  const SNAPSHOT_VERSION = 11;
+  const SNAPSHOT_MIGRATIONS = {
+    // [fromVersion]: snap => snapshot in fromVersion + 1 format
+    1: snap => Object.assign({}, snap, { v: 2, theme: 'classic', levels: DEFAULT_LEVELS.map(l => Object.assign({}, l)) }),
+    2: snap => Object.assign({}, snap, { v: 3, rules: {} }),
+    // best effort: drops from the input log, highest level from what is still on the board
+    3: snap => Object.assign({}, snap, { v: 4, stats: {
+      drops: snap.inputs.filter(e => e[1] === 'd').length,
+      highestLevel: Math.max(0, ...snap.bodies.map(b => b.level)),
+      longestChain: snap.chain.count || 0
+    } }),
+    4: snap => Object.assign({}, snap, { v: 5, hold: { level: 0, used: false } }),
+    5: snap => Object.assign({}, snap, { v: 6, queue: [snap.nextPick], bag: [], lastSeen: {},
+      stats: Object.assign({ longestDrought: 0 }, snap.stats) }),
+    6: snap => Object.assign({}, snap, { v: 7, danger: { state: 'safe', ticks: 0, overflow: 0, fruitId: null } }),
+    7: snap => Object.assign({}, snap, { v: 8, undo: { charges: 0, points: 0, used: 0, board: null } }),
+    // Clear Small's own charge becomes the shared power meter (an available Clear Small = one banked charge);
+    // the undo board is in the old format, so that one undo is dropped
+    8: snap => {
+      const c = snap.clear, out = Object.assign({}, snap, { v: 9, magnetUntil: 0, undo: Object.assign({}, snap.undo, { board: null }) });
+      out.power = { unlocked: c.unlocked, charges: c.available ? 1 : 0, points: c.available ? 0 : c.points, ready: {}, used: { clear: c.used ? 1 : 0 } };
+      delete out.clear;
+      return out;
+    },
+    9: snap => Object.assign({}, snap, { v: 10, garbage: { pending: 0, dueTick: 0 },
+      stats: Object.assign({ garbageSent: 0, garbageReceived: 0 }, snap.stats) }),
+    10: snap => Object.assign({}, snap, { v: 11, resumedAt: null })
+  };
+
+  // -------------------------
+  // Seeded RNG
+  // -------------------------
+  // FNV-1a: turns any seed text into a uint32
+  function hashSeed(text){
+    let h = 0x811c9dc5;
+    for(let i=0;i<text.length;i++){ h ^= text.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+    return h >>> 0;
+  }
+
+  // mulberry32: small and fast, whole state is one uint32 (exposed so snapshots can carry it)
+  function createRng(seed){
+    let s = seed >>> 0;
+    function next(){
+      s = (s + 0x6D2B79F5) | 0;
+      let t = Math.imul(s ^ (s >>> 15), 1 | s);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    next.getState = () => s >>> 0;
+    next.setState = v => { s = v >>> 0; };
+    return next;
+  }
+
+  // numeric seeds are used as-is so "?seed=42" means 42, anything else is hashed
+  function seedToInt(text){ text = String(text); return /^\d{1,10}$/.test(text) ? (Number(text) >>> 0) : hashSeed(text); }
+
+  // -------------------------
+  // Pure helpers
+  // -------------------------
+  function clamp(v, lo, hi){ return Math.max(lo, Math.min(hi, v)); }
+
+  // [{ radius, points }, ...] -> validated copy; throws on anything the physics can't use
+  function normalizeLevels(levels){
+    if(levels == null) return DEFAULT_LEVELS.map(l => Object.assign({}, l));
+    if(!Array.isArray(levels) || levels.length < MIN_LEVELS || levels.length > MAX_LEVELS){
+      throw new Error(`Levels must be a list of ${MIN_LEVELS}-${MAX_LEVELS} entries`);
+    }
+    return levels.map((lv, i) => {
+      const radius = Number(lv && lv.radius), points = Number(lv && lv.points);
+      if(!Number.isFinite(radius) || radius <= 0) throw new Error('Level ' + (i + 1) + ' needs a positive radius');
+      if(!Number.isInteger(points) || points < 0) throw new Error('Level ' + (i + 1) + ' needs whole points >= 0');
+      return { radius, points };
+    });
+  }
+
+  // partial rules -> complete frozen rules; throws naming the first bad or unknown rule
+  function normalizeRules(partial){
+    const given = partial || {};
+    if(typeof given !== 'object' || Array.isArray(given)) throw new Error('Rules must be an object');
+    for(const key of Object.keys(given)){
+      if(!(key in DEFAULT_RULES)) throw new Error('Unknown rule "' + key + '"');
+    }
+    const rules = Object.assign({}, DEFAULT_RULES, given);
+    for(const key of Object.keys(RULE_LIMITS)){
+      const [min, max, whole] = RULE_LIMITS[key];
+      const v = Number(rules[key]);
+      if(!Number.isFinite(v) || v < min || v > max || (whole && !Number.isInteger(v))){
+        throw new Error(`Rule ${key} must be ${whole ? 'a whole number' : 'a number'} from ${min} to ${max}`);
+      }
+      rules[key] = v;
+    }
+    const w = rules.spawnWeights;
+    if(!Array.isArray(w) || w.length < 1 || w.length > MAX_SPAWN_WEIGHTS || !w.every(x => Number.isFinite(Number(x)) && Number(x) >= 0)){
+      throw new Error(`Rule spawnWeights must list 1-${MAX_SPAWN_WEIGHTS} odds >= 0`);
+    }
+    if(!w.some(x => Number(x) > 0)) throw new Error('Rule spawnWeights needs at least one odds above 0');
+    rules.spawnWeights = Object.freeze(w.map(Number));
+    for(const key of BOOLEAN_RULES){
+      if(typeof rules[key] !== 'boolean') throw new Error('Rule ' + key + ' must be true or false');
+    }
+    for(const key of Object.keys(RULE_CHOICES)){
+      if(!RULE_CHOICES[key].includes(rules[key])) throw new Error(`Rule ${key} must be one of ${RULE_CHOICES[key].join(', ')}`);
+    }
+    for(const p of Object.values(POWERS)){
+      if(rules[p.rule] && p.cost > rules.powerMaxCharges) throw new Error(`Rule powerMaxCharges must be at least ${p.cost} for ${p.name}`);
+    }
+    return Object.freeze(rules);
+  }
+
+  // only the rules that differ from DEFAULT_RULES (what replays, saves and share links carry)
+  function diffRules(rules){
+    const out = {};
+    for(const key of Object.keys(DEFAULT_RULES)){
+      if(JSON.stringify(rules[key]) !== JSON.stringify(DEFAULT_RULES[key])) out[key] = Array.isArray(rules[key]) ? rules[key].slice() : rules[key];
+    }
+    return out;
+  }
+
+  // id of the preset these rules match exactly, or null for custom rules
+  // the mode rules are left out: Classic played as Time Attack is still Classic
+  function presetIdForRules(rules){
+    const withoutMode = r => { const d = diffRules(normalizeRules(r)); for(const k of MODE_RULES) delete d[k]; return JSON.stringify(d); };
+    const key = withoutMode(rules);
+    const hit = RULE_PRESETS.find(p => withoutMode(p.rules) === key);
+    return hit ? hit.id : null;
+  }
+
+  // 'endless', or the mode and its setting, e.g. 'timeAttack:7200' (what separates one mode's leaderboard from another)
+  function modeIdForRules(rules){
+    const r = normalizeRules(rules), m = MODES[r.mode];
+    return m.rule ? r.mode + ':' + r[m.rule] : r.mode;
+  }
+
+  function radiusForLevel(l, levels = DEFAULT_LEVELS, rules = DEFAULT_RULES){
+    const lvl = Math.max(1, Math.min(l, levels.length));
+    const raw = BOARD_SIZE * RADIUS_BASE_FRAC * levels[lvl - 1].radius * rules.fruitScale;
+    const clamped = Math.min(raw, BOARD_SIZE * MAX_RADIUS_FRAC);
+    // round to whole units for the physics engine
+    return Math.round(Math.max(4, clamped));
+  }
+
+  function scoreForMerge(level, chainCount=1, levels = DEFAULT_LEVELS, rules = DEFAULT_RULES){
+    const base = levels[Math.max(1, Math.min(level, levels.length)) - 1].points || 1;
+    const chainMul = 1 + Math.min(rules.chainMultiplierCap, rules.chainMultiplierPer * Math.max(0, chainCount - 1));
+    return Math.round(base * chainMul);
+  }
+
+  // garbage fruit a merge into `level` sends to a versus opponent
+  function garbageForMerge(level, chainCount = 1){
+    return Math.max(0, level - GARBAGE_MIN_LEVEL + 1) + (chainCount >= 3 ? 1 : 0);
+  }
+
+  // -------------------------
+  // Game factory
+  // -------------------------
+  function createGame(options = {}){
+    const seed = options.seed != null ? String(options.seed) : '';
+    const rng = createRng(seedToInt(seed));
+    // theme id is only carried along (replays, snapshots); its levels drive sizes and points
+    const theme = options.theme != null ? String(options.theme) : null;
+    const levels = normalizeLevels(options.levels);
+    const rules = normalizeRules(options.rules);
+    const MAX_LEVEL = levels.length;
+    const spawnMaxLevel = Math.min(rules.spawnWeights.length, MAX_LEVEL - 1);
+    // a target the spawner can hand out would be reached by a lucky drop
+    if(rules.mode === 'target' && (rules.modeTargetLevel > MAX_LEVEL || rules.modeTargetLevel <= spawnMaxLevel)){
+      throw new Error(`Rule modeTargetLevel must be from ${spawnMaxLevel + 1} to ${MAX_LEVEL} for these fruit`);
+    }
+
+    const engine = Engine.create();
+    const world = engine.world;
+    world.gravity.y = rules.gravityIdle;
+
+    let bodies = [];
+    let nextFruitId = 0;
+    let tick = 0;
+    let score = 0;
+    let over = false, endReason = null;
+    let queue = [1];  // upcoming fruits, queue[0] drops next; the first fruit is always the smallest
+    let bag = [];     // 'bag' randomizer: what is left of the current bag
+    let lastSeen = {}; // level -> drop number it last spawned at (for stats.longestDrought)
+    // danger: 'safe' | 'warning' | 'overflow'; ticks = how long a fruit has been in the band, overflow = over the line
+    let danger = { state: 'safe', ticks: 0, overflow: 0, fruitId: null };
+    let held = 0;     // level in the hold slot, 0 = empty
+    let holdUsed = false; // hold() is allowed once between drops
+    let mergedThisStep = new Set();
+    let pendingMerges = []; // { idA, idB, level, dueTick }
+    let lastSpawnTick = 0;
+    let inputLog = []; // [tick, action, x?] — everything needed to replay the run from its seed
+    let resumedAt = null; // tick a snapshot's bodies were loaded at: from there on inputLog no longer reproduces the run
+    let stats = { drops: 0, highestLevel: 0, longestChain: 0, longestDrought: 0, garbageSent: 0, garbageReceived: 0 };
+    // versus: garbage fruit still to fall, and the tick the next one may
+    let garbage = { pending: 0, dueTick: 0 };
+
+    // power meter (a zero unlock score means the first charge is there from the start);
+    // ready = power id -> tick its cooldown ends, used = power id -> times used
+    const startUnlocked = rules.clearUnlockScore <= 0;
+    let power = { unlocked: startUnlocked, charges: startUnlocked ? 1 : 0, points: 0, ready: {}, used: {} };
+    let magnetUntil = 0;
+
+    // undo: charges left, points towards the next charge, times used, and the board from just before the last drop
+    let undo = { charges: rules.undoCharges, points: 0, used: 0, board: null };
+
+    // chain detection
+    let chainCount = 0;
+    let lastMergeTick = 0;
+    let chainExpireTick = null;
+
+    // -------------------------
+    // Events
+    // -------------------------
+    const listeners = {};
+    function on(type, fn){ (listeners[type] = listeners[type] || []).push(fn); return () => off(type, fn); }
+    function off(type, fn){ if(listeners[type]) listeners[type] = listeners[type].filter(f => f !== fn); }
+    function emit(type, payload){
+      const list = listeners[type]; if(!list) return;
+      // a broken listener must not take the simulation down with it
+      for(const fn of list.slice()){ try{ fn(payload); } catch(e){ console.error(e); } }
+    }
+
+    // entry = [tick, action, x?], exactly as it goes into the replay
+    function recordInput(entry){
+      inputLog.push(entry);
+      emit('input', entry.slice());
+    }
+
+    // -------------------------
+    // Bounds
+    // -------------------------
+    function createBounds(){
+      const thickness = Math.max(120, BOARD_SIZE*0.12);
+      const opts = { isStatic:true, restitution:0.02, friction:0.92 };
+      const ground = Bodies.rectangle(BOARD_SIZE/2, BOARD_SIZE + thickness/2, BOARD_SIZE + thickness*2, thickness, opts);
+      const leftWall = Bodies.rectangle(-thickness/2, BOARD_SIZE/2, thickness, BOARD_SIZE + thickness*2, opts);
+      const rightWall = Bodies.rectangle(BOARD_SIZE + thickness/2, BOARD_SIZE/2, thickness, BOARD_SIZE + thickness*2, opts);
+      World.add(world, [ground, leftWall, rightWall]);
+    }
+
+    // -------------------------
+    // Gravity & spin control
+    // -------------------------
+    function updateGravity(){
+      const levels = bodies
+        .filter(b => b && b._fruit && Number.isFinite(b._fruit.level))
+        .map(b => b._fruit.level);
+      if(levels.length === 0) {
+        world.gravity.y = rules.gravityIdle;
+        return;
+      }
+      const highestLevel = Math.max(...levels);
+      const proposed = rules.gravityBase + rules.gravityPerLevel * (highestLevel - 1);
+      const newG = Number.isFinite(proposed) ? Math.min(proposed, rules.gravityCap) : world.gravity.y;
+      if(!Number.isFinite(newG) || newG <= 0 || newG > 10) return;
+      world.gravity.y = newG;
+    }
+
+    function clampSpinForFruit(b){
+      if(!b || !b._fruit || b.isStatic) return;
+      const level = Math.max(1, Math.floor(b._fruit.level || 1));
+      // bigger fruits spin less
+      const maxSpin = Math.max(0.0015, 0.036 - 0.0038 * level);
+      const current = (b.angularVelocity || 0);
+      if(Math.abs(current) > maxSpin){
+        Body.setAngularVelocity(b, Math.sign(current) * maxSpin);
+      } else {
+        // apply damping for larger fruits
+        if(level >= 5){
+          const damping = 0.80;
+          Body.setAngularVelocity(b, current * damping);
+        }
+      }
+    }
+
+    // -------------------------
+    // Spawn weights & fruit bodies
+    // -------------------------
+    function pickLevel(){
+      if(rules.randomizer !== 'bag') return weightedPick();
+      if(bag.length === 0) bag = dealBag();
+      return bag.pop();
+    }
+
+    // one bag holds each level in proportion to its odds (at least once), shuffled with the run's rng
+    function dealBag(){
+      const weights = rules.spawnWeights.slice(0, spawnMaxLevel);
+      const total = weights.reduce((a,b)=>a+b,0);
+      const exact = weights.map(w => w / total * BAG_SIZE);
+      const counts = exact.map((e, i) => weights[i] > 0 ? Math.max(1, Math.floor(e)) : 0);
+      // leftover slots go to the levels furthest below their share
+      const order = exact.map((e, i) => i).filter(i => weights[i] > 0).sort((a, b) => (exact[b] - counts[b]) - (exact[a] - counts[a]));
+      // a theme too short for every level with odds leaves none in reach: the top one, as weightedPick() falls back to
+      if(!order.length) return new Array(BAG_SIZE).fill(weights.length);
+      for(let left = BAG_SIZE - counts.reduce((a,b)=>a+b,0), k = 0; left > 0; left--, k = (k + 1) % order.length) counts[order[k]]++;
+      const out = [];
+      counts.forEach((n, i) => { for(let j=0;j<n;j++) out.push(i + 1); });
+      for(let i = out.length - 1; i > 0; i--){ const j = Math.floor(rng() * (i + 1)); [out[i], out[j]] = [out[j], out[i]]; }
+      return out;
+    }
+
+    function weightedPick(){ const weights = rules.spawnWeights.slice(0, spawnMaxLevel); const total = weights.reduce((a,b)=>a+b,0); const r = rng() * total; let cum = 0; for(let i=0;i<weights.length;i++){ cum += weights[i]; if(r < cum) return i+1; } return weights.length; }
+
+    // keep fruits off the walls and below the top line (prevents leaks)
+    function clampBodyInsideBoard(b){
+      if(!b || !b.position || !b._fruit) return;
+      const leftBound = WALL_PAD + b._fruit.radius;
+      const rightBound = BOARD_SIZE - WALL_PAD - b._fruit.radius;
+      if(b.position.x < leftBound) Body.setPosition(b, { x: leftBound, y: b.position.y });
+      if(b.position.x > rightBound) Body.setPosition(b, { x: rightBound, y: b.position.y });
+      const topOfFruit = b.position.y - b._fruit.radius;
+      if(topOfFruit < TOP_LINE_Y + 2){
+        Body.setPosition(b, { x: b.position.x, y: TOP_LINE_Y + 2 + b._fruit.radius });
+        Body.setVelocity(b, { x: (b.velocity && b.velocity.x) ? b.velocity.x * 0.25 : 0, y: Math.max(0.1, (b.velocity && b.velocity.y) ? b.velocity.y * 0.2 : 0.1) });
+      }
+    }
+
+    function createFruitBody(level, x, y){
+      const r = radiusForLevel(level, levels, rules);
+      // density proportional to area (heavier for bigger fruits)
+      const baseDensity = 0.0022;
+      const areaScale = Math.max(1, (r * r) / Math.max(1, Math.round((BOARD_SIZE * RADIUS_BASE_FRAC) ** 2)));
+      const density = baseDensity * (1 + (areaScale - 1) * 0.9);
+      const options = { restitution: 0.01, friction: 0.96, frictionAir: 0.04, density: density, label: 'fruit' };
+      const b = Bodies.circle(x, y, r, options);
+      // increase inertia for larger fruits so they rotate less for same force
+      const inertiaScale = 100;
+      const inertia = (r * r) * inertiaScale;
+      try { Body.setInertia(b, inertia); } catch(e){}
+      b._fruit = { id: ++nextFruitId, level, radius: r, wobble: 0, garbage: false };
+      b._spawnTick = tick;
+      World.add(world, b);
+      bodies.push(b);
+      return b;
+    }
+
+    function fruitState(b){
+      return {
+        id: b._fruit.id, level: b._fruit.level, radius: b._fruit.radius, wobble: b._fruit.wobble, garbage: b._fruit.garbage,
+        x: b.position.x, y: b.position.y, angle: b.angle,
+        vx: b.velocity.x, vy: b.velocity.y, angularVelocity: b.angularVelocity
+      };
+    }
+
+    // -------------------------
+    // Merge scheduling & collision
+    // -------------------------
+    function scheduleMergeCheck(A,B, delayTicks = MERGE_DELAY_MIN_TICKS + Math.floor(rng()*MERGE_DELAY_SPREAD_TICKS)){
+      const lev = A._fruit.level;
+      if(lev >= MAX_LEVEL) return;
+      pendingMerges.push({ idA: A.id, idB: B.id, level: lev, dueTick: tick + delayTicks });
+    }
+
+    // run the merge checks that came due this tick (in scheduling order, so results are reproducible)
+    function processPendingMerges(){
+      if(pendingMerges.length === 0) return;
+      const due = pendingMerges.filter(m => m.dueTick <= tick);
+      if(due.length === 0) return;
+      pendingMerges = pendingMerges.filter(m => m.dueTick > tick);
+      for(const m of due){
+        const bodyA = bodies.find(b => b.id === m.idA);
+        const bodyB = bodies.find(b => b.id === m.idB);
+        if(!bodyA || !bodyB) continue;
+        if(!bodyA._fruit || !bodyB._fruit) continue;
+        if(bodyA._fruit.level !== m.level || bodyB._fruit.level !== m.level) continue;
+        const d = Vector.magnitude(Vector.sub(bodyA.position, bodyB.position));
+        const minDist = (bodyA._fruit.radius + bodyB._fruit.radius) * rules.mergeMinDist;
+        const relVel = Vector.magnitude(Vector.sub(bodyA.velocity, bodyB.velocity));
+        if(d <= minDist && relVel <= 3.0){
+          tryMergePair(bodyA, bodyB);
+        }
+      }
+    }
+
+    function onCollision(event){
+      for(const pair of event.pairs){
+        const A = pair.bodyA, B = pair.bodyB;
+        if(!A._fruit || !B._fruit) continue;
+        if(A.isStatic || B.isStatic) continue;
+        if(A._fruit.level === B._fruit.level && A._fruit.level < MAX_LEVEL){
+          const d = Vector.magnitude(Vector.sub(A.position, B.position));
+          const minDist = (A._fruit.radius + B._fruit.radius) * rules.mergeMinDist;
+          if(d <= minDist) scheduleMergeCheck(A,B);
+        }
+      }
+    }
+
+    // -------------------------
+    // Merge action & scoring
+    // -------------------------
+    function tryMergePair(A,B){
+      if(mergedThisStep.has(A.id) || mergedThisStep.has(B.id)) return;
+      if(!A._fruit || !B._fruit) return;
+      if(A._fruit.level >= MAX_LEVEL) return;
+      mergedThisStep.add(A.id); mergedThisStep.add(B.id);
+      if(!Composite.get(world, A.id, 'body') || !Composite.get(world, B.id, 'body')) return;
+
+      const from = A._fruit.level;
+      const level = Math.min(from + 1, MAX_LEVEL);
+      const pos = { x: (A.position.x + B.position.x)/2, y: (A.position.y + B.position.y)/2 };
+
+      try{ World.remove(world, A); } catch(e){}
+      try{ World.remove(world, B); } catch(e){}
+      bodies = bodies.filter(bb => bb.id !== A.id && bb.id !== B.id);
+
+      const nb = createFruitBody(level, pos.x, pos.y - 6);
+      Body.setVelocity(nb, { x: (rng()-0.5)*0.03, y: -0.12 + rng()*0.20 });
+      Body.setAngularVelocity(nb, (rng()-0.5)*0.004);
+      clampSpinForFruit(nb);
+      clampBodyInsideBoard(nb);
+      Body.applyForce(nb, nb.position, { x: (rng()-0.5)*0.002, y: -0.012 - rng()*0.006 });
+      nb._fruit.wobble = 1.2;
+      clampSpinForFruit(nb);
+
+      recordMergeForChain();
+      stats.highestLevel = Math.max(stats.highestLevel, level);
+      stats.longestChain = Math.max(stats.longestChain, chainCount);
+      const points = scoreForMerge(level, chainCount, levels, rules);
+      score += points;
+      if(undo.charges < rules.undoCharges) undo.points += points;
+
+      emit('merge', { id: nb._fruit.id, from, level, x: pos.x, y: pos.y, points, chain: chainCount, score, tick });
+      emit('score', { score, delta: points });
+      chargePowers(points);
+      updateUndoCharge();
+
+      const sent = garbageForMerge(level, chainCount);
+      if(sent > 0){
+        stats.garbageSent += sent;
+        emit('attack', { count: sent, level, chain: chainCount, x: pos.x, y: pos.y, tick });
+      }
+    }
+
+    function recordMergeForChain(){
+      if(chainExpireTick !== null && (tick - lastMergeTick) <= CHAIN_WINDOW_TICKS && lastSpawnTick <= lastMergeTick){
+        chainCount = (chainCount || 0) + 1;
+      } else {
+        chainCount = 1;
+      }
+      lastMergeTick = tick;
+      chainExpireTick = tick + CHAIN_WINDOW_TICKS;
+    }
+
+    // close the chain once its window runs out without another merge
+    function updateChainWindow(){
+      if(chainExpireTick === null || tick < chainExpireTick) return;
+      if(chainCount > 1) emit('chain', { count: chainCount, tick });
+      chainCount = 0;
+      chainExpireTick = null;
+    }
+
+    // -------------------------
+    // Powers
+    // -------------------------
+    // the meter as Clear Small's bar shows it; charge = progress towards the next charge
+    function clearState(){
+      return {
+        unlocked: power.unlocked, available: powerReady('clear'), used: !!power.used.clear,
+        charges: power.charges, max: rules.powerMaxCharges,
+        charge: power.charges >= rules.powerMaxCharges ? 1 : Math.min(1, power.points / rules.clearRechargePoints)
+      };
+    }
+
+    function powerReady(id){
+      const p = POWERS[id];
+      return !over && rules[p.rule] && power.unlocked && power.charges >= p.cost && tick >= (power.ready[id] || 0);
+    }
+
+    // per power: on/off, cost, times used, share of its cooldown still to run (and of the magnet's pull)
+    function powerStates(){
+      const out = {};
+      for(const id of Object.keys(POWERS)){
+        const p = POWERS[id], wait = Math.max(0, (power.ready[id] || 0) - tick);
+        out[id] = {
+          enabled: rules[p.rule], cost: p.cost, used: power.used[id] || 0, available: powerReady(id),
+          cooldown: p.cooldownTicks ? wait / p.cooldownTicks : 0
+        };
+      }
+      out.magnet.active = Math.max(0, magnetUntil - tick) / MAGNET_TICKS;
+      return out;
+    }
+
+    function chargeState(){ return Object.assign(clearState(), { powers: powerStates() }); }
+
+    // merge points fill the meter; points are not banked while it is full
+    function chargePowers(points){
+      if(!power.unlocked){
+        if(score >= rules.clearUnlockScore){ power.unlocked = true; power.charges = 1; power.points = 0; }
+      } else if(power.charges < rules.powerMaxCharges){
+        power.points += points;
+        while(power.points >= rules.clearRechargePoints && power.charges < rules.powerMaxCharges){ power.charges++; power.points -= rules.clearRechargePoints; }
+        if(power.charges >= rules.powerMaxCharges) power.points = 0;
+      }
+      emit('charge', chargeState());
+    }
+
+    function fruitById(id){ return bodies.find(b => b._fruit && b._fruit.id === id) || null; }
+
+    // each returns the detail for the 'power' event, or null if the power can't act (nothing is spent then)
+    const POWER_EFFECTS = {
+      clear(){
+        let removed = 0;
+        for(const b of bodies.slice()){
+          if(!b || !b._fruit) continue;
+          if(b._fruit.level <= rules.clearMaxLevel){
+            try{ World.remove(world, b); } catch(e){}
+            removed++;
+          }
+        }
+        bodies = bodies.filter(b => b && b._fruit && b._fruit.level > rules.clearMaxLevel);
+        return { removed };
+      },
+      // shaken fruit get the spawn grace again, so a kick over the top line is not an overflow
+      shake(){
+        for(const b of bodies){
+          Body.setVelocity(b, { x: b.velocity.x + (rng() - 0.5) * SHAKE_KICK, y: b.velocity.y - SHAKE_KICK * (0.6 + rng() * 0.4) });
+          b._fruit.wobble = 1;
+          b._spawnTick = tick;
+        }
+        return { moved: bodies.length };
+      },
+      upgrade(b){
+        if(!b || b._fruit.level >= MAX_LEVEL) return null;
+        const from = b._fruit.level, level = from + 1;
+        const pos = { x: b.position.x, y: b.position.y }, vel = { x: b.velocity.x, y: b.velocity.y };
+        try{ World.remove(world, b); } catch(e){}
+        bodies = bodies.filter(bb => bb !== b);
+        const nb = createFruitBody(level, pos.x, pos.y);
+        Body.setVelocity(nb, vel);
+        nb._fruit.wobble = 1.2;
+        clampBodyInsideBoard(nb);
+        stats.highestLevel = Math.max(stats.highestLevel, level);
+        return { id: nb._fruit.id, from, level, x: pos.x, y: pos.y };
+      },
+      pop(b){
+        if(!b) return null;
+        try{ World.remove(world, b); } catch(e){}
+        bodies = bodies.filter(bb => bb !== b);
+        return { level: b._fruit.level, x: b.position.x, y: b.position.y };
+      },
+      magnet(){
+        magnetUntil = tick + MAGNET_TICKS;
+        return { ticks: MAGNET_TICKS };
+      }
+    };
+
+    // target = fruit id for the powers that act on one fruit
+    function usePower(id, target){
+      const p = POWERS[id];
+      if(!p || !powerReady(id)) return false;
+      const detail = POWER_EFFECTS[id](p.target ? fruitById(target) : null);
+      if(!detail) return false;
+      power.charges -= p.cost;
+      power.ready[id] = tick + p.cooldownTicks;
+      power.used[id] = (power.used[id] || 0) + 1;
+      recordInput(p.target ? [tick, p.action, target] : [tick, p.action]);
+      if(id === 'clear') emit('clear', { removed: detail.removed, tick });
+      emit('power', Object.assign({ power: id, tick }, detail));
+      emit('charge', chargeState());
+      return true;
+    }
+
+    function clearSmall(){ return usePower('clear'); }
+
+    // pulls every fruit towards the nearest fruit of its own level
+    function applyMagnet(){
+      for(const b of bodies){
+        let best = null, bestD = Infinity;
+        for(const o of bodies){
+          if(o === b || o._fruit.level !== b._fruit.level) continue;
+          const d = Vector.magnitude(Vector.sub(o.position, b.position));
+          if(d < bestD){ best = o; bestD = d; }
+        }
+        if(!best || bestD < 1) continue;
+        Body.applyForce(b, b.position, Vector.mult(Vector.sub(best.position, b.position), b.mass * MAGNET_FORCE / bestD));
+      }
+    }
+
+    // -------------------------
+    // Garbage
+    // -------------------------
+    // count fruit join the queue of garbage falling on this board; returns false once the run is over
+    function addGarbage(count){
+      count = Math.floor(count);
+      if(over || !(count > 0)) return false;
+      if(garbage.pending === 0) garbage.dueTick = Math.max(garbage.dueTick, tick + GARBAGE_WARN_TICKS);
+      garbage.pending += count;
+      recordInput([tick, 'j', count]);
+      emit('garbage', { count, pending: garbage.pending, tick });
+      return true;
+    }
+
+    // the next queued garbage fruit falls from the top at a random spot; it never counts as a drop
+    function dropGarbage(){
+      const level = 1 + Math.floor(rng() * Math.min(GARBAGE_MAX_FRUIT_LEVEL, spawnMaxLevel));
+      const x = Math.round((SPAWN_PAD + rng() * (BOARD_SIZE - 2 * SPAWN_PAD)) * 10) / 10;
+      const b = createFruitBody(level, x, radiusForLevel(level, levels, rules) + 6);
+      b._fruit.garbage = true;
+      Body.setVelocity(b, { x: (rng()-0.5)*0.4, y: 0.4 });
+      clampBodyInsideBoard(b);
+      garbage.pending--;
+      garbage.dueTick = tick + GARBAGE_INTERVAL_TICKS;
+      stats.garbageReceived++;
+      emit('garbagedrop', Object.assign({ tick, pending: garbage.pending }, fruitState(b)));
+    }
+
+    // -------------------------
+    // Undo
+    // -------------------------
+    function undoState(){
+      return {
+        enabled: rules.undoCharges > 0, charges: undo.charges, max: rules.undoCharges, used: undo.used,
+        available: !over && undo.charges > 0 && !!undo.board,
+        charge: undo.charges >= rules.undoCharges ? 1 : Math.min(1, undo.points / rules.undoRechargePoints)
+      };
+    }
+
+    function updateUndoCharge(){
+      if(undo.charges >= rules.undoCharges || undo.points < rules.undoRechargePoints) return;
+      undo.charges++;
+      undo.points = undo.charges < rules.undoCharges ? undo.points - rules.undoRechargePoints : 0;
+      emit('undocharge', undoState());
+    }
+
+    // the board from just before the last drop comes back; points earned since are lost with it
+    function undoDrop(){
+      if(!undoState().available) return false;
+      const before = score, board = undo.board;
+      loadBoard(board, tick - board.tick);
+      undo = { charges: board.undo.charges - 1, points: board.undo.points, used: undo.used + 1, board: null };
+      recordInput([tick, 'u']);
+      emit('undo', Object.assign({ tick }, undoState()));
+      emit('score', { score, delta: score - before });
+      emit('next', { level: queue[0], queue: queue.slice() });
+      emit('charge', chargeState());
+      emit('danger', Object.assign({ tick }, dangerState()));
+      return true;
+    }
+
+    // -------------------------
+    // End conditions
+    // -------------------------
+    function endGame(reason, detail){
+      over = true;
+      endReason = reason;
+      pendingMerges = [];
+      emit('gameover', Object.assign({ reason, score, tick }, detail));
+    }
+
+    function dangerState(){
+      const b = danger.fruitId !== null ? bodies.find(bb => bb._fruit && bb._fruit.id === danger.fruitId) : null;
+      return {
+        state: danger.state,
+        // share of the overflow countdown used up
+        progress: danger.overflow ? (rules.overflowTicks ? Math.min(1, danger.overflow / rules.overflowTicks) : 1) : 0,
+        fruit: b ? { id: b._fruit.id, level: b._fruit.level, x: b.position.x, y: b.position.y, radius: b._fruit.radius } : null
+      };
+    }
+
+    // settled fruits only: a fresh drop may poke over the line during its spawn grace
+    function updateDanger(){
+      let overflowing = null, highest = null, highestTop = Infinity;
+      for(const b of bodies){
+        if(!b || !b.position || !b._fruit) continue;
+        if((tick - b._spawnTick) < rules.spawnGraceTicks) continue;
+        const topOfFruit = b.position.y - b._fruit.radius;
+        // also if fruit barely touching top and nearly static
+        const speed = Math.sqrt((b.velocity.x||0)*(b.velocity.x||0) + (b.velocity.y||0)*(b.velocity.y||0));
+        if(!overflowing && (topOfFruit < TOP_LINE_Y + 2 || (topOfFruit < TOP_LINE_Y + 8 && speed < 0.12))) overflowing = b;
+        if(topOfFruit < TOP_LINE_Y + rules.dangerBand && topOfFruit < highestTop){ highest = b; highestTop = topOfFruit; }
+      }
+      danger.ticks = highest || overflowing ? danger.ticks + 1 : 0;
+      // the countdown drains (twice as fast) rather than resetting, so a fruit jiggling on the line can't dodge it
+      danger.overflow = overflowing ? danger.overflow + 1 : Math.max(0, danger.overflow - 2);
+      if(overflowing) danger.fruitId = overflowing._fruit.id;
+      else if(!danger.overflow) danger.fruitId = highest ? highest._fruit.id : null;
+      // a started countdown holds 'overflow' until it has drained and no fruit is left in the band,
+      // so a fruit jiggling on the line doesn't flip the state every few ticks
+      const holding = danger.state === 'overflow' && (danger.overflow || highest);
+      const state = danger.overflow || holding ? 'overflow' : (highest && danger.ticks >= rules.dangerWarnTicks ? 'warning' : 'safe');
+      if(state !== danger.state){
+        danger.state = state;
+        emit('danger', Object.assign({ tick }, dangerState()));
+      }
+      if(overflowing && danger.overflow > rules.overflowTicks){
+        endGame('overflow', { fruit: { id: overflowing._fruit.id, level: overflowing._fruit.level } });
+      }
+    }
+
+    function checkEndConditions(){
+      // supernova condition: too many terminal fruits (safety end)
+      const terminalCount = bodies.reduce((acc, bb) => acc + ((bb && bb._fruit && bb._fruit.level === MAX_LEVEL) ? 1 : 0), 0);
+      if(terminalCount >= rules.supernovaCount){
+        for(const b of bodies){ try{ World.remove(world, b); }catch(e){} }
+        bodies = [];
+        endGame('supernova');
+        return;
+      }
+
+      // the mode's own end: the clock, the target fruit, or the bowl settling after the last drop
+      if(rules.mode === 'timeAttack' && tick >= rules.modeTicks){ endGame('time'); return; }
+      if(rules.mode === 'target' && stats.highestLevel >= rules.modeTargetLevel){ endGame('target'); return; }
+      if(rules.mode === 'drops' && stats.drops >= rules.modeDrops && !pendingMerges.length
+        && tick - Math.max(lastSpawnTick, lastMergeTick) >= DROPS_SETTLE_TICKS){ endGame('drops'); return; }
+
+      // normal game over detection: fruit top stays over the line
+      if(rules.overflowEnds) updateDanger();
+    }
+
+    // ticksLeft (Time Attack), dropsLeft (Limited Drops) and target (Target) are null outside their mode
+    function modeState(){
+      return {
+        id: rules.mode, name: MODES[rules.mode].name,
+        ticksLeft: rules.mode === 'timeAttack' ? Math.max(0, rules.modeTicks - tick) : null,
+        dropsLeft: rules.mode === 'drops' ? Math.max(0, rules.modeDrops - stats.drops) : null,
+        target: rules.mode === 'target' ? rules.modeTargetLevel : null,
+        done: over && endReason === MODES[rules.mode].end
+      };
+    }
+
+    // -------------------------
+    // Public actions
+    // -------------------------
+    // drop the upcoming fruit at board x (clamped inside the bowl); returns the new fruit or null
+    function drop(x){
+      if(over || (rules.mode === 'drops' && stats.drops >= rules.modeDrops)) return null;
+      lastSpawnTick = tick;
+      // quantized to 0.1 units so the recorded x is exactly the x that was used
+      const spawnX = Math.round(((typeof x === 'number' && Number.isFinite(x)) ? clamp(x, SPAWN_PAD, BOARD_SIZE - SPAWN_PAD) : BOARD_SIZE/2) * 10) / 10;
+      if(rules.undoCharges > 0) undo.board = Object.assign(boardState(), { undo: { charges: undo.charges, points: undo.points } });
+      recordInput([tick, 'd', spawnX]);
+      holdUsed = false;
+
+      const spawnLevel = Math.min(queue[0] || pickLevel(), spawnMaxLevel);
+      stats.drops++;
+      stats.highestLevel = Math.max(stats.highestLevel, spawnLevel);
+      stats.longestDrought = Math.max(stats.longestDrought, stats.drops - 1 - (lastSeen[spawnLevel] || 0));
+      lastSeen[spawnLevel] = stats.drops;
+      // refresh the queue AFTER we decide spawnLevel to keep queue[0] = upcoming fruit
+      queue.shift();
+      queue.push(pickLevel());
+
+      const r = radiusForLevel(spawnLevel, levels, rules);
+      const spawnY = r + 6;
+      const b = createFruitBody(spawnLevel, spawnX, spawnY);
+      Body.setVelocity(b, { x: (rng()-0.5)*0.03, y: 0.26 + rng()*0.20 });
+      Body.setAngularVelocity(b, (rng()-0.5) * 0.004);
+      clampSpinForFruit(b);
+      clampBodyInsideBoard(b);
+
+      const fruit = fruitState(b);
+      emit('drop', Object.assign({ tick }, fruit));
+      emit('next', { level: queue[0], queue: queue.slice() });
+      if(rules.undoCharges > 0) emit('undocharge', undoState());
+      return fruit;
+    }
+
+    // upcoming fruit goes into the hold slot; what was held (or a fresh pick) becomes the upcoming one
+    function hold(){
+      if(over || !rules.holdSlot || holdUsed) return false;
+      const upcoming = queue[0];
+      if(held) queue[0] = held;
+      else { queue.shift(); queue.push(pickLevel()); }
+      held = upcoming;
+      holdUsed = true;
+      recordInput([tick, 'h']);
+      emit('hold', { level: held, next: queue[0], tick });
+      emit('next', { level: queue[0], queue: queue.slice() });
+      return true;
+    }
+
+    // advance the simulation by whole ticks
+    function step(ticks = 1){
+      for(let i=0;i<ticks && !over;i++){
+        tick++;
+        if(garbage.pending > 0 && tick >= garbage.dueTick) dropGarbage();
+        if(tick <= magnetUntil) applyMagnet();
+        Engine.update(engine, STEP_MS);
+
+        // dynamic gravity & spin clamping
+        updateGravity();
+        for (const b of bodies) clampSpinForFruit(b);
+
+        mergedThisStep.clear();
+        processPendingMerges();
+        updateChainWindow();
+
+        for(const b of bodies){
+          if(!b || !b._fruit) continue;
+          if(b._fruit.wobble > 0) b._fruit.wobble = Math.max(0, b._fruit.wobble - 0.06);
+          clampBodyInsideBoard(b);
+        }
+
+        // cleanup bodies that fell far away
+        bodies = bodies.filter(b => {
+          if(!b) return false;
+          if(b.position.y > FALL_OUT_Y){
+            try{ World.remove(world, b); } catch(e){}
+            return false;
+          }
+          return true;
+        });
+
+        checkEndConditions();
+        // a cooldown or the magnet running out changes what the power buttons show
+        if(tick === magnetUntil || Object.keys(power.ready).some(id => power.ready[id] === tick)) emit('charge', chargeState());
+        emit('tick', { tick });
+      }
+    }
+
+    function getState(){
+      return {
+        seed, theme, maxLevel: MAX_LEVEL, tick, score, nextPick: queue[0], queue: queue.slice(), over, endReason,
+        chain: { count: chainCount },
+        clear: clearState(),
+        powers: powerStates(),
+        mode: modeState(),
+        danger: dangerState(),
+        hold: { enabled: rules.holdSlot, level: held, used: holdUsed },
+        undo: undoState(),
+        garbage: { pending: garbage.pending },
+        stats: Object.assign({}, stats),
+        bodies: bodies.filter(b => b && b._fruit && b.position).map(fruitState)
+      };
+    }
+
+    // fingerprint of everything that decides what happens next; two boards fed the same inputs hash the same
+    function stateHash(){ return boardHash(boardState()); }
+
+    // compact recording of this run so far; `resumed` marks one that no longer plays back to this board
+    function getReplay(){
+      const replay = {
+        v: REPLAY_VERSION, seed, theme, lv: levels.map(l => [l.radius, l.points]), rules: diffRules(rules),
+        end: tick, score, a: inputLog.map(e => e.slice())
+      };
+      if(resumedAt !== null) replay.resumed = resumedAt;
+      return replay;
+    }
+
+    // -------------------------
+    // Snapshots
+    // -------------------------
+    // Everything the rules need to carry on. Matter's contact caches are not included, so a board loaded from
+    // the bodies settles the same way to the eye but drifts after the resume tick; restoreGame() replays the inputs instead.
+    function serialize(){
+      return Object.assign({
+        v: SNAPSHOT_VERSION,
+        seed, theme, levels: levels.map(l => Object.assign({}, l)), rules: diffRules(rules)
+      }, boardState(), {
+        undo: Object.assign({}, undo),
+        inputs: inputLog.map(e => e.slice()),
+        resumedAt
+      });
+    }
+
+    // the part of a snapshot that undo() puts back: bodies, score, queue, counters and timers
+    function boardState(){
+      const fruitIdOf = id => { const b = bodies.find(bb => bb.id === id); return b ? b._fruit.id : null; };
+      return {
+        tick, rng: rng.getState(),
+        score, nextPick: queue[0], queue: queue.slice(), bag: bag.slice(), lastSeen: Object.assign({}, lastSeen),
+        nextFruitId, lastSpawnTick, over, endReason,
+        power: { unlocked: power.unlocked, charges: power.charges, points: power.points,
+          ready: Object.assign({}, power.ready), used: Object.assign({}, power.used) },
+        magnetUntil,
+        garbage: Object.assign({}, garbage),
+        chain: { count: chainCount, lastMergeTick, expireTick: chainExpireTick },
+        hold: { level: held, used: holdUsed },
+        danger: Object.assign({}, danger),
+        stats: Object.assign({}, stats),
+        pendingMerges: pendingMerges
+          .map(m => ({ a: fruitIdOf(m.idA), b: fruitIdOf(m.idB), level: m.level, dueTick: m.dueTick }))
+          .filter(m => m.a !== null && m.b !== null),
+        bodies: bodies.filter(b => b && b._fruit && b.position).map(b => ({
+          id: b._fruit.id, level: b._fruit.level, wobble: b._fruit.wobble, garbage: b._fruit.garbage, spawnTick: b._spawnTick,
+          x: b.position.x, y: b.position.y, vx: b.velocity.x, vy: b.velocity.y,
+          angle: b.angle, angularVelocity: b.angularVelocity
+        }))
+      };
+    }
+
+    function loadSnapshot(snap){
+      tick = snap.tick;
+      inputLog = snap.inputs.map(e => e.slice());
+      resumedAt = snap.resumedAt != null ? snap.resumedAt : snap.tick;
+      undo = Object.assign({}, snap.undo);
+      loadBoard(snap, 0);
+    }
+
+    // replaces the board; shift moves every stored tick forward (undo restores an older board at the current tick)
+    function loadBoard(snap, shift){
+      for(const b of bodies){ try{ World.remove(world, b); }catch(e){} }
+      bodies = [];
+      const lastFruitId = nextFruitId;
+      rng.setState(snap.rng);
+      score = snap.score;
+      queue = snap.queue.slice(); bag = snap.bag.slice(); lastSeen = Object.assign({}, snap.lastSeen);
+      // a snapshot from before the queue rule only knows one upcoming fruit
+      while(queue.length < rules.previewCount) queue.push(pickLevel());
+      lastSpawnTick = snap.lastSpawnTick + shift;
+      over = !!snap.over; endReason = snap.endReason || null;
+      power = Object.assign({}, snap.power, { ready: {}, used: Object.assign({}, snap.power.used) });
+      for(const id of Object.keys(snap.power.ready)) power.ready[id] = snap.power.ready[id] + shift;
+      magnetUntil = snap.magnetUntil > snap.tick ? snap.magnetUntil + shift : 0;
+      garbage = { pending: snap.garbage.pending, dueTick: snap.garbage.dueTick + shift };
+      chainCount = snap.chain.count; lastMergeTick = snap.chain.lastMergeTick + shift;
+      chainExpireTick = snap.chain.expireTick === null ? null : snap.chain.expireTick + shift;
+      held = snap.hold.level; holdUsed = snap.hold.used;
+      danger = Object.assign({}, snap.danger);
+      stats = Object.assign({}, snap.stats);
+
+      const byFruitId = {};
+      for(const s of snap.bodies){
+        const b = createFruitBody(s.level, s.x, s.y);
+        b._fruit.id = s.id;
+        b._fruit.wobble = s.wobble || 0;
+        b._fruit.garbage = !!s.garbage;
+        b._spawnTick = s.spawnTick + shift;
+        Body.setAngle(b, s.angle);
+        Body.setVelocity(b, { x: s.vx, y: s.vy });
+        Body.setAngularVelocity(b, s.angularVelocity);
+        byFruitId[s.id] = b;
+      }
+      // ids are never reused, even for fruit an undo took away
+      nextFruitId = Math.max(lastFruitId, snap.nextFruitId, ...snap.bodies.map(s => s.id), 0);
+      pendingMerges = snap.pendingMerges
+        .filter(m => byFruitId[m.a] && byFruitId[m.b])
+        .map(m => ({ idA: byFruitId[m.a].id, idB: byFruitId[m.b].id, level: m.level, dueTick: m.dueTick + shift }));
+      updateGravity();
+    }
+
+    while(queue.length < rules.previewCount) queue.push(pickLevel());
+    createBounds();
+    Events.on(engine, 'collisionStart', onCollision);
+    if(options.snapshot) loadSnapshot(options.snapshot);
+
+    return {
+      seed, theme, maxLevel: MAX_LEVEL, rules,
+      levels: levels.map(l => Object.assign({}, l)),
+      on, off, drop, step, clearSmall, usePower, hold, undo: undoDrop, addGarbage, getState, getReplay, serialize, stateHash,
+      get tick(){ return tick; },
+      get score(){ return score; },
+      get nextPick(){ return queue[0]; },
+      get queue(){ return queue.slice(); },
+      get held(){ return held; },
+      get danger(){ return dangerState(); },
+      get powers(){ return powerStates(); },
+      get mode(){ return modeState(); },
+      get over(){ return over; },
+      get resumedAt(){ return resumedAt; }
+    };
+  }
+
+  // boardHash(game.serialize()) === game.stateHash()
+  function boardHash(snap){
+    const parts = [snap.tick, snap.score, snap.rng, snap.queue.join(','), snap.hold.level, snap.garbage.pending, snap.over ? 1 : 0];
+    for(const b of snap.bodies) parts.push(b.id, b.level, b.x, b.y, b.angle);
+    return hashSeed(parts.join('|'));
+  }
+
+  // -------------------------
+  // Snapshot restore
+  // -------------------------
+  // brings an older snapshot up to SNAPSHOT_VERSION one step at a time
+  function migrateSnapshot(data){
+    let snap = data;
+    if(typeof data === 'string'){
+      try{ snap = JSON.parse(data); } catch(e){ throw new Error('Saved game is not valid JSON'); }
+    }
+    if(!snap || typeof snap !== 'object' || !Number.isInteger(snap.v)) throw new Error('Not a saved game');
+    if(snap.v > SNAPSHOT_VERSION) throw new Error('Saved game is from a newer version');
+    while(snap.v < SNAPSHOT_VERSION){
+      const migrate = SNAPSHOT_MIGRATIONS[snap.v];
+      if(!migrate) throw new Error('Saved game version ' + snap.v + ' can no longer be loaded');
+      snap = migrate(snap);
+    }
+    if(!Array.isArray(snap.bodies) || !Number.isInteger(snap.tick)) throw new Error('Saved game is incomplete');
+    return snap;
+  }
+
+  // replays the inputs from the seed when they lead back to the saved board (the run then carries on exactly, replay
+  // and all); a snapshot they don't, or one already loaded from its bodies before, is loaded from the bodies
+  function restoreGame(data){
+    const snapshot = migrateSnapshot(data);
+    const setup = { seed: snapshot.seed, theme: snapshot.theme, levels: snapshot.levels, rules: snapshot.rules };
+    if(snapshot.resumedAt == null && Array.isArray(snapshot.inputs)){
+      const game = replayGame(setup, snapshot.inputs, snapshot.tick);
+      if(game.tick === snapshot.tick && game.stateHash() === boardHash(snapshot)) return game;
+    }
+    return createGame(Object.assign(setup, { snapshot }));
+  }
+
+  // -------------------------
+  // Replays
+  // -------------------------
+  // accepts a replay object or its JSON text; throws with a readable message if it isn't one
+  function parseReplay(data){
+    let r = data;
+    if(typeof data === 'string'){
+      try{ r = JSON.parse(data); } catch(e){ throw new Error('Replay is not valid JSON'); }
+    }
+    if(!r || typeof r !== 'object' || !Array.isArray(r.a)) throw new Error('Not a Suika replay');
+    if(r.v !== 1 && r.v !== REPLAY_VERSION) throw new Error('Unsupported replay version ' + r.v);
+    let lastTick = 0;
+    for(const entry of r.a){
+      const [t, action, x] = Array.isArray(entry) ? entry : [];
+      if(!Number.isInteger(t) || t < lastTick) throw new Error('Replay inputs are out of order');
+      if(!REPLAY_ACTIONS[action]) throw new Error('Unknown replay action ' + action);
+      if(action === 'd' && !Number.isFinite(x)) throw new Error('Replay drop without x');
+      if(POWER_BY_ACTION[action] && POWERS[POWER_BY_ACTION[action]].target && !Number.isInteger(x)) throw new Error('Replay power without a target');
+      if(action === 'j' && !(Number.isInteger(x) && x > 0)) throw new Error('Replay garbage without a count');
+      lastTick = t;
+    }
+    // lv is optional: recordings made before themes existed used the default levels
+    let levels = null;
+    if(r.lv != null){
+      if(!Array.isArray(r.lv)) throw new Error('Replay levels are malformed');
+      levels = normalizeLevels(r.lv.map(l => ({ radius: Array.isArray(l) ? l[0] : NaN, points: Array.isArray(l) ? l[1] : NaN })));
+    }
+    return {
+      v: REPLAY_VERSION,
+      seed: r.seed != null ? String(r.seed) : '',
+      theme: r.theme != null ? String(r.theme) : null,
+      lv: (levels || DEFAULT_LEVELS).map(l => [l.radius, l.points]),
+      // absent in older recordings: classic rules
+      rules: diffRules(normalizeRules(r.v === 1 ? Object.assign({ overflowTicks: 0 }, r.rules) : r.rules)),
+      end: Number.isInteger(r.end) ? r.end : null,
+      score: Number.isFinite(r.score) ? r.score : null,
+      resumed: Number.isInteger(r.resumed) ? r.resumed : null,
+      a: r.a.map(e => e.slice(0, 3))
+    };
+  }
+
+  // one recorded input ([tick, action, x?]) applied to `game` now; the tick is the caller's business
+  function applyInput(game, entry){
+    const [, action, x] = entry;
+    if(action === 'd') return !!game.drop(x);
+    if(POWER_BY_ACTION[action]) return game.usePower(POWER_BY_ACTION[action], x);
+    if(action === 'h') return game.hold();
+    if(action === 'u') return game.undo();
+    if(action === 'j') return game.addGarbage(x);
+    return false;
+  }
+
+  // a fresh board from setup ({ seed, theme, levels, rules }) run up to `tick` through the inputs
+  // ([tick, action, x?], in order), including those made on `tick` itself
+  function replayGame(setup, inputs, tick){
+    const game = createGame(setup);
+    let cursor = 0;
+    for(;;){
+      while(cursor < inputs.length && inputs[cursor][0] <= game.tick) applyInput(game, inputs[cursor++]);
+      if(game.tick >= tick || game.over) return game;
+      game.step(1);
+    }
+  }
+
+  // re-runs a recording: inputs are applied at the tick they were made, before that tick is stepped
+  function createReplayPlayer(data){
+    const replay = parseReplay(data);
+    const game = createGame({
+      seed: replay.seed, theme: replay.theme, rules: replay.rules,
+      levels: replay.lv.map(([radius, points]) => ({ radius, points }))
+    });
+    let cursor = 0;
+
+    function applyDueInputs(){
+      while(cursor < replay.a.length && replay.a[cursor][0] <= game.tick) applyInput(game, replay.a[cursor++]);
+    }
+    function isDone(){
+      if(game.over) return true;
+      return cursor >= replay.a.length && replay.end !== null && game.tick >= replay.end;
+    }
+    function step(ticks = 1){
+      for(let i=0;i<ticks && !isDone();i++){
+        applyDueInputs();
+        game.step(1);
+      }
+    }
+
+    return {
+      replay, game, step,
+      get done(){ return isDone(); },
+      get progress(){ return replay.end ? Math.min(1, game.tick / replay.end) : 0; }
+    };
+  }
+
+  return {
+    createGame, restoreGame, migrateSnapshot, createReplayPlayer, replayGame, parseReplay, applyInput,
+    createRng, hashSeed, seedToInt, radiusForLevel, scoreForMerge, garbageForMerge, normalizeLevels,
+    normalizeRules, diffRules, presetIdForRules, modeIdForRules,
+    DEFAULT_RULES, RULE_LIMITS, RULE_CHOICES, RULE_PRESETS, POWERS, MODES, MODE_RULES,
+    config: Object.freeze({ BOARD_SIZE, STEP_MS, TOP_LINE_Y, SPAWN_PAD, REPLAY_VERSION, SNAPSHOT_VERSION })
+  };
+});
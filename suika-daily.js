@@ -0,0 +1,181 @@
+/* suika-daily.js — the Daily challenge: one seed and one objective per local calendar day
+   - dayKey() is the local date as YYYY-MM-DD; the run's seed is derived from it, so everyone playing on the same
+     date gets the same fruit sequence
+   - OBJECTIVES lists the goals as data; the day's goal rotates through the list one entry per day
+   - An objective may change rules (e.g. no Clear Small); everything else is Classic
+   - createTracker() follows one SuikaGame's events and reports when the objective is met or can no longer be met,
+     and when an undo puts a missed one back in reach
+   - History ({ [day]: { attempts, met, score, drops, ticks, highestLevel } }) is kept by the caller wherever it likes;
+     recordResult(), streak() and shareText() work on it
+   - Text may use {level N}: the caller swaps in the fruit name of level N
+   - Works as a plain <script> (window.SuikaDaily) or under Node
+*/
+
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SuikaDaily = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  const TICKS_PER_SECOND = 60;
+  const SEED_PREFIX = 'daily-';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // value(ctx) -> progress towards goal; fail(ctx) -> true once the goal can no longer be met this run
+  const OBJECTIVES = Object.freeze([
+    { id: 'level7in40', text: 'Reach the {level 7} in under 40 drops', goal: 7,
+      value: c => c.highestLevel, fail: c => c.drops >= 40 },
+    { id: 'score800NoClear', text: 'Score 800 with Clear Small disabled', goal: 800, rules: { powerClear: false },
+      value: c => c.score },
+    { id: 'chain4', text: 'Make a chain of 4 merges', goal: 4,
+      value: c => c.longestChain },
+    { id: 'score500in2', text: 'Score 500 within 2 minutes', goal: 500,
+      value: c => c.score, fail: c => c.tick >= 2 * 60 * TICKS_PER_SECOND },
+    { id: 'level8', text: 'Make the {level 8}', goal: 8,
+      value: c => c.highestLevel },
+    { id: 'bigFruit600', text: 'Score 600 with every fruit 35% bigger', goal: 600, rules: { fruitScale: 1.35 },
+      value: c => c.score },
+    { id: 'score400in25', text: 'Score 400 in under 25 drops', goal: 400,
+      value: c => c.score, fail: c => c.drops >= 25 }
+  ].map(o => Object.freeze(Object.assign({ rules: {} }, o))));
+
+  // -------------------------
+  // Days
+  // -------------------------
+  function pad2(n){ return String(n).padStart(2, '0'); }
+
+  function dayKey(date = new Date()){
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+  }
+
+  // days since 1970-01-01 for a YYYY-MM-DD key (calendar days, so daylight saving never shifts it)
+  function dayNumber(day){
+    const [y, m, d] = day.split('-').map(Number);
+    return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+  }
+
+  function previousDay(day){
+    const d = new Date(dayNumber(day) * DAY_MS - DAY_MS);
+    return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+  }
+
+  function seedFor(day){ return SEED_PREFIX + day; }
+
+  // the day a seed belongs to, or null for an ordinary seed
+  function dayForSeed(seed){
+    const m = /^daily-(\d{4}-\d{2}-\d{2})$/.exec(String(seed));
+    return m ? m[1] : null;
+  }
+
+  function objectiveFor(day){
+    const n = dayNumber(day);
+    return OBJECTIVES[((n % OBJECTIVES.length) + OBJECTIVES.length) % OBJECTIVES.length];
+  }
+
+  // {level N} -> levelName(N)
+  function objectiveText(objective, levelName){
+    return objective.text.replace(/\{level (\d+)\}/g, (m, n) => levelName(Number(n)));
+  }
+
+  // -------------------------
+  // Tracker
+  // -------------------------
+  // follows `game` from its current state; status is 'open', then 'met' or 'failed' (met never turns into failed;
+  // failed turns back into open when an undo takes back what missed it)
+  function createTracker(game, objective, hooks = {}){
+    const st = game.getState();
+    const ctx = {
+      score: st.score, tick: st.tick, drops: st.stats.drops,
+      highestLevel: st.stats.highestLevel, longestChain: st.stats.longestChain
+    };
+    let status = 'open';
+
+    function evaluate(announce){
+      if(status !== 'open') return;
+      if(objective.value(ctx) >= objective.goal) status = 'met';
+      else if(objective.fail && objective.fail(ctx)) status = 'failed';
+      else return;
+      if(announce && hooks.onChange) hooks.onChange(status, { tick: ctx.tick });
+    }
+
+    // a resumed run that already met (or missed) the goal says so without a second announcement
+    evaluate(false);
+
+    const offs = [
+      game.on('drop', e => { ctx.drops++; ctx.tick = e.tick; evaluate(true); }),
+      game.on('merge', e => {
+        ctx.score = e.score; ctx.tick = e.tick;
+        ctx.highestLevel = Math.max(ctx.highestLevel, e.level);
+        ctx.longestChain = Math.max(ctx.longestChain, e.chain);
+        evaluate(true);
+      }),
+      // an undo puts the board back, but a goal already met stays met
+      game.on('undo', e => {
+        const s = game.getState();
+        Object.assign(ctx, { score: s.score, tick: e.tick, drops: s.stats.drops, highestLevel: s.stats.highestLevel, longestChain: s.stats.longestChain });
+        if(status === 'failed' && !(objective.fail && objective.fail(ctx))){
+          status = 'open';
+          if(hooks.onChange) hooks.onChange(status, { tick: ctx.tick });
+        }
+        evaluate(true);
+      }),
+      game.on('tick', e => { ctx.tick = e.tick; if(e.tick % TICKS_PER_SECOND === 0) evaluate(true); }),
+      game.on('gameover', e => { ctx.tick = e.tick; ctx.score = e.score; evaluate(true); })
+    ];
+
+    return {
+      ctx, objective,
+      get status(){ return status; },
+      get progress(){ return Math.min(1, Math.max(0, objective.value(ctx) / objective.goal)); },
+      stop(){ for(const off of offs) off(); }
+    };
+  }
+
+  // -------------------------
+  // History
+  // -------------------------
+  // result: { met, score, drops, ticks, highestLevel }; the day keeps its best run (met first, then score)
+  function recordResult(history, day, result){
+    const rec = history[day] || (history[day] = { attempts: 0, met: false, score: 0, drops: 0, ticks: 0, highestLevel: 0 });
+    rec.attempts++;
+    const better = (result.met && !rec.met) || (result.met === rec.met && result.score > rec.score) || rec.attempts === 1;
+    if(better) Object.assign(rec, { met: !!result.met, score: result.score, drops: result.drops, ticks: result.ticks, highestLevel: result.highestLevel });
+    return rec;
+  }
+
+  // current: days in a row with the objective met, up to today (today still open doesn't break it);
+  // best: the longest such run in the history
+  function streak(history, today = dayKey()){
+    const met = day => !!(history[day] && history[day].met);
+    let current = 0;
+    let day = met(today) ? today : previousDay(today);
+    while(met(day)){ current++; day = previousDay(day); }
+    let best = 0, run = 0, last = null;
+    for(const d of Object.keys(history).filter(met).sort()){
+      run = last !== null && dayNumber(d) - dayNumber(last) === 1 ? run + 1 : 1;
+      best = Math.max(best, run);
+      last = d;
+    }
+    return { current, best };
+  }
+
+  // Wordle-style summary: a row of fruit up to the best one reached, blanks for the rest
+  // names: { levelName(n), levelEmoji(n), maxLevel }
+  function shareText(day, rec, names, streakInfo){
+    const objective = objectiveFor(day);
+    const row = [];
+    for(let i=1;i<=names.maxLevel;i++) row.push(i <= rec.highestLevel ? (names.levelEmoji(i) || '🟩') : '⬛');
+    const secs = Math.round(rec.ticks / TICKS_PER_SECOND);
+    const lines = [
+      `Suika Daily ${day}`,
+      `${objectiveText(objective, names.levelName)} ${rec.met ? '✅' : '❌'}`,
+      row.join(''),
+      `Score ${rec.score} · ${rec.drops} drops · ${Math.floor(secs / 60)}:${pad2(secs % 60)}`
+    ];
+    if(streakInfo && streakInfo.current > 0) lines.push(`🔥 ${streakInfo.current}-day streak`);
+    return lines.join('\n');
+  }
+
+  return {
+    OBJECTIVES, dayKey, dayNumber, previousDay, seedFor, dayForSeed, objectiveFor, objectiveText,
+    createTracker, recordResult, streak, shareText
+  };
+});
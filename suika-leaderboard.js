@@ -0,0 +1,152 @@
+/* suika-leaderboard.js — local leaderboard in IndexedDB
+   - One record per finished run: name, date, score, duration, drops, highest fruit, longest chain, longest drought,
+     rules + randomizer, undos used, mode, replay
+   - Every mode has its own board (runs without a mode are Endless); each keeps its best MAX_RUNS runs,
+     the rest are pruned after each add (by score; Target ranks by targetTicks, the time the target took, misses last)
+   - First open copies the old single-number high score (localStorage suika_physics_high) in as a run
+   - Every call returns a Promise; it rejects if IndexedDB is unavailable (e.g. some private modes)
+   - Works as a plain <script> (window.SuikaLeaderboard)
+*/
+
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(root.indexedDB);
+  else root.SuikaLeaderboard = factory(root.indexedDB);
+})(typeof self !== 'undefined' ? self : this, function(idb){
+  const DB_NAME = 'suika_physics';
+  const DB_VERSION = 1;
+  const RUNS = 'runs';
+  const META = 'meta';
+  const MAX_RUNS = 200;
+  const LEGACY_HIGH_KEY = 'suika_physics_high';
+
+  // fields the overlay can sort by; everything else is display-only
+  const SORT_FIELDS = ['score', 'date', 'ticks', 'targetTicks', 'drops', 'highestLevel', 'longestChain', 'longestDrought', 'name'];
+
+  let dbPromise = null;
+
+  // IDBRequest -> Promise
+  function done(req){
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function open(){
+    if(dbPromise) return dbPromise;
+    // read now, not once the database is ready, so a run finished in the meantime isn't counted twice
+    let legacyHigh = 0;
+    try{ legacyHigh = parseInt(localStorage.getItem(LEGACY_HIGH_KEY)) || 0; }catch(e){}
+    dbPromise = new Promise((resolve, reject) => {
+      if(!idb){ reject(new Error('IndexedDB is not available')); return; }
+      const req = idb.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if(!db.objectStoreNames.contains(RUNS)){
+          const runs = db.createObjectStore(RUNS, { keyPath: 'id', autoIncrement: true });
+          runs.createIndex('score', 'score');
+        }
+        if(!db.objectStoreNames.contains(META)) db.createObjectStore(META, { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error || new Error('Could not open the leaderboard'));
+      req.onblocked = () => reject(new Error('Leaderboard is open in another tab with an older version'));
+    }).then(db => migrateLegacyHigh(db, legacyHigh)).catch(e => { dbPromise = null; throw e; });
+    return dbPromise;
+  }
+
+  function store(db, name, mode){ return db.transaction(name, mode).objectStore(name); }
+
+  // one-time: the old high score becomes a nameless Classic run
+  function migrateLegacyHigh(db, legacy){
+    return done(store(db, META, 'readonly').get('legacyHighMigrated')).then(flag => {
+      if(flag) return db;
+      const tx = db.transaction([RUNS, META], 'readwrite');
+      if(legacy > 0){
+        tx.objectStore(RUNS).add({
+          name: 'Earlier best', date: null, score: legacy, ticks: null, drops: null,
+          highestLevel: null, longestChain: null, preset: 'classic', presetName: 'Classic', legacy: true
+        });
+      }
+      tx.objectStore(META).put({ key: 'legacyHighMigrated', value: Date.now() });
+      return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve(db);
+        tx.onerror = () => reject(tx.error);
+      });
+    });
+  }
+
+  // 'endless' or e.g. 'timeAttack:7200'; modeGroup is the part before the colon
+  function modeOf(run){ return run.mode || 'endless'; }
+  function modeGroup(mode){ return String(mode).split(':')[0]; }
+
+  // best first: a Target board by the time the target took (runs that missed it last), any other by score
+  function compareBest(mode){
+    if(modeGroup(mode) !== 'target') return (a, b) => b.score - a.score;
+    return (a, b) => {
+      const x = a.targetTicks, y = b.targetTicks;
+      if(x == null || y == null) return (x == null) - (y == null) || b.score - a.score;
+      return x - y || b.score - a.score;
+    };
+  }
+
+  // per mode, drop everything past its MAX_RUNS best
+  function prune(db){
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(RUNS, 'readwrite');
+      const runs = tx.objectStore(RUNS);
+      const req = runs.getAll();
+      req.onsuccess = () => {
+        const byMode = {};
+        for(const run of req.result) (byMode[modeOf(run)] = byMode[modeOf(run)] || []).push(run);
+        for(const mode in byMode){
+          if(byMode[mode].length <= MAX_RUNS) continue;
+          for(const run of byMode[mode].sort(compareBest(mode)).slice(MAX_RUNS)) runs.delete(run.id);
+        }
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // run: { name, date, score, ticks, drops, highestLevel, longestChain, longestDrought, randomizer, undos, preset, presetName,
+  //        mode, modeName, targetTicks, seed, theme, replay, resumedAt }
+  // replay is null for a run resumed from a save its inputs don't replay to (resumedAt: the tick it was loaded at)
+  // resolves to the new run's id
+  function addRun(run){
+    return open().then(db => done(store(db, RUNS, 'readwrite').add(Object.assign({}, run)))
+      .then(id => prune(db).then(() => id)));
+  }
+
+  function updateRun(id, changes){
+    return open().then(db => {
+      const runs = store(db, RUNS, 'readwrite');
+      return done(runs.get(id)).then(run => {
+        if(!run) return null;
+        const next = Object.assign(run, changes, { id });
+        return done(runs.put(next)).then(() => next);
+      });
+    });
+  }
+
+  function deleteRun(id){ return open().then(db => done(store(db, RUNS, 'readwrite').delete(id))); }
+
+  // all runs, sorted; nulls (e.g. the migrated legacy run's stats) always sort last
+  // opts.mode: a whole mode id ('timeAttack:7200') or a group ('drops' = every drop count)
+  function listRuns(opts = {}){
+    const sort = SORT_FIELDS.includes(opts.sort) ? opts.sort : 'score';
+    const dir = opts.dir === 'asc' ? 1 : -1;
+    return open().then(db => done(store(db, RUNS, 'readonly').getAll())).then(runs => {
+      let list = opts.preset ? runs.filter(r => r.preset === opts.preset) : runs;
+      if(opts.mode) list = list.filter(r => modeOf(r) === opts.mode || modeGroup(modeOf(r)) === opts.mode);
+      return list.sort((a, b) => {
+        const x = a[sort], y = b[sort];
+        if(x == null || y == null) return (x == null) - (y == null);
+        if(x === y) return b.score - a.score;
+        return (typeof x === 'string' ? x.localeCompare(y) : x - y) * dir;
+      });
+    });
+  }
+
+  return { MAX_RUNS, SORT_FIELDS, open, addRun, updateRun, deleteRun, listRuns };
+});
@@ -0,0 +1,259 @@
+/* suika-net.js — online versus through suika-relay.js: the lobby client and the match it starts
+   - createClient({ url }) connects to the relay; host() / join(code) / setReady() / leave() drive the lobby
+   - Both players run the host's seed and rules (with SuikaVersus.VERSUS_RULES laid over them); only inputs travel:
+     every entry a board records ([tick, action, x?]) is sent as it happens, plus a heartbeat every SYNC_TICKS ticks
+   - The opponent's bowl is a ghost: a local board fed their inputs and stepped only as far as their last heartbeat,
+     so it trails their real board by the network delay
+   - Your board's 'attack' is sent to the opponent, whose board takes it as garbage; that comes back to your ghost
+     of them as their own 'j' input, so both copies drop it on the same tick
+   - Every HASH_TICKS ticks the heartbeat carries the real board's stateHash(); the ghost compares its own at that tick,
+     reports 'desync' and asks for their whole input log, then is rebuilt by replaying it from the seed (a snapshot
+     would drift: it can't carry Matter's contact state)
+   - The relay judges the end; the match's 'end' has the shape of a SuikaVersus one, with you as player 0
+   - Works as a plain <script> (window.SuikaNet) or under Node (pass a WebSocket implementation, e.g. require('ws'))
+*/
+
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./suika-core.js'), require('./suika-versus.js'));
+  else root.SuikaNet = factory(root.SuikaGame, root.SuikaVersus);
+})(typeof self !== 'undefined' ? self : this, function(SuikaGame, SuikaVersus){
+  const SYNC_TICKS = 6;    // heartbeat every 0.1s: how far the ghost may run
+  const HASH_TICKS = 120;  // state hash every 2s
+  const DEFAULT_PORT = 8787;
+  const CODE_PATTERN = /^[A-Z]{4}$/;
+
+  // the relay on the page's own server when it serves the game, else one on this machine
+  function defaultUrl(loc = (typeof location !== 'undefined' ? location : null)){
+    if(loc && /^https?:$/.test(loc.protocol)) return (loc.protocol === 'https:' ? 'wss://' : 'ws://') + loc.host + '/relay';
+    return `ws://localhost:${DEFAULT_PORT}/relay`;
+  }
+
+  function normalizeCode(code){ return String(code == null ? '' : code).replace(/\s+/g, '').toUpperCase(); }
+  function isCode(code){ return CODE_PATTERN.test(normalizeCode(code)); }
+
+  function createEmitter(){
+    const listeners = {};
+    function on(type, fn){ (listeners[type] = listeners[type] || []).push(fn); return () => off(type, fn); }
+    function off(type, fn){ if(listeners[type]) listeners[type] = listeners[type].filter(f => f !== fn); }
+    function emit(type, payload){
+      const list = listeners[type]; if(!list) return;
+      for(const fn of list.slice()){ try{ fn(payload); } catch(e){ console.error(e); } }
+    }
+    return { on, off, emit };
+  }
+
+  // -------------------------
+  // Match
+  // -------------------------
+  // options: { seed, rules, levels, theme, you, names, round, send }; returns the match plus the client's handles on it
+  function createNetMatch(options){
+    const rules = SuikaVersus.versusRules(options.rules);
+    const setup = { seed: options.seed, theme: options.theme, levels: options.levels, rules };
+    const local = SuikaGame.createGame(setup);
+    let ghost = SuikaGame.createGame(setup);
+    const names = [options.names[options.you], options.names[1 - options.you]];
+    const send = msg => { if(!stopped) options.send(msg); };
+    const { on, off, emit } = createEmitter();
+
+    let pending = [];  // their inputs the ghost has not reached yet
+    let waitingLog = false;
+    let desyncs = 0;
+    let result = null; // { winner, loser, reason, player, tick, scores }, 0 = you
+    let stopped = false;
+
+    // -------------------------
+    // Sending
+    // -------------------------
+    const offs = [
+      local.on('input', e => send({ t: 'in', e })),
+      local.on('attack', e => {
+        if(result) return;
+        send({ t: 'attack', count: e.count });
+        emit('attack', Object.assign({}, e, { from: 0, to: 1 }));
+      }),
+      local.on('gameover', e => send({ t: 'over', reason: e.reason, tick: e.tick, score: e.score, round: options.round }))
+    ];
+
+    function step(ticks = 1){
+      for(let t=0;t<ticks && !result && !local.over;t++){
+        local.step(1);
+        if(local.tick % SYNC_TICKS !== 0) continue;
+        const beat = { t: 'tick', tick: local.tick };
+        if(local.tick % HASH_TICKS === 0) beat.hash = local.stateHash();
+        send(beat);
+      }
+    }
+
+    // -------------------------
+    // Receiving
+    // -------------------------
+    // the ghost runs up to `tick`, taking their inputs on the ticks they were made
+    function advanceGhost(tick){
+      while(ghost.tick < tick && !ghost.over){
+        while(pending.length && pending[0][0] <= ghost.tick) SuikaGame.applyInput(ghost, pending.shift());
+        ghost.step(1);
+      }
+    }
+
+    function receive(msg){
+      if(stopped || result) return;
+      if(msg.t === 'in'){
+        if(Array.isArray(msg.e) && Number.isInteger(msg.e[0])) pending.push(msg.e.slice(0, 3));
+      } else if(msg.t === 'tick'){
+        if(!Number.isInteger(msg.tick)) return;
+        advanceGhost(msg.tick);
+        if(msg.hash == null || waitingLog || ghost.tick !== msg.tick) return;
+        if(ghost.stateHash() !== msg.hash){
+          desyncs++;
+          waitingLog = true;
+          emit('desync', { tick: msg.tick, count: desyncs });
+          send({ t: 'resync' });
+        }
+      } else if(msg.t === 'attack'){
+        // lands as our 'j' input, which their ghost of us picks up like any other
+        const count = Math.floor(msg.count);
+        if(count > 0 && local.addGarbage(count)) emit('attack', { count, from: 1, to: 0, x: SuikaGame.config.BOARD_SIZE / 2, y: 0, tick: local.tick });
+      } else if(msg.t === 'resync'){
+        send({ t: 'log', tick: local.tick, a: local.getReplay().a });
+      } else if(msg.t === 'log'){
+        // everything they did up to `tick`, the inputs made on it included: whatever is still pending is in there too
+        if(!Number.isInteger(msg.tick) || !Array.isArray(msg.a)) return;
+        const log = msg.a.filter(e => Array.isArray(e) && Number.isInteger(e[0])).map(e => e.slice(0, 3));
+        try{ ghost = SuikaGame.replayGame(setup, log, msg.tick); }catch(e){ return; }
+        pending = [];
+        waitingLog = false;
+        emit('resync', { tick: ghost.tick });
+      }
+    }
+
+    // the relay's verdict, turned round so that 0 is always you
+    function finish(msg){
+      if(stopped || result) return;
+      const mine = i => (i === options.you ? 0 : 1);
+      const winner = msg.winner == null ? null : mine(msg.winner);
+      const loser = winner === null ? null : 1 - winner;
+      result = {
+        winner, loser, reason: msg.reason,
+        player: msg.reason === 'supernova' ? winner : loser,
+        tick: local.tick, scores: [local.score, ghost.score]
+      };
+      emit('end', Object.assign({}, result));
+    }
+
+    function getState(){
+      return {
+        tick: local.tick, over: !!result, result: result ? Object.assign({}, result) : null, names: names.slice(), desyncs,
+        players: [local, ghost].map(g => {
+          const st = g.getState();
+          return { score: st.score, queue: st.queue, garbage: st.garbage.pending, stats: st.stats, over: st.over };
+        })
+      };
+    }
+
+    // walking away from a match that is still on concedes it
+    function stop(){
+      if(stopped) return;
+      if(!result && !local.over) send({ t: 'over', reason: 'quit', tick: local.tick, score: local.score, round: options.round });
+      stopped = true;
+      for(const o of offs) o();
+      offs.length = 0;
+    }
+
+    const match = {
+      rules, names, round: options.round, on, off, step, getState, stop,
+      get games(){ return [local, ghost]; },
+      get tick(){ return local.tick; },
+      get over(){ return !!result; },
+      get result(){ return result ? Object.assign({}, result) : null; },
+      get desyncs(){ return desyncs; }
+    };
+    return { match, receive, finish };
+  }
+
+  // -------------------------
+  // Client
+  // -------------------------
+  // options: { url, levels, theme, WebSocket }; levels / theme are the fruit set every match of this client uses
+  function createClient(options = {}){
+    const Socket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    if(!Socket) throw new Error('WebSocket is not available here');
+    const { on, off, emit } = createEmitter();
+    const queued = [];
+    let lobby = null;   // the relay's last word on our lobby: { code, you, playing, round, players: [{ name, ready }] }
+    let current = null; // { match, receive, finish } of the running or last match
+    let state = 'connecting';
+
+    const ws = new Socket(options.url || defaultUrl());
+
+    function send(msg){
+      if(state === 'open') ws.send(JSON.stringify(msg));
+      else if(state === 'connecting') queued.push(msg);
+    }
+
+    function handle(msg){
+      if(msg.t === 'lobby'){
+        lobby = msg;
+        emit('lobby', msg);
+      } else if(msg.t === 'left'){
+        lobby = null;
+        emit('lobby', null);
+      } else if(msg.t === 'start'){
+        if(current) current.match.stop();
+        current = null;
+        // the relay passes the host's rules on unchecked: a match that can't be set up here is left, not hung in
+        try{
+          current = createNetMatch({
+            seed: msg.seed, rules: msg.rules, levels: options.levels, theme: options.theme,
+            you: msg.you, names: msg.names, round: msg.round, send
+          });
+        }catch(e){
+          emit('error', { message: `Can't play this lobby's rules: ${e.message}` });
+          send({ t: 'leave' });
+          return;
+        }
+        emit('start', current.match);
+      } else if(msg.t === 'result'){
+        if(current && msg.round === current.match.round) current.finish(msg);
+      } else if(msg.t === 'error'){
+        emit('error', { message: String(msg.message) });
+      } else if(current){
+        current.receive(msg);
+      }
+    }
+
+    ws.onopen = () => {
+      state = 'open';
+      while(queued.length) ws.send(JSON.stringify(queued.shift()));
+      emit('open');
+    };
+    ws.onmessage = ev => {
+      let msg;
+      try{ msg = JSON.parse(ev.data); }catch(e){ return; }
+      if(msg && typeof msg.t === 'string') handle(msg);
+    };
+    ws.onerror = () => { if(state === 'connecting') emit('error', { message: 'Could not reach the relay' }); };
+    ws.onclose = () => {
+      const was = state;
+      state = 'closed';
+      lobby = null;
+      // a match cut off halfway has no winner
+      if(current) current.finish({ winner: null, reason: 'disconnected' });
+      if(was !== 'closed') emit('close');
+    };
+
+    return {
+      on, off,
+      host(opts = {}){ send({ t: 'host', name: opts.name, seed: opts.seed, rules: SuikaGame.diffRules(SuikaGame.normalizeRules(opts.rules)) }); },
+      join(code, name){ send({ t: 'join', code: normalizeCode(code), name }); },
+      setReady(ready = true){ send({ t: 'ready', ready: !!ready }); },
+      leave(){ send({ t: 'leave' }); },
+      close(){ if(state !== 'closed'){ state = 'closed'; try{ ws.close(); }catch(e){} emit('close'); } },
+      get lobby(){ return lobby; },
+      get match(){ return current ? current.match : null; },
+      get connected(){ return state === 'open'; },
+      get state(){ return state; }
+    };
+  }
+
+  return { SYNC_TICKS, HASH_TICKS, DEFAULT_PORT, defaultUrl, normalizeCode, isCode, createClient };
+});
@@ -1,90 +1,268 @@
-/* suika-physics.js — updated full file
-   - Responsive fruit sizes (percentage of board)
-   - Snug collisions and density/inertia tuning
-   - Spin clamping and damping for larger fruits
-   - Suika-like scoring table (tighter)
-   - Deterministic preview (weighted up to SPAWN_MAX_LEVEL)
+/* suika-physics.js — p5 renderer + DOM UI
+   - Rules live in suika-core.js (SuikaGame); this file draws its state and wires input/DOM to it
+   - Responsive board: core board units are scaled to the current viewport every frame
    - Landing overlay / onboarding tutorial
    - Achievements & chain shoutouts
    - Clear Small alt-charge UI logic
-   - Game over & Fruit Supernova end conditions
+   - Game over & Fruit Supernova overlays
+   - Seed from ?seed= or the start-screen field for reproducible runs
+   - Fixed-timestep loop: real frame time is accumulated and fed to the core in whole ticks
+   - Replays: watch the last run at 0.5x-4x with pause/step, export as JSON, drop a file to import
+   - Autosave of the running game (periodic + on tab hide) and "Resume game" on the landing overlay
+   - Fruit sets from themes/manifest.json (suika-themes.js); missing images fall back to vector + emoji
+   - Rule presets + custom rules editor on the landing overlay, shareable as ?preset= / ?rules= links;
+     high scores are kept per rule set
+   - Merge chronology panel: live event log per game with filters, summary and CSV/JSON export
+   - Local leaderboard (suika-leaderboard.js, IndexedDB): every finished run is stored with its stats,
+     named from the Game Over card, and listed from the landing / Game Over overlays
+   - Achievements from the registry in suika-achievements.js, unlocks kept in localStorage, trophy room overlay
+   - Keyboard play: aim cursor (coarse steps, Shift for fine), drop, Clear Small, New Game and pause,
+     all remappable from the landing overlay and kept in localStorage
+   - Gamepad (standard mapping): stick / d-pad aim, A drops, X clears, Start pauses; stick deadzone is a setting,
+     and the top bar prompts follow whichever input was used last
+   - Next preview shows the rules' queue of upcoming fruits (1-5); the run's randomizer and longest drought go on the leaderboard
+   - Sound from suika-audio.js: synthesized effects per event, a music loop that speeds up with danger,
+     master / effects / music volumes and mute kept in localStorage
+   - Danger zone: a pulsing line and alarm while a fruit sits near the top, then a countdown ring on the fruit
+     that is over the line; the Game Over card names that fruit
+   - Hold slot beside the next preview when the rules allow it (key, gamepad Y or a click on the slot)
+   - Undo button / key / gamepad B when the rules give undo charges; runs that used it are flagged on the leaderboard
+   - Modes (Endless, Time Attack 2/5 min, Limited Drops, Target) picked on the landing overlay: a countdown or
+     counter in #scorePanel, a result card per mode on Game Over, and a leaderboard + high score per mode
+   - Local versus (suika-versus.js): two bowls side by side, fixed keyboard halves or one gamepad each, a score /
+     next fruit / incoming garbage HUD above each bowl; big merges and chains drop garbage on the other bowl
+   - Ghost run: with the toggle on, the best leaderboard run on the same seed and rules replays alongside a live game
+     as outlined fruit behind the real ones, and a line under #score shows how far ahead or behind of it you are
+   - Online versus (suika-net.js + suika-relay.js): host or join a lobby by code on the landing overlay, ready up,
+     and the same two-bowl screen shows your board next to a live ghost of the opponent's; no pausing online
+   - Daily challenge (suika-daily.js): today's seed and objective from the landing overlay, a badge while it runs,
+     per-day results and streak in localStorage, and a copyable text summary on the Game Over card
+   - Power buttons (Clear Small, Shake, Upgrade, Pop, Magnet) with cost pips and a cooldown fill, shown when the rules
+     turn them on; Upgrade and Pop wait for a fruit to be picked (click it, or the drop key takes the top fruit under the aim)
+   - Pause overlay (resume / restart / settings / quit); the game pauses itself when the window loses focus or the tab is hidden.
+     Merges, chain windows and spawn grace all count core ticks, so they simply wait while no ticks run
+   - Accessibility mode: screen-reader announcements through live regions (next fruit, merges, score, danger,
+     a status report on a key) and a level number + outline pattern on every fruit; particles, wobble and
+     float pops stop when reduced motion is asked for (system setting or override); overlays are modal dialogs
+     that keep Tab inside them
 */
 
 (() => {
-  const { Engine, World, Bodies, Body, Events, Composite, Vector } = Matter;
+  const { BOARD_SIZE, STEP_MS, TOP_LINE_Y, SPAWN_PAD } = SuikaGame.config;
 
   // -------------------------
   // CONFIG
   // -------------------------
-  const MAX_LEVEL = 9;
-  const SPAWN_MAX_LEVEL = 4;
-  // Weighted probabilities for spawn levels 1..4 (should sum to ~1)
-  const SPAWN_WEIGHTS = [0.44, 0.30, 0.18, 0.08];
-
-  // Fruit sizing (fraction of board width)
-  // Level 1 radius fraction of boardW; everything scales with boardW for responsive layout
-  const RADIUS_BASE_FRAC = 0.02; // level1 radius = 5% of boardW
-  const RADIUS_GROWTH = 1.43;    // per-level growth multiplier
-  const MAX_RADIUS_FRAC = 0.33;  // clamp so fruit never bigger than this fraction of boardW
-
-  // Merge and collision tuning
-  const MERGE_MIN_DIST = 1.2; // use sum of radii * this -> nearly exact contact for merge checks
-  const SPAWN_DEBOUNCE = 200;
-  const SPAWN_GRACE_MS = 900;
-  const CLEAR_UNLOCK_SCORE = 500;
-  const CLEAR_RECHARGE_POINTS = 300;
+  const MAX_FRAME_MS = 250; // long frames (tab switch, hitch) are clamped so we never spiral
+  const WARNING_CUE_TICKS = 180; // the danger alarm and urgent danger announcements repeat at most once per 3s per bowl
+  const SPAWN_DEBOUNCE_TICKS = 12;
+  const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+  const SAVE_KEY = 'suika_physics_save';
+  const AUTOSAVE_TICKS = 300; // ~5s of play
+  const THEME_KEY = 'suika_physics_theme';
+  const RULES_KEY = 'suika_physics_rules';
+  const HIGH_KEY = 'suika_physics_high'; // Classic; other rule sets get a suffix
+  const FLOW_TYPES = [['merge', 'Merges'], ['chain', 'Chains'], ['clear', 'Clears'], ['power', 'Powers'], ['hold', 'Holds'], ['undo', 'Undos'], ['achievement', 'Achievements'], ['end', 'End']];
+  const FLOW_DOM_LIMIT = 200; // entries rendered at once; the full log is kept for export
+  const NAME_KEY = 'suika_physics_name';
+  const ACHIEVEMENTS_KEY = 'suika_physics_achievements';
+  const KEYS_KEY = 'suika_physics_keys';
+  const AUDIO_KEY = 'suika_physics_audio';
+  const A11Y_KEY = 'suika_physics_a11y';
+  const DAILY_KEY = 'suika_physics_daily';
+  const MODE_KEY = 'suika_physics_mode';
+  const GHOST_KEY = 'suika_physics_ghost';
+  const GHOST_CATCHUP_TICKS = 240; // a resumed game's ghost catches up this many ticks a frame
+  // mode picker / leaderboard filter: [value, label, rules]; Limited Drops and Target take their number from a second field
+  const MODE_OPTIONS = [
+    ['endless', 'Endless', { mode: 'endless' }],
+    ['timeAttack:7200', 'Time Attack · 2 min', { mode: 'timeAttack', modeTicks: 7200 }],
+    ['timeAttack:18000', 'Time Attack · 5 min', { mode: 'timeAttack', modeTicks: 18000 }],
+    ['drops', 'Limited Drops', { mode: 'drops' }],
+    ['target', 'Target', { mode: 'target' }]
+  ];
+  const SETTINGS_PANELS = ['soundPanel', 'keysPanel', 'a11yPanel']; // landing-card editors the pause overlay borrows
+
+  // keyboard: KeyboardEvent.key values (letters lower-case), two slots per action
+  const DEFAULT_BINDINGS = Object.freeze({
+    left: ['ArrowLeft', 'a'], right: ['ArrowRight', 'd'], drop: [' ', 'Enter'],
+    clear: ['c', null], shake: ['2', null], upgrade: ['3', null], pop: ['4', null], magnet: ['5', null],
+    hold: ['h', 'ArrowUp'], undo: ['z', null], newGame: ['n', null], pause: ['p', 'Escape'], mute: ['m', null],
+    status: ['i', null]
+  });
+  const ACTION_LABELS = {
+    left: 'Aim left', right: 'Aim right', drop: 'Drop', clear: 'Clear Small', shake: 'Shake', upgrade: 'Upgrade a fruit',
+    pop: 'Pop a fruit', magnet: 'Magnet', hold: 'Hold / swap', undo: 'Undo drop', newGame: 'New Game', pause: 'Pause', mute: 'Mute', status: 'Read status'
+  };
+  // top-bar button of each power (the binding actions share the power ids)
+  const POWER_BUTTONS = { clear: 'btnClear', shake: 'btnShake', upgrade: 'btnUpgrade', pop: 'btnPop', magnet: 'btnMagnet' };
+  const AIM_STEP = 20, AIM_STEP_FINE = 4;            // board units per key press (Shift = fine)
+  const AIM_SPEED = 420, AIM_SPEED_FINE = 90;        // board units per second while held
+  const AIM_HOLD_DELAY_MS = 180;                     // a held key starts gliding after this
+
+  // versus: fixed keys per player (the remappable bindings stay with single play); gamepads go to the players
+  // in the order they are listed by the browser
+  const VERSUS_KEYS = [
+    { left: 'a', right: 'd', drop: 's', hold: 'w', clear: 'q' },
+    { left: 'ArrowLeft', right: 'ArrowRight', drop: 'ArrowDown', hold: 'ArrowUp', clear: 'Enter' }
+  ];
+  const VERSUS_COLORS = ['#e4572e', '#3a86ff'];
+  const VERSUS_HUD_H = 70; // room above each bowl for its player's score, next fruit and incoming garbage
+
+  // gamepad: standard-mapping button indices
+  const PAD = { A: 0, B: 1, X: 2, Y: 3, START: 9, LEFT: 14, RIGHT: 15 };
+  const PAD_AIM_SPEED = 640;                          // board units per second at full stick
+  const DEADZONE_KEY = 'suika_physics_deadzone';
+  const DEFAULT_DEADZONE = 0.2, MIN_DEADZONE = 0.05, MAX_DEADZONE = 0.6;
+  // leaderboard columns: [run field (sortable), header]
+  const BOARD_COLUMNS = [
+    ['name', 'Name'], ['score', 'Score'], ['date', 'Date'], ['ticks', 'Time'], ['drops', 'Drops'],
+    ['highestLevel', 'Best fruit'], ['longestChain', 'Chain'], ['longestDrought', 'Drought'], [null, 'Rules'], [null, '']
+  ];
+
+  // custom rules editor: [rule, label] in display order
+  const RULE_FIELDS = [
+    ['spawnWeights', 'Spawn odds (lvl 1, 2, …)'],
+    ['randomizer', 'Randomizer'],
+    ['previewCount', 'Fruits in preview'],
+    ['fruitScale', 'Fruit size ×'],
+    ['mergeMinDist', 'Merge reach'],
+    ['chainMultiplierPer', 'Chain bonus per merge'],
+    ['chainMultiplierCap', 'Chain bonus cap'],
+    ['clearUnlockScore', 'Power meter unlocks at'],
+    ['clearRechargePoints', 'Points per power charge'],
+    ['powerMaxCharges', 'Power charges banked (max)'],
+    ['powerClear', 'Clear Small'],
+    ['clearMaxLevel', 'Clear Small up to level'],
+    ['powerShake', 'Shake'],
+    ['powerUpgrade', 'Upgrade'],
+    ['powerPop', 'Pop'],
+    ['powerMagnet', 'Magnet'],
+    ['spawnGraceTicks', 'Spawn grace (ticks)'],
+    ['gravityIdle', 'Gravity, empty bowl'],
+    ['gravityBase', 'Gravity base'],
+    ['gravityPerLevel', 'Gravity per level'],
+    ['gravityCap', 'Gravity cap'],
+    ['supernovaCount', 'Supernova at'],
+    ['dangerBand', 'Danger band (units)'],
+    ['dangerWarnTicks', 'Danger warning after (ticks)'],
+    ['overflowTicks', 'Overflow countdown (ticks)'],
+    ['overflowEnds', 'Overflow ends the run'],
+    ['holdSlot', 'Hold slot'],
+    ['undoCharges', 'Undo charges (0 = off)'],
+    ['undoRechargePoints', 'Undo recharge (points)']
+  ];
 
   // Visual draw scaling (draw radius = r * 2 * VISUAL_DIAMETER_FACTOR)
   const VISUAL_DIAMETER_FACTOR = 1.2;
 
-  // Scoring: Suika-ish table (tight)
-  // index = level, value = points for merging into this level
-  const POINTS_PER_LEVEL = [0, 1, 3, 6, 10, 15, 21, 28, 36, 45];
-
-  // chain multiplier per extra merge in chain (small)
-  const CHAIN_MULTIPLIER_PER = 0.13; // chain growth reasonable
+  // accessibility mode: outline dash pattern per level, in multiples of the outline width ([] = solid);
+  // past the end of the list the patterns repeat with one more ring
+  const FRUIT_OUTLINES = [[], [1, 1.5], [4, 2], [8, 2, 1, 2], [1, 4], [10, 4], [3, 1.5, 3, 5]];
+  const ANNOUNCE_BATCH_MS = 450; // polite announcements arriving together are read as one
+  // overlays in stacking order, topmost first; only the topmost one takes keyboard focus
+  const OVERLAY_IDS = ['overlayLeaderboard', 'overlayTrophies', 'overlayPause', 'overlayGameOver', 'overlayStart'];
 
   // -------------------------
   // RUNTIME STATE
   // -------------------------
-  let engine, world;
-  let bodies = [];
-  let ground, leftWall, rightWall;
+  let game = null;        // current SuikaGame instance (null until the first Start)
+  let unbindGame = null;  // detaches the UI listeners from `game`
   let isRunning = false, gameOver = false;
-  let score = 0, high = 0;
-  let mergedThisStep = new Set();
-
-  let nextPick = null;
-  let lastSpawnAt = 0;
-  let lastSpawnTime = 0;
-
-  // ClearSmall state
-  let clearUnlocked = false;
-  let clearAvailable = false;
-  let pointsAccumSinceClear = 0;
-  let clearUsed = false;
-
-  // chain detection
-  let chainCount = 0;
-  let chainTimer = null;
-  const CHAIN_TIMEOUT = 900;
-  let lastMergeTime = 0;
+  let high = 0;
+  let highKey = HIGH_KEY;   // storage key of the rule set `high` belongs to
+  let activeRules = SuikaGame.DEFAULT_RULES; // rules for the next new game (without the mode)
+  let modeChoice = { option: 'endless', drops: SuikaGame.DEFAULT_RULES.modeDrops, target: SuikaGame.DEFAULT_RULES.modeTargetLevel };
+  let lastDropTick = -Infinity;
+  let targeting = null;  // power id waiting for the player to pick a fruit (Upgrade / Pop)
+  const dangerBeats = new WeakMap(); // board -> countdown beat last sounded, so each half second beeps once
+  const dangerCues = new WeakMap();  // board -> { state, said: { warning, overflow } }: the last danger state and the tick each was last called out
+  let sound = null;      // SuikaAudio engine, created in setup
+  let paused = false;
+  let stepAccumulator = 0;
+
+  // replays
+  let lastRun = null;      // recording of the last finished live game (null when it was resumed from a save it can't replay to)
+  let liveGame = null;     // that game, shown again when its replay is closed
+  let replayState = null;  // { player, speed, paused, returnTo } while a replay is on screen
+  let ghostOn = true;      // race the best run on the same seed and rules
+  let ghost = null;        // { g, player, run }: the replay racing live game g
+
+  let lastSaveTick = 0;
+
+  // themes: the built-in emoji set until the manifest has loaded
+  let themes = [SuikaThemes.normalizeTheme(SuikaThemes.EMOJI_THEME)];
+  let selectedTheme = themes[0]; // used for the next new game
+  let theme = themes[0];         // the set the board on screen is drawn with
+  const themeImages = {};        // theme id -> p5.Image (or null) per level, loaded on first use
+
+  // achievements: saved record { [id]: { best, unlockedAt } } and the tracker following the game on screen
+  let achievementsSaved = {};
+  let tracker = null;
+
+  // daily challenge: results per day ({ [day]: { attempts, met, score, … } }) and, while the game on screen
+  // is a Daily run, { day, objective, tracker }
+  let dailyHistory = {};
+  let daily = null;
+
+  // local or online versus while it is on screen: { match, online, players: [{ aimX, lastDropTick, held }, …], offs }
+  // (`game` is null then; the match owns both boards, and online the second one is the opponent's ghost)
+  let versus = null;
+
+  // online lobby: the relay connection while joining or in a lobby ({ client }), and the last thing to tell about it
+  let net = null;
+  let netNote = '';
+
+  // keyboard aiming
+  let bindings = copyBindings(DEFAULT_BINDINGS);
+  let aimX = BOARD_SIZE / 2;     // board units; persists between drops
+  let inputMode = 'pointer';     // 'pointer' | 'keyboard' | 'gamepad': whichever was used last
+  const heldAim = {};            // action -> ms the key went down
+  let capturingKey = null;       // { action, slot } while the remap editor waits for a key
+
+  // gamepad
+  let deadzone = DEFAULT_DEADZONE;
+  const padPressed = {};         // gamepad index -> buttons held last frame, for press edges
+
+  // leaderboard
+  let lastRunId = null; // id of the last finished live game, so the Game Over name field can rename it
+  const boardView = { sort: 'score', dir: 'desc', preset: '', mode: '' };
+
+  // merge chronology: one log per game object, so closing a replay brings the live game's log back
+  const flowLogs = new WeakMap();
+  let flow = null;              // { entries, summary } of the game on screen
+  const flowHidden = new Set(); // entry types filtered out of #flowList
 
   // UI / DOM
   let chainShoutEl = null;
-  let FRUIT_IMAGES = {};
   let canvasElem = null;
-  let previousBoardRect = null;
+
+  // accessibility: mode = announcements + fruit markings; reducedMotion null follows the system setting
+  const a11y = { mode: false, reducedMotion: null };
+  let announceQueue = [], announceTimer = null;
+  const dialogOpeners = {};   // overlay id -> element focused before it opened
+  let refocusSort = null;     // leaderboard column to focus again after a keyboard sort
 
   // particles
   let particles = [];
 
+  // purely visual/audio jitter, seeded alongside the game so effects replay the same way
+  let activeSeed = '';
+  let fxRng = Math.random;
+
   // -------------------------
   // UTILITIES
   // -------------------------
   function el(id){ return document.getElementById(id); }
 
-  function computeBoardRect(){
+  // count > 1: bowls side by side (versus), each with room for its HUD above it
+  function computeBoardRect(index = 0, count = versus ? versus.players.length : 1){
+    if(count > 1){
+      const gap = Math.max(40, window.innerWidth * 0.04);
+      const boardW = Math.max(160, Math.min((window.innerWidth * 0.94 - gap * (count - 1)) / count, window.innerHeight - VERSUS_HUD_H - 150));
+      const total = boardW * count + gap * (count - 1);
+      return { boardW, boardX: (window.innerWidth - total) / 2 + index * (boardW + gap), boardY: (window.innerHeight - boardW + VERSUS_HUD_H) / 2 + 20 };
+    }
     const isMobile = window.innerWidth < 760;
     // boardW should not exceed viewport height (square-ish)
     const boardW = Math.min(window.innerWidth * (isMobile ? 0.94 : 0.78), window.innerHeight * 0.78);
@@ -93,315 +271,2031 @@
     return { boardW, boardX, boardY };
   }
 
-  // radius proportional to boardW
-  function radiusForLevel(l){
-    const lvl = Math.max(1, Math.min(l, MAX_LEVEL));
-    const { boardW } = computeBoardRect();
-    const raw = boardW * RADIUS_BASE_FRAC * Math.pow(RADIUS_GROWTH, lvl - 1);
-    const clamped = Math.min(raw, boardW * MAX_RADIUS_FRAC);
-    // round to integer pixels for the physics engine
-    return Math.round(Math.max(4, clamped));
+  // -------------------------
+  // Seeds
+  // -------------------------
+  function makeSeed(){ return String(Math.floor(Math.random() * 1e9)); }
+
+  function seedFromUrl(){
+    try { return (new URLSearchParams(window.location.search).get('seed') || '').trim(); } catch(e){ return ''; }
+  }
+
+  // field value wins, then ?seed=, otherwise a fresh random seed (still shown so the run can be repeated)
+  function resolveSeed(){
+    const input = el('seedInput');
+    const typed = input ? input.value.trim() : '';
+    return typed || seedFromUrl() || makeSeed();
+  }
+
+  function applySeed(text){
+    activeSeed = String(text);
+    fxRng = SuikaGame.createRng(SuikaGame.seedToInt(activeSeed) ^ 0x9E3779B9);
+  }
+
+  function updateSeedDom(){
+    const gs = el('gameOverSeed'); if(gs) gs.innerText = activeSeed ? ('Seed ' + activeSeed) : '';
+  }
+
+  // board units -> screen pixels for the current viewport
+  function boardScale(rect = computeBoardRect()){ return rect.boardW / BOARD_SIZE; }
+  function toScreen(x, y, rect = computeBoardRect()){
+    const k = boardScale(rect);
+    return { x: rect.boardX + x * k, y: rect.boardY + y * k };
+  }
+  function toBoardX(screenX){ const rect = computeBoardRect(); return (screenX - rect.boardX) / boardScale(rect); }
+
+  // -------------------------
+  // Themes
+  // -------------------------
+  function themeById(id){ return themes.find(t => t.id === id) || null; }
+
+  // manifest -> theme list; a missing or broken manifest still leaves the emoji set
+  function applyManifest(manifest){
+    const parsed = SuikaThemes.parseManifest(manifest);
+    for(const msg of parsed.errors) console.warn('Theme skipped:', msg);
+    themes = parsed.themes;
+    let stored = null;
+    try{ stored = localStorage.getItem(THEME_KEY); }catch(e){}
+    selectedTheme = themeById(stored) || themeById(parsed.defaultId);
+    theme = selectedTheme;
+  }
+
+  function loadThemeImages(t){
+    if(themeImages[t.id]) return;
+    const imgs = themeImages[t.id] = t.levels.map(() => null);
+    t.levels.forEach((lv, i) => {
+      if(lv.image) loadImage(lv.image, img => { imgs[i] = img; }, () => { imgs[i] = null; });
+    });
+  }
+
+  // the set a game was played with; unknown ids (imported replays) get numbered discs
+  function themeForGame(g){
+    const known = themeById(g.theme);
+    if(known && known.levels.length === g.maxLevel) return known;
+    const palette = SuikaThemes.EMOJI_THEME.levels;
+    return {
+      id: g.theme || 'unknown', name: g.theme || 'Unknown',
+      levels: g.levels.map((lv, i) => ({ name: 'Lvl ' + (i + 1), image: null, emoji: null, radius: lv.radius, points: lv.points, color: palette[i % palette.length].color }))
+    };
+  }
+
+  function showTheme(t){
+    theme = t;
+    loadThemeImages(t);
+    renderMergeRingDom();
+    renderMobileMergeHint();
+    updateNextPreviewDom();
+  }
+
+  function selectTheme(id){
+    const t = themeById(id); if(!t) return;
+    selectedTheme = t;
+    try{ localStorage.setItem(THEME_KEY, t.id); }catch(e){}
+    if(!isRunning && !replayState && !gameOver) showTheme(t);
+    updateModeEditorDom();
+  }
+
+  function populateThemeSelect(){
+    const sel = el('themeSelect'); if(!sel) return;
+    sel.innerHTML = '';
+    for(const t of themes){
+      const opt = document.createElement('option'); opt.value = t.id; opt.innerText = t.name;
+      sel.appendChild(opt);
+    }
+    sel.value = selectedTheme.id;
+    sel.onchange = () => selectTheme(sel.value);
+  }
+
+  function levelInfo(level){ return theme.levels[Math.max(1, Math.min(level, theme.levels.length)) - 1]; }
+
+  function fruitImage(level){
+    const imgs = themeImages[theme.id];
+    const img = imgs && imgs[level - 1];
+    return img && img.width > 8 ? img : null;
+  }
+
+  // draws a fruit centred on the origin at visual diameter d
+  function drawFruitGlyph(level, d){
+    const img = fruitImage(level);
+    if(img){ imageMode(CENTER); image(img, 0, 0, d, d); return; }
+    // no image: disc at the physical size, emoji (or level number) on top
+    const lv = levelInfo(level);
+    const disc = d / VISUAL_DIAMETER_FACTOR;
+    noStroke(); fill(lv.color); circle(0, 0, disc);
+    textAlign(CENTER, CENTER);
+    fill(255);
+    textSize(disc * (lv.emoji ? 0.62 : 0.5));
+    text(lv.emoji || String(level), 0, disc * 0.03);
+  }
+
+  // DOM icon: the theme's image, else its emoji, else a coloured disc with the level number
+  function fruitIconDom(level, size){
+    const lv = levelInfo(level);
+    const wrap = document.createElement('div');
+    wrap.setAttribute('role', 'img'); wrap.setAttribute('aria-label', lv.name);
+    wrap.style.width = size + 'px'; wrap.style.height = size + 'px';
+    wrap.style.display = 'inline-flex'; wrap.style.alignItems = 'center'; wrap.style.justifyContent = 'center';
+    const fallback = () => {
+      wrap.innerHTML = '';
+      const dot = document.createElement('div');
+      if(lv.emoji){
+        dot.style.fontSize = Math.round(size * 0.78) + 'px'; dot.style.lineHeight = '1';
+        dot.innerText = lv.emoji;
+      } else {
+        const d = Math.round(size * 0.86);
+        dot.style.width = d + 'px'; dot.style.height = d + 'px'; dot.style.borderRadius = '50%';
+        dot.style.background = lv.color; dot.style.color = '#fff'; dot.style.fontWeight = '800';
+        dot.style.fontSize = Math.round(size * 0.4) + 'px';
+        dot.style.display = 'flex'; dot.style.alignItems = 'center'; dot.style.justifyContent = 'center';
+        dot.innerText = level;
+      }
+      wrap.appendChild(dot);
+    };
+    if(lv.image){
+      const img = document.createElement('img');
+      img.alt = lv.name;
+      img.src = lv.image;
+      img.style.width = size + 'px'; img.style.height = size + 'px'; img.style.objectFit = 'contain';
+      img.onerror = fallback;
+      wrap.appendChild(img);
+    } else fallback();
+    return wrap;
+  }
+
+  // -------------------------
+  // Rules & per-rules high scores
+  // -------------------------
+  function presetById(id){ return SuikaGame.RULE_PRESETS.find(p => p.id === id) || null; }
+
+  // ?rules={...} (only the changed rules) wins over ?preset=; throws on a bad link
+  function rulesFromUrl(){
+    const q = new URLSearchParams(window.location.search);
+    const custom = q.get('rules'), presetId = q.get('preset');
+    if(custom){
+      let parsed;
+      try{ parsed = JSON.parse(custom); } catch(e){ throw new Error('Rules in the link are not valid JSON'); }
+      return SuikaGame.normalizeRules(parsed);
+    }
+    if(presetId){
+      const p = presetById(presetId);
+      if(!p) throw new Error('Unknown preset "' + presetId + '"');
+      return SuikaGame.normalizeRules(p.rules);
+    }
+    return null;
+  }
+
+  function initRules(){
+    try{
+      const shared = rulesFromUrl();
+      if(shared){ activeRules = shared; return; }
+    }catch(e){ showAchievement('Ignored shared rules', { subtitle: e.message, duration: 2600 }); }
+    try{
+      const stored = localStorage.getItem(RULES_KEY);
+      if(stored) activeRules = SuikaGame.normalizeRules(JSON.parse(stored));
+    }catch(e){ activeRules = SuikaGame.DEFAULT_RULES; }
+  }
+
+  function rulesName(rules){
+    const p = presetById(SuikaGame.presetIdForRules(rules));
+    return p ? p.name : 'Custom';
+  }
+
+  // Classic keeps the original key so existing high scores carry over; custom sets are keyed by a hash;
+  // every mode but Endless adds its own suffix
+  function highKeyFor(rules){
+    const id = SuikaGame.presetIdForRules(rules), mode = SuikaGame.modeIdForRules(rules);
+    const suffix = mode === 'endless' ? '' : '_' + mode.replace(':', '_');
+    if(id === 'classic') return HIGH_KEY + suffix;
+    const modeless = Object.assign({}, SuikaGame.diffRules(rules)); for(const k of SuikaGame.MODE_RULES) delete modeless[k];
+    return HIGH_KEY + '_' + (id || 'custom_' + SuikaGame.hashSeed(JSON.stringify(modeless)).toString(36)) + suffix;
+  }
+
+  function loadHigh(rules){
+    highKey = highKeyFor(rules);
+    let saved = null;
+    try{ saved = localStorage.getItem(highKey); }catch(e){}
+    high = saved ? parseInt(saved) : 0;
+    const hEl = el('high'); if(hEl) hEl.innerText = high;
+    const name = [SuikaGame.presetIdForRules(rules) === 'classic' ? '' : rulesName(rules), modeName(rules)].filter(Boolean).join(' · ');
+    const lEl = el('highLabel'); if(lEl) lEl.innerText = name ? `High (${name})` : 'High';
+  }
+
+  function shareUrlFor(rules){
+    const url = new URL(window.location.href);
+    url.searchParams.delete('preset'); url.searchParams.delete('rules');
+    const id = SuikaGame.presetIdForRules(rules);
+    if(id && id !== 'classic') url.searchParams.set('preset', id);
+    else if(!id) url.searchParams.set('rules', JSON.stringify(SuikaGame.diffRules(rules)));
+    return url.toString();
+  }
+
+  function setActiveRules(rules){
+    activeRules = rules;
+    try{ localStorage.setItem(RULES_KEY, JSON.stringify(SuikaGame.diffRules(rules))); }catch(e){}
+    if(!isRunning && !replayState && !gameOver){
+      loadHigh(rulesForNewGame());
+      renderMobileMergeHint();
+      updateClearDom();
+    }
+    updateRulesEditorDom();
+    updateModeEditorDom();
+  }
+
+  // -------------------------
+  // Modes
+  // -------------------------
+  function loadMode(){
+    try{
+      const saved = JSON.parse(localStorage.getItem(MODE_KEY)) || {};
+      if(MODE_OPTIONS.some(o => o[0] === saved.option)) modeChoice.option = saved.option;
+      const [dMin, dMax] = SuikaGame.RULE_LIMITS.modeDrops;
+      if(Number.isInteger(saved.drops) && saved.drops >= dMin && saved.drops <= dMax) modeChoice.drops = saved.drops;
+      if(Number.isInteger(saved.target) && saved.target >= 2) modeChoice.target = saved.target;
+    }catch(e){}
+  }
+
+  function saveMode(){ try{ localStorage.setItem(MODE_KEY, JSON.stringify(modeChoice)); }catch(e){} }
+
+  // Target levels on offer: above anything the spawner hands out, up to the fruit set's last level
+  function targetRange(){
+    const max = selectedTheme.levels.length;
+    return [Math.min(activeRules.spawnWeights.length, max - 1) + 1, max];
+  }
+
+  // the picked mode's rules; the Target level is kept inside targetRange()
+  function modeRules(){
+    const opt = MODE_OPTIONS.find(o => o[0] === modeChoice.option) || MODE_OPTIONS[0];
+    const rules = Object.assign({}, opt[2]);
+    if(rules.mode === 'drops') rules.modeDrops = modeChoice.drops;
+    if(rules.mode === 'target'){ const [min, max] = targetRange(); rules.modeTargetLevel = Math.max(min, Math.min(max, modeChoice.target)); }
+    return rules;
+  }
+
+  // a countdown shows whole seconds, rounded up (m:ss)
+  function clockText(ticks){
+    const s = Math.ceil(ticks * STEP_MS / 1000 - 1e-9);
+    return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0');
+  }
+
+  function rulesForNewGame(){ return SuikaGame.normalizeRules(Object.assign(SuikaGame.diffRules(activeRules), modeRules())); }
+
+  // '' for Endless, e.g. 'Time Attack 2:00', 'Limited Drops (50)', 'Target: Pear'
+  function modeName(rules){
+    if(rules.mode === 'timeAttack') return 'Time Attack ' + clockText(rules.modeTicks);
+    if(rules.mode === 'drops') return `Limited Drops (${rules.modeDrops})`;
+    if(rules.mode === 'target') return 'Target: ' + levelInfo(rules.modeTargetLevel).name;
+    return '';
+  }
+
+  // mode picker on the landing card: the mode plus, for Limited Drops / Target, its number
+  function createModeEditor(){
+    const panel = el('modePanel'); if(!panel || el('modeSelect')) return;
+    const row = document.createElement('div'); row.className = 'seed-row';
+    const label = document.createElement('label'); label.htmlFor = 'modeSelect'; label.innerText = 'Mode';
+    const sel = document.createElement('select'); sel.id = 'modeSelect';
+    for(const [value, text] of MODE_OPTIONS){ const opt = document.createElement('option'); opt.value = value; opt.innerText = text; sel.appendChild(opt); }
+    sel.value = modeChoice.option;
+    sel.onchange = () => { modeChoice.option = sel.value; saveMode(); updateModeEditorDom(); };
+    const drops = document.createElement('input'); drops.id = 'modeDrops'; drops.type = 'number'; drops.setAttribute('aria-label', 'Number of drops');
+    [drops.min, drops.max] = SuikaGame.RULE_LIMITS.modeDrops.map(String); drops.step = '1'; drops.style.width = '72px';
+    drops.onchange = () => {
+      const [min, max] = SuikaGame.RULE_LIMITS.modeDrops, v = Math.round(Number(drops.value));
+      modeChoice.drops = Number.isFinite(v) ? Math.max(min, Math.min(max, v)) : modeChoice.drops;
+      saveMode(); updateModeEditorDom();
+    };
+    const target = document.createElement('select'); target.id = 'modeTarget'; target.setAttribute('aria-label', 'Target fruit');
+    target.onchange = () => { modeChoice.target = Number(target.value); saveMode(); updateModeEditorDom(); };
+    row.appendChild(label); row.appendChild(sel); row.appendChild(drops); row.appendChild(target);
+    panel.appendChild(row);
+    updateModeEditorDom();
+  }
+
+  // target choices follow the selected fruit set's names
+  function updateModeEditorDom(){
+    const sel = el('modeSelect'), drops = el('modeDrops'), target = el('modeTarget');
+    if(sel) sel.value = modeChoice.option;
+    if(drops){ drops.style.display = modeChoice.option === 'drops' ? '' : 'none'; drops.value = modeChoice.drops; }
+    if(target){
+      target.style.display = modeChoice.option === 'target' ? '' : 'none';
+      target.innerHTML = '';
+      const [min, max] = targetRange();
+      for(let i=min;i<=max;i++){
+        const opt = document.createElement('option'); opt.value = String(i); opt.innerText = `${selectedTheme.levels[i - 1].name} (level ${i})`;
+        target.appendChild(opt);
+      }
+      target.value = String(Math.max(min, Math.min(max, modeChoice.target)));
+    }
+    if(!isRunning && !replayState && !gameOver) loadHigh(rulesForNewGame());
+  }
+
+  // time left, drops left, or the target and the clock ('' in Endless)
+  function modeStatusText(m){
+    if(m.id === 'timeAttack') return '⏱ ' + clockText(m.ticksLeft);
+    if(m.id === 'drops') return m.dropsLeft ? `Drops left ${m.dropsLeft}` : 'Last drop — settling…';
+    if(m.id === 'target') return `🎯 ${levelInfo(m.target).name} · ${flowTime(game.tick).replace(/\.\d$/, '')}`;
+    return '';
+  }
+
+  // #scorePanel line, red for the last 10 seconds / 5 drops
+  function updateModeDom(){
+    const box = el('modeStatus'); if(!box) return;
+    const m = game ? game.mode : null;
+    if(!m || m.id === 'endless'){ box.style.display = 'none'; return; }
+    const text = modeStatusText(m);
+    const urgent = (m.id === 'timeAttack' && m.ticksLeft <= 600) || (m.id === 'drops' && m.dropsLeft <= 5);
+    box.style.display = '';
+    if(box.innerText !== text) box.innerText = text;
+    box.classList.toggle('urgent', urgent);
+  }
+
+  // -------------------------
+  // Particles & audio
+  // -------------------------
+  function spawnParticles(x,y,level, count=18){
+    if(reducedMotion()) return;
+    const hueBase = 28 + (level*18) % 320;
+    for(let i=0;i<count;i++){
+      const ang = fxRng()*Math.PI*2;
+      const speed = 1 + fxRng()*3;
+      particles.push({
+        x, y,
+        vx: Math.cos(ang)*speed,
+        vy: Math.sin(ang)*speed - 1.3,
+        life: 26 + Math.floor(fxRng()*12),
+        size: 2 + fxRng()*5,
+        col: `hsl(${(hueBase + fxRng()*40)%360} 84% 58%)`
+      });
+    }
+  }
+  function updateParticles(){
+    for(const p of particles){
+      p.x += p.vx; p.y += p.vy; p.vy += 0.12; p.life--;
+      p.vx *= 0.996; p.vy *= 0.996;
+    }
+    particles = particles.filter(p => p.life > 0);
+  }
+  function drawParticles(){
+    noStroke();
+    for(const p of particles){
+      const alpha = map(p.life, 0, 40, 0, 1);
+      drawingContext.globalAlpha = alpha;
+      fill(p.col);
+      circle(p.x, p.y, p.size);
+      drawingContext.globalAlpha = 1;
+    }
+  }
+
+  // -------------------------
+  // Game wiring: core events -> renderer / DOM
+  // -------------------------
+  function detachGame(){ if(unbindGame) unbindGame(); game = null; }
+
+  function attachGame(g){
+    if(unbindGame) unbindGame();
+    if(tracker){ tracker.stop(); tracker = null; }
+    game = g;
+    if(paused) setPaused(false);
+    // a still-focused Start / Resume button would otherwise catch the next Space or Enter
+    if(document.activeElement && document.activeElement.tagName === 'BUTTON') document.activeElement.blur();
+    showTheme(themeForGame(g));
+    loadHigh(g.rules);
+    updateInputPrompts();
+    updateUndoDom();
+    targeting = null;
+    updatePowerDom();
+    const offs = [
+      g.on('drop', onFruitDropped),
+      g.on('merge', onFruitsMerged),
+      g.on('score', onScoreChanged),
+      g.on('next', onNextChanged),
+      g.on('hold', onHeld),
+      g.on('undo', onUndone),
+      g.on('undocharge', updateUndoDom),
+      g.on('chain', onChain),
+      g.on('charge', updateClearDom),
+      g.on('clear', onCleared),
+      g.on('power', onPowerUsed),
+      g.on('danger', onDanger),
+      g.on('gameover', onGameOver)
+    ];
+    if(!flowLogs.has(g)) flowLogs.set(g, { entries: [], summary: { merges: {}, total: 0, longestChain: 0, clears: 0 } });
+    flow = flowLogs.get(g);
+    renderFlowList(); renderFlowSummary();
+    // replays announce what the run earned but never unlock anything
+    tracker = replayState
+      ? SuikaAchievements.createTracker(g, {}, { onUnlock: announceAchievement })
+      : SuikaAchievements.createTracker(g, achievementsSaved, { onUnlock: announceAchievement, onChange: saveAchievements });
+    attachDaily(g);
+    attachGhost(g);
+    unbindGame = () => { for(const off of offs) off(); unbindGame = null; };
+  }
+
+  function onFruitDropped(e){
+    const p = toScreen(e.x, e.y);
+    spawnParticles(p.x, p.y + 2, e.level, 8);
+    sound.play('drop', { level: e.level });
+  }
+
+  function onNextChanged(e){
+    updateNextPreviewDom();
+    announce('Next: ' + levelInfo(e.level).name);
+  }
+
+  function onHeld(e){
+    logFlow({ tick: e.tick, type: 'hold', parts: ['Held ', e.level, ', next up ', e.next] });
+    announce('Holding ' + levelInfo(e.level).name);
+  }
+
+  function onUndone(e){
+    particles = [];
+    lastDropTick = -Infinity; // the fruit is back in hand: it may drop again straight away
+    updateUndoDom(e);
+    showAchievement('Drop undone', { subtitle: `${e.charges} undo${e.charges === 1 ? '' : 's'} left`, duration: 1200 });
+    logFlow({ tick: e.tick, type: 'undo', parts: [`Undid the last drop (${e.charges} left)`] });
+    announce(`Drop undone, ${e.charges} left`);
+  }
+
+  function onFruitsMerged(e){
+    const p = toScreen(e.x, e.y);
+    spawnParticles(p.x, p.y, e.level, 20);
+    sound.play('merge', { level: e.level });
+    spawnFloatPop(p.x, p.y - 8, '+' + e.points);
+    if(game.rules.undoCharges > 0) updateUndoDom();
+    announce(`Merged into ${levelInfo(e.level).name}, plus ${e.points}`);
+    logFlow({
+      tick: e.tick, type: 'merge', level: e.level, points: e.points, chain: e.chain,
+      parts: [e.from, ' + ', e.from, ' → ', e.level, `, +${e.points}` + (e.chain > 1 ? ` (chain x${e.chain})` : '')]
+    });
+  }
+
+  function onChain(e){
+    showChainShout(e.count);
+    sound.play('chain', { count: e.count });
+    announce(`Chain of ${e.count}`);
+    logFlow({ tick: e.tick, type: 'chain', chain: e.count, parts: [`Chain x${e.count}`] });
+  }
+
+  function onCleared(e){
+    showAchievement('Cleared small fruits', { duration: 1400 });
+    sound.play('clear');
+    announce(`Cleared ${e.removed} small fruit${e.removed === 1 ? '' : 's'}`);
+    logFlow({ tick: e.tick, type: 'clear', parts: [`Clear Small removed ${e.removed} fruit${e.removed === 1 ? '' : 's'} (up to `, game.rules.clearMaxLevel, ')'] });
+  }
+
+  // Clear Small has its own handler above; the other powers share this one
+  function onPowerUsed(e){
+    if(e.power === 'clear') return;
+    const name = SuikaGame.POWERS[e.power].name;
+    sound.play(e.power, { level: e.level });
+    if(e.power === 'upgrade' || e.power === 'pop'){
+      const p = toScreen(e.x, e.y);
+      spawnParticles(p.x, p.y, e.level, e.power === 'pop' ? 24 : 16);
+    }
+    let text;
+    if(e.power === 'shake') text = `Shook ${e.moved} fruit${e.moved === 1 ? '' : 's'}`;
+    else if(e.power === 'upgrade') text = `Upgraded ${levelInfo(e.from).name} to ${levelInfo(e.level).name}`;
+    else if(e.power === 'pop') text = `Popped ${levelInfo(e.level).name}`;
+    else text = `Magnet on for ${Math.round(e.ticks * STEP_MS / 1000)} seconds`;
+    showAchievement(name, { subtitle: text, duration: 1200 });
+    announce(text);
+    logFlow({ tick: e.tick, type: 'power', parts: e.power === 'upgrade' ? ['Upgrade: ', e.from, ' → ', e.level]
+      : e.power === 'pop' ? ['Pop: removed ', e.level] : [text] });
+  }
+
+  function onScoreChanged(e){
+    const scoreEl = el('score'); if(scoreEl) scoreEl.innerText = 'Score ' + e.score;
+    announce('Score ' + e.score);
+    if(replayState) return; // replays never touch the high score
+    if(e.score > high){ high = e.score; localStorage.setItem(highKey, String(high)); const hEl = el('high'); if(hEl) hEl.innerText = high; }
+  }
+
+  function onDanger(e){
+    dangerBeats.delete(game);
+    const urgent = dangerCue(game, e);
+    if(urgent !== null) announce(dangerText(e), urgent);
+  }
+
+  // what a danger change is worth: true for an urgent call-out, false for a polite one, null for none.
+  // Only a fresh warning (from safe) or the start of a countdown is urgent, and not again within WARNING_CUE_TICKS;
+  // the alarm goes with the fresh warning, and a countdown draining back to a warning is said politely
+  function dangerCue(g, e){
+    const cue = dangerCues.get(g) || { state: 'safe', said: { warning: -Infinity, overflow: -Infinity } };
+    const from = cue.state;
+    cue.state = e.state;
+    dangerCues.set(g, cue);
+    if(e.state === from) return null;
+    if(e.state === 'safe' || (e.state === 'warning' && from === 'overflow')) return false;
+    // an undo takes the tick backwards, past the last call-out, so that one no longer counts
+    const since = e.tick - cue.said[e.state];
+    if(since >= 0 && since < WARNING_CUE_TICKS) return null;
+    cue.said[e.state] = e.tick;
+    if(e.state === 'warning') sound.play('warning');
+    return true;
+  }
+
+  function dangerText(dz, g = game){
+    if(dz.state === 'warning') return 'Danger: the bowl is nearly full';
+    if(dz.state === 'overflow'){
+      const secs = Math.round((1 - dz.progress) * g.rules.overflowTicks * STEP_MS / 1000);
+      return `Overflow! ${dz.fruit ? 'The ' + levelInfo(dz.fruit.level).name : 'A fruit'} is over the line, ${secs} second${secs === 1 ? '' : 's'} to clear it`;
+    }
+    return 'Safe: nothing near the top';
+  }
+
+  // the mode's own endings (see SuikaGame.MODES); anything else is a game over or the Supernova
+  const MODE_ENDS = { time: "Time's up!", drops: 'Out of drops!', target: 'Target reached!' };
+
+  function onGameOver(e){
+    logFlow({ tick: e.tick, type: 'end', parts: e.reason === 'supernova'
+      ? [`Fruit Supernova! Final score ${e.score}`]
+      : e.reason === 'target' ? ['Target reached: ', game.rules.modeTargetLevel, ` in ${flowTime(e.tick)}. Final score ${e.score}`]
+      : MODE_ENDS[e.reason] ? [`${MODE_ENDS[e.reason]} Final score ${e.score}`]
+      : (e.fruit ? ['Game over: ', e.fruit.level, ` stayed over the top line. Final score ${e.score}`] : [`Game over: a fruit crossed the top line. Final score ${e.score}`]) });
+    if(e.reason === 'target') sound.play('chain', { count: 6 });
+    else sound.play(e.reason === 'supernova' ? 'supernova' : 'gameover');
+    if(replayState){
+      if(e.reason === 'supernova') supernovaBurst();
+      updateReplayBarDom();
+      return;
+    }
+    lastRun = game.resumedAt === null ? game.getReplay() : null;
+    for(const id of ['watchReplayBtn', 'exportReplayBtn']){ const b = el(id); if(b) b.style.display = lastRun ? '' : 'none'; }
+    liveGame = game;
+    clearSavedProgress();
+    renderModeResult(game, e, recordRun(game, e));
+    renderDailyResult(daily ? finishDaily(e) : null);
+    if(e.reason === 'supernova') triggerFruitSupernova(e.score);
+    else if(MODE_ENDS[e.reason]) triggerModeResult(e);
+    else triggerGameOver(e.score, e.fruit);
+  }
+
+  // -------------------------
+  // Merge chronology (#flowPanel)
+  // -------------------------
+  // game time of a tick as m:ss.s
+  function flowTime(tick){
+    const s = tick * STEP_MS / 1000;
+    return Math.floor(s / 60) + ':' + (s % 60).toFixed(1).padStart(4, '0');
+  }
+
+  // parts: strings, and numbers that stand for a fruit level ("Lvl n" with its icon)
+  function flowText(parts){ return parts.map(p => typeof p === 'number' ? 'Lvl ' + p : p).join(''); }
+
+  function logFlow(entry){
+    if(!flow) return;
+    entry.text = flowText(entry.parts);
+    flow.entries.push(entry);
+    const s = flow.summary;
+    if(entry.type === 'merge'){
+      s.merges[entry.level] = (s.merges[entry.level] || 0) + 1;
+      s.total++;
+      s.longestChain = Math.max(s.longestChain, entry.chain || 1);
+    } else if(entry.type === 'chain'){
+      s.longestChain = Math.max(s.longestChain, entry.chain);
+    } else if(entry.type === 'clear'){
+      s.clears++;
+    }
+    if(!flowHidden.has(entry.type)){
+      const list = el('flowList');
+      if(list){
+        if(list.querySelector('.flowSmall')) list.innerHTML = '';
+        list.appendChild(flowEntryDom(entry));
+        while(list.childNodes.length > FLOW_DOM_LIMIT) list.removeChild(list.firstChild);
+        list.scrollTop = list.scrollHeight;
+      }
+    }
+    renderFlowSummary();
+  }
+
+  function flowEntryDom(entry){
+    const row = document.createElement('div'); row.className = 'flow-entry flow-' + entry.type;
+    const time = document.createElement('span'); time.className = 'flow-time'; time.innerText = flowTime(entry.tick);
+    row.appendChild(time);
+    for(const p of entry.parts){
+      if(typeof p === 'number'){
+        const lvl = document.createElement('span'); lvl.className = 'flow-level';
+        lvl.appendChild(fruitIconDom(p, 16));
+        lvl.appendChild(document.createTextNode('Lvl ' + p));
+        row.appendChild(lvl);
+      } else row.appendChild(document.createTextNode(p));
+    }
+    return row;
+  }
+
+  function renderFlowList(){
+    const list = el('flowList'); if(!list) return;
+    list.innerHTML = '';
+    const shown = flow ? flow.entries.filter(e => !flowHidden.has(e.type)).slice(-FLOW_DOM_LIMIT) : [];
+    if(shown.length === 0){
+      const empty = document.createElement('div'); empty.className = 'flowSmall';
+      empty.innerText = flow && flow.entries.length ? 'Nothing matches the filter.' : 'No merges yet — play to see events.';
+      list.appendChild(empty);
+      return;
+    }
+    for(const entry of shown) list.appendChild(flowEntryDom(entry));
+    list.scrollTop = list.scrollHeight;
+  }
+
+  function renderFlowSummary(){
+    const box = el('flowSummary'); if(!box) return;
+    box.innerHTML = '';
+    const s = flow ? flow.summary : { merges: {}, total: 0, longestChain: 0, clears: 0 };
+    const line = document.createElement('div'); line.className = 'flow-summary-line';
+    line.innerText = `Merges ${s.total} · Longest chain x${s.longestChain} · Clears ${s.clears}`;
+    box.appendChild(line);
+    const levels = document.createElement('div'); levels.className = 'flow-summary-levels';
+    for(let i=1;i<=theme.levels.length;i++){
+      if(!s.merges[i]) continue;
+      const item = document.createElement('span'); item.className = 'flow-level'; item.title = levelInfo(i).name;
+      item.appendChild(fruitIconDom(i, 16));
+      item.appendChild(document.createTextNode('×' + s.merges[i]));
+      levels.appendChild(item);
+    }
+    box.appendChild(levels);
+  }
+
+  // filter chips, summary and export buttons around the #flowList that index.html ships
+  function createFlowControls(){
+    const panel = el('flowPanel'); const list = el('flowList');
+    if(!panel || !list || el('flowFilters')) return;
+    const head = panel.querySelector('h4');
+    if(head) head.onclick = () => panel.classList.toggle('open');
+    const summary = document.createElement('div'); summary.id = 'flowSummary';
+    const filters = document.createElement('div'); filters.id = 'flowFilters';
+    for(const [type, label] of FLOW_TYPES){
+      const chip = document.createElement('button'); chip.className = 'flow-chip active'; chip.innerText = label;
+      chip.onclick = () => {
+        if(flowHidden.has(type)) flowHidden.delete(type); else flowHidden.add(type);
+        chip.classList.toggle('active', !flowHidden.has(type));
+        renderFlowList();
+      };
+      filters.appendChild(chip);
+    }
+    const actions = document.createElement('div'); actions.className = 'flow-actions';
+    const csv = document.createElement('button'); csv.className = 'btn'; csv.innerText = 'Export CSV'; csv.onclick = () => exportFlow('csv');
+    const json = document.createElement('button'); json.className = 'btn'; json.innerText = 'Export JSON'; json.onclick = () => exportFlow('json');
+    actions.appendChild(csv); actions.appendChild(json);
+    panel.insertBefore(summary, list);
+    panel.insertBefore(filters, list);
+    panel.appendChild(actions);
+    renderFlowSummary();
+  }
+
+  function exportFlow(format){
+    if(!flow || flow.entries.length === 0){ showAchievement('Nothing to export yet', { duration: 1400 }); return; }
+    const rows = flow.entries.map(e => ({
+      tick: e.tick, time: flowTime(e.tick), type: e.type, text: e.text,
+      level: e.level != null ? e.level : null, points: e.points != null ? e.points : null, chain: e.chain != null ? e.chain : null
+    }));
+    const safeSeed = String((game && game.seed) || 'random').replace(/[^\w-]+/g, '_').slice(0, 32);
+    if(format === 'json'){
+      const doc = { seed: game ? game.seed : '', theme: theme.id, rules: game ? SuikaGame.diffRules(game.rules) : {}, summary: flow.summary, entries: rows };
+      downloadText(`suika-log-${safeSeed}.json`, JSON.stringify(doc, null, 2), 'application/json');
+    } else {
+      const cols = ['tick', 'time', 'type', 'level', 'points', 'chain', 'text'];
+      const cell = v => v == null ? '' : (/[",\n]/.test(String(v)) ? '"' + String(v).replace(/"/g, '""') + '"' : String(v));
+      const csv = [cols.join(',')].concat(rows.map(r => cols.map(c => cell(r[c])).join(','))).join('\n');
+      downloadText(`suika-log-${safeSeed}.csv`, csv, 'text/csv');
+    }
+  }
+
+  // -------------------------
+  // Keyboard: bindings, aim cursor, remap editor
+  // -------------------------
+  function copyBindings(src){ const out = {}; for(const a of Object.keys(DEFAULT_BINDINGS)) out[a] = (src[a] || [null, null]).slice(0, 2); return out; }
+
+  function normalizeKey(k){ return typeof k === 'string' && k.length === 1 ? k.toLowerCase() : k; }
+
+  function keyLabel(k){
+    if(k == null) return '—';
+    const names = { ' ': 'Space', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc' };
+    return names[k] || (k.length === 1 ? k.toUpperCase() : k);
+  }
+
+  function loadBindings(){
+    try{
+      const stored = JSON.parse(localStorage.getItem(KEYS_KEY));
+      if(stored) bindings = copyBindings(stored);
+    }catch(e){ bindings = copyBindings(DEFAULT_BINDINGS); }
+  }
+
+  function saveBindings(){ try{ localStorage.setItem(KEYS_KEY, JSON.stringify(bindings)); }catch(e){} }
+
+  function actionForKey(k){
+    k = normalizeKey(k);
+    for(const action of Object.keys(bindings)) if(bindings[action].includes(k)) return action;
+    return null;
+  }
+
+  // typing in the seed / name / rules fields must not steer the game
+  function typingInField(){
+    const a = document.activeElement;
+    return !!a && (a.tagName === 'INPUT' || a.tagName === 'TEXTAREA' || a.tagName === 'SELECT' || a.isContentEditable);
+  }
+
+  function moveAim(dx, mode = 'keyboard'){
+    aimX = constrain(aimX + dx, SPAWN_PAD, BOARD_SIZE - SPAWN_PAD);
+    setInputMode(mode);
+  }
+
+  function setInputMode(mode){
+    if(inputMode === mode) return;
+    inputMode = mode;
+    updateInputPrompts();
+  }
+
+  // top bar hint in the glyphs of the last input used
+  function inputPrompt(){
+    const k = action => keyLabel(bindings[action][0] != null ? bindings[action][0] : bindings[action][1]);
+    if(versus) return versusPrompt();
+    const canHold = game && game.rules.holdSlot, canUndo = game && game.rules.undoCharges > 0;
+    if(inputMode === 'keyboard') return `${k('left')} ${k('right')} aim · ${k('drop')} drop · ${k('clear')} clear · ` + (canHold ? `${k('hold')} hold · ` : '') + (canUndo ? `${k('undo')} undo · ` : '') + `${k('pause')} pause`;
+    if(inputMode === 'gamepad') return 'Ⓛ / ✜ aim · Ⓐ drop · Ⓧ clear · ' + (canHold ? 'Ⓨ hold · ' : '') + (canUndo ? 'Ⓑ undo · ' : '') + '☰ pause';
+    return 'Tap inside box to drop';
+  }
+
+  function pausePrompt(){
+    if(inputMode === 'gamepad') return 'Press ☰ to resume';
+    return `Press ${keyLabel(bindings.pause[0] != null ? bindings.pause[0] : bindings.pause[1])} to resume`;
+  }
+
+  function updateInputPrompts(){ const h = el('inputHint'); if(h) h.innerText = inputPrompt(); }
+
+  // held aim keys glide after a short delay; frame time, not ticks, so it feels the same at any speed
+  function updateHeldAim(frameMs){
+    const now = millis();
+    const speed = keyIsDown(SHIFT) ? AIM_SPEED_FINE : AIM_SPEED;
+    for(const action of ['left', 'right']){
+      if(heldAim[action] == null || now - heldAim[action] < AIM_HOLD_DELAY_MS) continue;
+      moveAim((action === 'left' ? -1 : 1) * speed * Math.min(MAX_FRAME_MS, frameMs) / 1000);
+    }
+  }
+
+  function createKeysEditor(){
+    const panel = el('keysPanel'); if(!panel) return;
+    if(el('keysGrid')){ renderKeysEditor(); return; }
+    const details = document.createElement('details'); details.className = 'rules-editor';
+    const summary = document.createElement('summary'); summary.innerText = 'Keyboard & controller';
+    const grid = document.createElement('div'); grid.className = 'rules-grid keys-grid'; grid.id = 'keysGrid';
+    const hint = document.createElement('div'); hint.className = 'tip';
+    hint.innerText = 'Click a key, then press the new one (Esc cancels, Backspace clears). Hold Shift while aiming for fine steps.';
+    const actions = document.createElement('div'); actions.className = 'card-actions';
+    const reset = document.createElement('button'); reset.className = 'btn'; reset.innerText = 'Reset keys';
+    reset.onclick = () => { bindings = copyBindings(DEFAULT_BINDINGS); capturingKey = null; saveBindings(); setDeadzone(DEFAULT_DEADZONE); renderKeysEditor(); };
+    actions.appendChild(reset);
+    details.appendChild(summary); details.appendChild(grid); details.appendChild(hint); details.appendChild(actions);
+    panel.appendChild(details);
+    renderKeysEditor();
+  }
+
+  function renderKeysEditor(){
+    const grid = el('keysGrid'); if(!grid) return;
+    grid.innerHTML = '';
+    for(const action of Object.keys(DEFAULT_BINDINGS)){
+      const lbl = document.createElement('label'); lbl.innerText = ACTION_LABELS[action];
+      const slots = document.createElement('div'); slots.className = 'key-slots';
+      for(let slot = 0; slot < 2; slot++){
+        const b = document.createElement('button'); b.className = 'flow-chip key-chip';
+        const waiting = capturingKey && capturingKey.action === action && capturingKey.slot === slot;
+        b.innerText = waiting ? 'Press a key…' : keyLabel(bindings[action][slot]);
+        b.classList.toggle('active', waiting);
+        b.onclick = () => { capturingKey = { action, slot }; renderKeysEditor(); };
+        slots.appendChild(b);
+      }
+      grid.appendChild(lbl); grid.appendChild(slots);
+    }
+    const dzLabel = document.createElement('label'); dzLabel.htmlFor = 'deadzoneInput'; dzLabel.innerText = 'Stick deadzone';
+    const dzRow = document.createElement('div'); dzRow.className = 'key-slots';
+    const dz = document.createElement('input'); dz.id = 'deadzoneInput'; dz.type = 'range';
+    dz.min = MIN_DEADZONE; dz.max = MAX_DEADZONE; dz.step = 0.01; dz.value = deadzone;
+    dz.oninput = () => setDeadzone(parseFloat(dz.value));
+    const dzValue = document.createElement('span'); dzValue.id = 'deadzoneValue'; dzValue.className = 'flowSmall';
+    dzValue.innerText = Math.round(deadzone * 100) + '%';
+    dzRow.appendChild(dz); dzRow.appendChild(dzValue);
+    grid.appendChild(dzLabel); grid.appendChild(dzRow);
+    updateInputPrompts();
+  }
+
+  // remap editor: the next key press goes into the waiting slot (and leaves any other action it was bound to)
+  function captureKey(k){
+    const { action, slot } = capturingKey;
+    capturingKey = null;
+    if(k !== 'Escape'){
+      const value = (k === 'Backspace' || k === 'Delete') ? null : normalizeKey(k);
+      if(value !== null) for(const a of Object.keys(bindings)) bindings[a] = bindings[a].map(v => v === value ? null : v);
+      bindings[action][slot] = value;
+      saveBindings();
+    }
+    renderKeysEditor();
+  }
+
+  // -------------------------
+  // Gamepad
+  // -------------------------
+  function loadDeadzone(){
+    try{
+      const v = parseFloat(localStorage.getItem(DEADZONE_KEY));
+      if(isFinite(v)) deadzone = constrain(v, MIN_DEADZONE, MAX_DEADZONE);
+    }catch(e){}
+  }
+
+  function setDeadzone(v){
+    deadzone = constrain(v, MIN_DEADZONE, MAX_DEADZONE);
+    try{ localStorage.setItem(DEADZONE_KEY, String(deadzone)); }catch(e){}
+    const out = el('deadzoneValue'); if(out) out.innerText = Math.round(deadzone * 100) + '%';
+  }
+
+  // stick past the deadzone, rescaled so aiming starts slow at the edge of it
+  function stickValue(v){
+    if(Math.abs(v) <= deadzone) return 0;
+    return Math.sign(v) * (Math.abs(v) - deadzone) / (1 - deadzone);
+  }
+
+  function padButton(pad, i){ const b = pad.buttons[i]; return !!b && (b.pressed || b.value > 0.5); }
+
+  // polled once per frame; there are no button events in the Gamepad API
+  function pollGamepads(frameMs){
+    const pads = (navigator.getGamepads && navigator.getGamepads()) || [];
+    for(const pad of pads){
+      if(!pad || !pad.connected) continue;
+      const was = padPressed[pad.index] || {};
+      const now = {};
+      for(const name of Object.keys(PAD)) now[name] = padButton(pad, PAD[name]);
+      padPressed[pad.index] = now;
+      const pressed = name => now[name] && !was[name];
+
+      let move = stickValue(pad.axes[0] || 0);
+      if(now.LEFT) move -= 1;
+      if(now.RIGHT) move += 1;
+      const anyButton = Object.keys(PAD).some(name => now[name]);
+      if(move !== 0 || anyButton) setInputMode('gamepad');
+
+      if(versus){ pollVersusPad(pads.filter(p => p && p.connected).indexOf(pad), move, pressed, frameMs); continue; }
+      if(pressed('START')) togglePause();
+      if(!isRunning || gameOver || paused) continue;
+      if(move !== 0) moveAim(constrain(move, -1, 1) * PAD_AIM_SPEED * Math.min(MAX_FRAME_MS, frameMs) / 1000, 'gamepad');
+      if(pressed('A')){ if(targeting) pickTarget(aimTargetFruit()); else attemptDrop(aimX); }
+      if(pressed('X')) handleClearSmall();
+      if(pressed('Y')) handleHold();
+      if(pressed('B')) handleUndo();
+    }
+  }
+
+  function onGamepadConnected(){
+    showAchievement('Controller connected', { subtitle: 'Stick aims · A drops · X clears · Start pauses', duration: 2200 });
+  }
+
+  function onGamepadDisconnected(e){
+    if(e.gamepad) delete padPressed[e.gamepad.index];
+    autoPause();
+    if(inputMode === 'gamepad') setInputMode('pointer');
+  }
+
+  // -------------------------
+  // Pause
+  // -------------------------
+  // an online match has no pause: the opponent's board keeps going
+  function togglePause(){
+    if(!isRunning || gameOver || replayState || (versus && versus.online)) return;
+    setPaused(!paused);
+  }
+
+  function setPaused(v){
+    paused = v;
+    stepAccumulator = 0;
+    if(paused){
+      createPauseOverlay();
+      const sub = el('pauseScore'); if(sub) sub.innerText = game ? `Score ${game.score} · ${flowTime(game.tick).replace(/\.\d$/, '')}` : versus ? versusScoreLine() : '';
+      const tip = el('pauseTip'); if(tip) tip.innerText = pausePrompt();
+      el('overlayPause').style.display = 'flex';
+      openDialog('overlayPause');
+      saveProgress();
+    } else {
+      const ov = el('overlayPause'); if(ov) ov.style.display = 'none';
+      showPauseSettings(false);
+    }
+  }
+
+  // losing focus pauses a live game; a replay just stops where it is
+  function autoPause(){
+    if(replayState){
+      if(!replayState.paused){ replayState.paused = true; stepAccumulator = 0; updateReplayBarDom(); }
+      return;
+    }
+    if(isRunning && !gameOver && !paused && !(versus && versus.online)) setPaused(true);
+  }
+
+  function createPauseOverlay(){
+    if(el('overlayPause')) return;
+    const ov = document.createElement('div'); ov.id = 'overlayPause'; ov.style.display = 'none';
+    const card = document.createElement('div'); card.className = 'card';
+    const title = document.createElement('div'); title.className = 'title'; title.innerText = 'Paused';
+    const sub = document.createElement('div'); sub.className = 'subtitle'; sub.id = 'pauseScore';
+    const settings = document.createElement('div'); settings.id = 'pauseSettings';
+    const actions = document.createElement('div'); actions.className = 'card-actions';
+    const buttons = [
+      ['Resume', 'bigBtn', () => setPaused(false)],
+      ['Restart', 'btn', () => { setPaused(false); restartCurrent(); }],
+      ['Settings', 'btn', () => showPauseSettings(!el('pauseSettings').firstChild)],
+      ['Quit to menu', 'btn', () => { setPaused(false); startFromLanding(); }]
+    ];
+    for(const [text, cls, onclick] of buttons){
+      const b = document.createElement('button'); b.className = cls; b.innerText = text; b.onclick = onclick;
+      actions.appendChild(b);
+    }
+    const tip = document.createElement('div'); tip.className = 'tip'; tip.id = 'pauseTip';
+    card.appendChild(title); card.appendChild(sub); card.appendChild(actions); card.appendChild(settings); card.appendChild(tip);
+    ov.appendChild(card);
+    document.body.appendChild(ov);
+  }
+
+  // the controls editor lives on the landing card; borrow it while the pause overlay is up
+  function showPauseSettings(visible){
+    const host = el('pauseSettings'); if(!host) return;
+    for(const id of SETTINGS_PANELS){
+      const home = el(id); if(!home) continue;
+      const editor = visible ? home.firstChild : host.querySelector(`[data-home="${id}"]`);
+      if(!editor) continue;
+      editor.dataset.home = id;
+      (visible ? host : home).appendChild(editor);
+    }
+  }
+
+  // -------------------------
+  // Sound settings
+  // -------------------------
+  function loadAudioSettings(){
+    try{ return JSON.parse(localStorage.getItem(AUDIO_KEY)); }catch(e){ return null; }
+  }
+
+  function setAudio(changes){
+    const s = sound.set(changes);
+    try{ localStorage.setItem(AUDIO_KEY, JSON.stringify(s)); }catch(e){}
+    updateSoundDom();
+  }
+
+  function toggleMute(){ setAudio({ muted: !sound.settings.muted }); }
+
+  // music while a board is actually moving; it hurries along as the danger grows
+  function updateMusic(){
+    const live = isRunning && !paused && !gameOver;
+    const watching = replayState && !replayState.paused && !replayState.player.done;
+    sound.setMusicPlaying(!!(live || watching));
+    const boards = versus ? versus.match.games : game ? [game] : [];
+    sound.setIntensity(Math.max(0, ...boards.map(dangerIntensity)));
+  }
+
+  function dangerIntensity(g){
+    const dz = g.rules.overflowEnds ? g.danger : null;
+    return !dz || dz.state === 'safe' ? 0 : dz.state === 'warning' ? 0.5 : 0.5 + 0.5 * dz.progress;
+  }
+
+  function createSoundEditor(){
+    const panel = el('soundPanel'); if(!panel) return;
+    if(el('soundGrid')){ updateSoundDom(); return; }
+    const details = document.createElement('details'); details.className = 'rules-editor';
+    const summary = document.createElement('summary'); summary.innerText = 'Sound';
+    const grid = document.createElement('div'); grid.className = 'rules-grid keys-grid'; grid.id = 'soundGrid';
+    const rows = [['master', 'Master volume'], ['sfx', 'Effects'], ['music', 'Music'], ['musicOn', 'Play music'], ['muted', 'Mute everything']];
+    for(const [key, text] of rows){
+      const id = 'sound_' + key;
+      const lbl = document.createElement('label'); lbl.htmlFor = id; lbl.innerText = text;
+      const input = document.createElement('input'); input.id = id; input.dataset.sound = key;
+      if(typeof SuikaAudio.DEFAULT_SETTINGS[key] === 'boolean'){
+        input.type = 'checkbox';
+        input.onchange = () => setAudio({ [key]: input.checked });
+      } else {
+        input.type = 'range'; input.min = 0; input.max = 1; input.step = 0.05;
+        input.oninput = () => setAudio({ [key]: parseFloat(input.value) });
+      }
+      grid.appendChild(lbl); grid.appendChild(input);
+    }
+    details.appendChild(summary); details.appendChild(grid);
+    panel.appendChild(details);
+    updateSoundDom();
+  }
+
+  function updateSoundDom(){
+    const s = sound.settings;
+    for(const input of document.querySelectorAll('[data-sound]')){
+      if(input.type === 'checkbox') input.checked = s[input.dataset.sound];
+      else input.value = s[input.dataset.sound];
+    }
+    const b = el('btnMute');
+    if(b){ b.innerText = s.muted ? '🔇' : '🔊'; b.title = s.muted ? 'Sound off (M)' : 'Sound on (M)'; }
+  }
+
+  // -------------------------
+  // Accessibility
+  // -------------------------
+  function loadA11y(){
+    let saved = null;
+    try{ saved = JSON.parse(localStorage.getItem(A11Y_KEY)); }catch(e){}
+    if(!saved) return;
+    if(typeof saved.mode === 'boolean') a11y.mode = saved.mode;
+    if(typeof saved.reducedMotion === 'boolean') a11y.reducedMotion = saved.reducedMotion;
+  }
+
+  function setA11y(changes){
+    Object.assign(a11y, changes);
+    try{ localStorage.setItem(A11Y_KEY, JSON.stringify(a11y)); }catch(e){}
+    if(reducedMotion()) particles = [];
+    updateA11yDom();
+    if(changes.mode) announce('Accessibility mode on. Press ' + keyLabel(bindings.status[0] != null ? bindings.status[0] : bindings.status[1]) + ' for the game status');
+  }
+
+  function reducedMotion(){
+    if(a11y.reducedMotion !== null) return a11y.reducedMotion;
+    return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  // visually hidden live regions: #srStatus waits for the reader to finish, #srAlert interrupts
+  function createLiveRegions(){
+    if(el('srStatus')) return;
+    for(const [id, role, live] of [['srStatus', 'status', 'polite'], ['srAlert', 'alert', 'assertive']]){
+      const region = document.createElement('div'); region.id = id; region.className = 'sr-only';
+      region.setAttribute('role', role); region.setAttribute('aria-live', live); region.setAttribute('aria-atomic', 'true');
+      document.body.appendChild(region);
+    }
+  }
+
+  // only in accessibility mode; a merge and the score it brings go out as one message
+  function announce(text, urgent = false){
+    if(!a11y.mode || !text) return;
+    if(urgent){
+      const region = el('srAlert'); if(!region) return;
+      // cleared first so the same alert twice in a row is still read
+      region.textContent = '';
+      setTimeout(() => { region.textContent = text; }, 50);
+      return;
+    }
+    announceQueue.push(text);
+    if(announceTimer) return;
+    announceTimer = setTimeout(() => {
+      const region = el('srStatus'); if(region) region.textContent = announceQueue.join('. ');
+      announceQueue = []; announceTimer = null;
+    }, ANNOUNCE_BATCH_MS);
+  }
+
+  // everything the board shows, in words (the status key)
+  function readStatus(){
+    if(versus){ announce(versusStatusText()); return; }
+    if(!game){ announce('No game running'); return; }
+    const st = game.getState();
+    const parts = [`Score ${game.score}`];
+    if(game.mode.id !== 'endless') parts.push(`${game.mode.name}: ${modeStatusText(game.mode).replace(/^(⏱|🎯) /u, '')}`);
+    parts.push('Next ' + game.queue.map(l => levelInfo(l).name).join(', then '));
+    if(st.hold.enabled) parts.push(st.hold.level ? 'Holding ' + levelInfo(st.hold.level).name : 'Hold slot empty');
+    if(st.undo.enabled) parts.push(`${st.undo.charges} undo${st.undo.charges === 1 ? '' : 's'} left`);
+    parts.push(`${st.bodies.length} fruit${st.bodies.length === 1 ? '' : 's'} in the bowl` + (st.stats.highestLevel ? ', best ' + levelInfo(st.stats.highestLevel).name : ''));
+    if(game.rules.powerClear) parts.push(st.clear.available ? 'Clear Small ready' : st.clear.unlocked ? `Clear Small charging, ${Math.round(st.clear.charge * 100)}%` : `Clear Small unlocks at ${game.rules.clearUnlockScore}`);
+    const ready = Object.keys(st.powers).filter(id => id !== 'clear' && st.powers[id].available).map(id => SuikaGame.POWERS[id].name);
+    if(st.clear.max > 1) parts.push(`${st.clear.charges} of ${st.clear.max} power charges` + (ready.length ? ', ready: ' + ready.join(', ') : ''));
+    else if(ready.length) parts.push('Ready: ' + ready.join(', '));
+    if(game.rules.overflowEnds) parts.push(dangerText(game.danger));
+    announce(parts.join('. '));
+  }
+
+  // level number and dash pattern, drawn upright over the fruit so rotation never hides them
+  function drawFruitMarking(x, y, d, level){
+    const w = Math.max(2, d * 0.05);
+    const rings = 1 + Math.floor((level - 1) / FRUIT_OUTLINES.length);
+    const dash = FRUIT_OUTLINES[(level - 1) % FRUIT_OUTLINES.length];
+    push();
+    noFill();
+    for(let i=0;i<rings;i++){
+      const rd = d - i * w * 3;
+      stroke(255); strokeWeight(w + 2); circle(x, y, rd);
+      drawingContext.setLineDash(dash.map(v => v * w));
+      stroke(20); strokeWeight(w); circle(x, y, rd);
+      drawingContext.setLineDash([]);
+    }
+    textAlign(CENTER, CENTER); textStyle(BOLD); textSize(Math.max(11, d * 0.34));
+    stroke(255); strokeWeight(Math.max(3, d * 0.07)); fill(20);
+    text(String(level), x, y);
+    pop();
+  }
+
+  function createA11yEditor(){
+    const panel = el('a11yPanel'); if(!panel) return;
+    if(el('a11yGrid')){ updateA11yDom(); return; }
+    const details = document.createElement('details'); details.className = 'rules-editor';
+    const summary = document.createElement('summary'); summary.innerText = 'Accessibility';
+    const grid = document.createElement('div'); grid.className = 'rules-grid keys-grid'; grid.id = 'a11yGrid';
+    const modeLabel = document.createElement('label'); modeLabel.htmlFor = 'a11yMode'; modeLabel.innerText = 'Accessibility mode';
+    const mode = document.createElement('input'); mode.id = 'a11yMode'; mode.type = 'checkbox';
+    mode.onchange = () => setA11y({ mode: mode.checked });
+    const motionLabel = document.createElement('label'); motionLabel.htmlFor = 'a11yMotion'; motionLabel.innerText = 'Reduce motion';
+    const motion = document.createElement('select'); motion.id = 'a11yMotion';
+    for(const [value, text] of [['system', 'Like the system'], ['on', 'On'], ['off', 'Off']]){
+      const opt = document.createElement('option'); opt.value = value; opt.innerText = text;
+      motion.appendChild(opt);
+    }
+    motion.onchange = () => setA11y({ reducedMotion: motion.value === 'system' ? null : motion.value === 'on' });
+    grid.appendChild(modeLabel); grid.appendChild(mode); grid.appendChild(motionLabel); grid.appendChild(motion);
+    const hint = document.createElement('div'); hint.className = 'tip';
+    hint.innerText = 'Accessibility mode reads the next fruit, merges, score and danger to screen readers and marks every fruit with its level and an outline pattern.';
+    details.appendChild(summary); details.appendChild(grid); details.appendChild(hint);
+    panel.appendChild(details);
+    updateA11yDom();
+  }
+
+  function updateA11yDom(){
+    const mode = el('a11yMode'); if(mode) mode.checked = a11y.mode;
+    const motion = el('a11yMotion'); if(motion) motion.value = a11y.reducedMotion === null ? 'system' : (a11y.reducedMotion ? 'on' : 'off');
+    document.body.classList.toggle('reduced-motion', reducedMotion());
+  }
+
+  // -------------------------
+  // Dialogs: overlays as modal dialogs with focus kept inside
+  // -------------------------
+  function topOverlay(){
+    for(const id of OVERLAY_IDS){
+      const ov = el(id);
+      if(ov && window.getComputedStyle(ov).display !== 'none') return ov;
+    }
+    return null;
+  }
+
+  // tabbable controls that are actually on screen (not hidden, not inside a closed <details>)
+  function focusables(root){
+    const shown = n => {
+      for(let p = n; p && p !== root; p = p.parentElement){
+        if(p.hidden || p.style.display === 'none') return false;
+        const parent = p.parentElement;
+        if(parent && parent.tagName === 'DETAILS' && !parent.open && p.tagName !== 'SUMMARY') return false;
+      }
+      return true;
+    };
+    return Array.from(root.querySelectorAll('button, input, select, textarea, summary, a[href], [tabindex]'))
+      .filter(n => !n.disabled && n.tabIndex >= 0 && shown(n));
+  }
+
+  function markDialog(ov){
+    if(ov.getAttribute('role') === 'dialog') return;
+    ov.setAttribute('role', 'dialog'); ov.setAttribute('aria-modal', 'true');
+    const title = ov.querySelector('.title');
+    if(title){ if(!title.id) title.id = ov.id + 'Title'; ov.setAttribute('aria-labelledby', title.id); }
+  }
+
+  // call after the overlay is shown: focus moves to its main button (or first control)
+  function openDialog(id){
+    const ov = el(id); if(!ov) return;
+    markDialog(ov);
+    const active = document.activeElement;
+    if(active && active !== document.body && !ov.contains(active)) dialogOpeners[id] = active;
+    const target = ov.querySelector('.bigBtn') || focusables(ov)[0];
+    if(target) target.focus();
+  }
+
+  function closeDialog(id){
+    const opener = dialogOpeners[id]; delete dialogOpeners[id];
+    if(opener && document.body.contains(opener)) opener.focus();
+  }
+
+  // capture phase, so Tab / Esc are handled before p5 sees them
+  function onDialogKeydown(e){
+    const ov = topOverlay(); if(!ov) return;
+    if(e.key === 'Escape' && (ov.id === 'overlayLeaderboard' || ov.id === 'overlayTrophies')){
+      e.preventDefault(); e.stopPropagation();
+      if(ov.id === 'overlayLeaderboard') closeLeaderboard(); else closeTrophies();
+      return;
+    }
+    if(e.key !== 'Tab') return;
+    const items = focusables(ov);
+    if(!items.length){ e.preventDefault(); return; }
+    const first = items[0], last = items[items.length - 1];
+    if(!ov.contains(document.activeElement)){ e.preventDefault(); first.focus(); }
+    else if(e.shiftKey && document.activeElement === first){ e.preventDefault(); last.focus(); }
+    else if(!e.shiftKey && document.activeElement === last){ e.preventDefault(); first.focus(); }
+  }
+
+  // -------------------------
+  // Achievements & trophy room
+  // -------------------------
+  function loadAchievements(){
+    try{ achievementsSaved = JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY)) || {}; }catch(e){ achievementsSaved = {}; }
+  }
+
+  function saveAchievements(){
+    try{ localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(achievementsSaved)); }catch(e){}
+  }
+
+  // registry text uses placeholders for the theme's fruit names
+  function achievementText(text){
+    const max = theme.levels.length;
+    return text
+      .replace(/\{almost\}/g, levelInfo(max - 1).name)
+      .replace(/\{final\}/g, levelInfo(max).name)
+      .replace(/\{FINAL\}/g, levelInfo(max).name.toUpperCase());
+  }
+
+  // toast + chronology entry
+  function announceAchievement(a, info){
+    const title = achievementText(a.title), desc = achievementText(a.desc);
+    const subtitle = info.isNew ? 'Achievement unlocked · ' + desc : desc;
+    const big = a.id === 'final';
+    showAchievement(title, { subtitle, duration: big ? 2600 : 2000, big });
+    announce(title + '. ' + subtitle);
+    logFlow({ tick: info.tick, type: 'achievement', parts: [title + ' — ' + subtitle] });
+  }
+
+  function formatAchievementValue(a, v){ return a.format === 'time' ? flowTime(v).replace(/\.\d$/, '') : String(Math.floor(v)); }
+
+  function createTrophyOverlay(){
+    if(el('overlayTrophies')) return;
+    const ov = document.createElement('div'); ov.id = 'overlayTrophies'; ov.style.display = 'none';
+    ov.onclick = e => { if(e.target === ov) closeTrophies(); };
+    const card = document.createElement('div'); card.className = 'card trophy-card';
+    const title = document.createElement('div'); title.className = 'title'; title.innerText = 'Trophy room';
+    const sub = document.createElement('div'); sub.className = 'subtitle'; sub.id = 'trophySummary';
+    const grid = document.createElement('div'); grid.id = 'trophyGrid';
+    const actions = document.createElement('div'); actions.className = 'card-actions';
+    const close = document.createElement('button'); close.className = 'btn'; close.innerText = 'Close';
+    close.onclick = closeTrophies;
+    actions.appendChild(close);
+    card.appendChild(title); card.appendChild(sub); card.appendChild(grid); card.appendChild(actions);
+    ov.appendChild(card);
+    document.body.appendChild(ov);
+  }
+
+  function showTrophies(){
+    createTrophyOverlay();
+    el('overlayTrophies').style.display = 'flex';
+    renderTrophies();
+    openDialog('overlayTrophies');
+  }
+
+  function closeTrophies(){ const ov = el('overlayTrophies'); if(ov) ov.style.display = 'none'; closeDialog('overlayTrophies'); }
+
+  function renderTrophies(){
+    const grid = el('trophyGrid'); if(!grid) return;
+    grid.innerHTML = '';
+    const rows = SuikaAchievements.describe(achievementsSaved);
+    const sum = el('trophySummary'); if(sum) sum.innerText = `${rows.filter(r => r.unlocked).length} of ${rows.length} unlocked`;
+    for(const r of rows){
+      const a = r.achievement;
+      const item = document.createElement('div'); item.className = 'trophy' + (r.unlocked ? ' unlocked' : '');
+      const icon = document.createElement('div'); icon.className = 'trophy-icon'; icon.innerText = r.unlocked ? '🏆' : '🔒';
+      const body = document.createElement('div'); body.className = 'trophy-body';
+      const name = document.createElement('div'); name.className = 'trophy-title'; name.innerText = achievementText(a.title);
+      const desc = document.createElement('div'); desc.className = 'trophy-desc'; desc.innerText = achievementText(a.desc);
+      const bar = document.createElement('div'); bar.className = 'trophy-bar';
+      const fill = document.createElement('div'); fill.className = 'trophy-fill'; fill.style.width = `${Math.round(r.fraction*100)}%`;
+      bar.appendChild(fill);
+      const meta = document.createElement('div'); meta.className = 'trophy-meta';
+      meta.innerText = r.unlocked
+        ? 'Unlocked ' + new Date(r.unlockedAt).toLocaleDateString()
+        : `Best ${formatAchievementValue(a, r.best)} / ${formatAchievementValue(a, a.goal)}`;
+      body.appendChild(name); body.appendChild(desc); body.appendChild(bar); body.appendChild(meta);
+      item.appendChild(icon); item.appendChild(body);
+      grid.appendChild(item);
+    }
+  }
+
+  // -------------------------
+  // Ghost run
+  // -------------------------
+  function loadGhostSetting(){
+    try{ const saved = localStorage.getItem(GHOST_KEY); if(saved !== null) ghostOn = saved === '1'; }catch(e){}
+  }
+
+  function setGhostOn(on){
+    ghostOn = !!on;
+    try{ localStorage.setItem(GHOST_KEY, ghostOn ? '1' : '0'); }catch(e){}
+    const box = el('ghostToggle'); if(box) box.checked = ghostOn;
+    if(!ghostOn) ghost = null;
+    else if(game && isRunning && !gameOver && !replayState && !ghost) attachGhost(game);
+    updateGhostDom();
+  }
+
+  // the leaderboard run to race: same seed, rules and fruit sizes, so it plays back exactly; best by the mode's
+  // own ranking (Target: quickest to the target, everything else: score). A run resumed from a save its inputs
+  // don't replay to is no use, nor one whose replay doesn't end on the run's own score and time
+  function findGhostRun(g){
+    const rulesKey = JSON.stringify(SuikaGame.diffRules(g.rules)), lvKey = JSON.stringify(g.levels.map(l => [l.radius, l.points]));
+    const mode = SuikaGame.modeIdForRules(g.rules);
+    const opts = g.rules.mode === 'target' ? { mode, sort: 'targetTicks', dir: 'asc' } : { mode, sort: 'score', dir: 'desc' };
+    return SuikaLeaderboard.listRuns(opts).then(runs => runs.find(run => {
+      if(!run.replay || run.resumedAt != null || run.seed !== g.seed || (g.rules.mode === 'target' && run.targetTicks == null)) return false;
+      try{
+        const r = SuikaGame.parseReplay(run.replay);
+        if(r.resumed !== null || r.score !== run.score || r.end !== run.ticks) return false;
+        return JSON.stringify(r.rules) === rulesKey && JSON.stringify(r.lv) === lvKey;
+      }catch(e){ return false; }
+    }) || null);
+  }
+
+  // live games only; the ghost starts from tick 0 and catches up with a resumed game a few frames at a time
+  function attachGhost(g){
+    ghost = null;
+    updateGhostDom();
+    if(!ghostOn || replayState || versus || g.over) return;
+    findGhostRun(g).then(run => {
+      if(!run || game !== g || replayState || !ghostOn) return;
+      ghost = { g, player: SuikaGame.createReplayPlayer(run.replay), run };
+      advanceGhost();
+      announce(`Racing your best run on this seed: ${run.score}`);
+    }).catch(() => {});
+  }
+
+  function advanceGhost(){
+    if(!ghost || ghost.g !== game) return;
+    const p = ghost.player;
+    for(let n = 0; n < GHOST_CATCHUP_TICKS && p.game.tick < game.tick && !p.done; n++) p.step(1);
+    updateGhostDom();
+  }
+
+  // the ghost's board while it is level with the live one (not while catching up, nor once its run has ended)
+  function ghostBoard(){
+    if(!ghost || ghost.g !== game || ghost.player.done) return null;
+    return ghost.player.game.tick === game.tick ? ghost.player.game : null;
+  }
+
+  // ahead / behind at the same moment of the run; once the ghost's run is over, against its final score
+  function updateGhostDom(){
+    const box = el('ghostDelta'); if(!box) return;
+    const caughtUp = ghost && ghost.g === game && (ghost.player.done || ghost.player.game.tick === game.tick);
+    if(!caughtUp){ box.style.display = 'none'; return; }
+    let text, ahead;
+    if(ghost.player.done){
+      const best = ghost.run.score;
+      ahead = game.score > best;
+      text = ahead ? `Best run beaten by ${game.score - best}` : `${best - game.score} to beat your best`;
+    } else {
+      const delta = game.score - ghost.player.game.score;
+      ahead = delta >= 0;
+      text = `${delta >= 0 ? '+' : '−'}${Math.abs(delta)} vs best run`;
+    }
+    box.style.display = '';
+    if(box.innerText !== text) box.innerText = text;
+    box.classList.toggle('ahead', ahead);
+    box.classList.toggle('behind', !ahead);
+  }
+
+  // translucent outlines in each fruit's colour, under the live fruit
+  function drawGhostBodies(g, box){
+    const { boardW, boardX, boardY } = box, k = boardW / BOARD_SIZE;
+    push();
+    noFill(); strokeWeight(2);
+    drawingContext.setLineDash([6, 5]);
+    drawingContext.globalAlpha = 0.45;
+    for(const b of g.getState().bodies){
+      stroke(levelInfo(b.level).color);
+      ellipse(boardX + b.x * k, boardY + b.y * k, b.radius * k * 2 * VISUAL_DIAMETER_FACTOR);
+    }
+    pop();
+  }
+
+  // landing-card switch, under the mode picker
+  function createGhostToggle(){
+    const panel = el('modePanel'); if(!panel || el('ghostToggle')) return;
+    const row = document.createElement('div'); row.className = 'seed-row';
+    const label = document.createElement('label'); label.htmlFor = 'ghostToggle'; label.innerText = 'Ghost';
+    const box = document.createElement('input'); box.type = 'checkbox'; box.id = 'ghostToggle'; box.checked = ghostOn;
+    box.onchange = () => setGhostOn(box.checked);
+    const note = document.createElement('span'); note.className = 'muted'; note.innerText = 'race your best run on the same seed';
+    row.appendChild(label); row.appendChild(box); row.appendChild(note);
+    panel.appendChild(row);
+  }
+
+  // -------------------------
+  // Daily challenge
+  // -------------------------
+  function loadDaily(){
+    try{ dailyHistory = JSON.parse(localStorage.getItem(DAILY_KEY)) || {}; }catch(e){ dailyHistory = {}; }
+  }
+
+  function saveDaily(){
+    try{ localStorage.setItem(DAILY_KEY, JSON.stringify(dailyHistory)); }catch(e){}
+  }
+
+  // Daily runs (and online matches) always use the built-in set, so everyone's bowl has the same sizes
+  function dailyTheme(){ return themeById(SuikaThemes.EMOJI_THEME.id) || SuikaThemes.normalizeTheme(SuikaThemes.EMOJI_THEME); }
+  function dailyLevelName(n){ const lv = SuikaThemes.EMOJI_THEME.levels[n - 1]; return lv ? lv.name : 'Lvl ' + n; }
+  function dailyText(objective){ return SuikaDaily.objectiveText(objective, dailyLevelName); }
+  function dailyRules(objective){ return SuikaGame.normalizeRules(objective.rules); }
+
+  // a game is a Daily run when its seed names a day and it plays that day's rules (a typed daily seed under other rules is not)
+  function dailyDayOf(g){
+    const day = SuikaDaily.dayForSeed(g.seed);
+    if(!day) return null;
+    const same = JSON.stringify(SuikaGame.diffRules(g.rules)) === JSON.stringify(SuikaGame.diffRules(dailyRules(SuikaDaily.objectiveFor(day))));
+    return same ? day : null;
+  }
+
+  function startDaily(){
+    const day = SuikaDaily.dayKey(), objective = SuikaDaily.objectiveFor(day);
+    startGame({ seed: SuikaDaily.seedFor(day), theme: dailyTheme(), rules: dailyRules(objective) });
+    showAchievement('Daily challenge', { subtitle: dailyText(objective), duration: 2400 });
+    announce('Daily challenge: ' + dailyText(objective));
+  }
+
+  function attachDaily(g){
+    if(daily){ daily.tracker.stop(); daily = null; }
+    const day = dailyDayOf(g);
+    if(day){
+      const objective = SuikaDaily.objectiveFor(day);
+      daily = { day, objective, tracker: SuikaDaily.createTracker(g, objective, { onChange: onDailyStatus }) };
+    }
+    updateDailyDom();
+  }
+
+  function onDailyStatus(status, info){
+    const text = dailyText(daily.objective);
+    if(status === 'open'){
+      // an undo took back the drop that missed it
+      announce('Daily objective back in reach: ' + text);
+      updateDailyDom();
+      return;
+    }
+    if(status === 'met'){
+      showAchievement('Daily objective complete!', { subtitle: text, duration: 2400, big: true });
+      sound.play('chain', { count: 6 });
+    } else showAchievement('Daily objective missed', { subtitle: text + ' · keep going for score', duration: 2200 });
+    announce(status === 'met' ? 'Daily objective complete: ' + text : 'Daily objective missed: ' + text);
+    logFlow({ tick: info.tick, type: 'achievement', parts: [(status === 'met' ? 'Daily objective complete — ' : 'Daily objective missed — ') + text] });
+    updateDailyDom();
+  }
+
+  // the live run's result goes into the day's history; returns what the results card shows
+  function finishDaily(e){
+    const st = game.getState();
+    const rec = SuikaDaily.recordResult(dailyHistory, daily.day, {
+      met: daily.tracker.status === 'met', score: e.score, drops: st.stats.drops, ticks: e.tick, highestLevel: st.stats.highestLevel
+    });
+    saveDaily();
+    return { day: daily.day, met: daily.tracker.status === 'met', rec };
+  }
+
+  function dailyShareText(day){
+    const names = { maxLevel: SuikaThemes.EMOJI_THEME.levels.length, levelName: dailyLevelName, levelEmoji: n => SuikaThemes.EMOJI_THEME.levels[n - 1].emoji };
+    return SuikaDaily.shareText(day, dailyHistory[day], names, SuikaDaily.streak(dailyHistory, day));
+  }
+
+  // top-bar badge while a Daily run is on screen, and today's objective + streak on the landing overlay
+  function updateDailyDom(){
+    const badge = el('dailyBadge');
+    if(badge){
+      badge.style.display = daily ? '' : 'none';
+      if(daily) badge.innerText = `Daily: ${dailyText(daily.objective)} ${{ open: '⏳', met: '✅', failed: '❌' }[daily.tracker.status]}`;
+    }
+    const info = el('dailyInfo');
+    if(info){
+      const today = SuikaDaily.dayKey(), rec = dailyHistory[today], s = SuikaDaily.streak(dailyHistory, today);
+      let text = `Daily ${today}: ${dailyText(SuikaDaily.objectiveFor(today))}`;
+      if(rec) text += rec.met ? ` · done ✅ (best ${rec.score})` : ` · not yet (${rec.attempts} tr${rec.attempts === 1 ? 'y' : 'ies'})`;
+      if(s.current || s.best) text += ` · streak ${s.current} (best ${s.best})`;
+      info.innerText = text;
+    }
+  }
+
+  // results card on the Game Over overlay: this run's verdict and the day's shareable summary
+  function renderDailyResult(result){
+    const box = el('dailyResult'); if(!box) return;
+    box.innerHTML = '';
+    box.style.display = result ? '' : 'none';
+    if(!result) return;
+    const head = document.createElement('div'); head.className = 'daily-result-title';
+    head.innerText = result.met ? 'Daily objective complete ✅' : 'Daily objective missed ❌';
+    const pre = document.createElement('pre'); pre.id = 'dailyShare'; pre.className = 'daily-share';
+    pre.innerText = dailyShareText(result.day);
+    const copy = document.createElement('button'); copy.className = 'btn'; copy.innerText = 'Copy result';
+    copy.onclick = () => copyDailyResult(pre);
+    box.appendChild(head); box.appendChild(pre); box.appendChild(copy);
+    updateDailyDom();
+  }
+
+  // no clipboard access (http, old browser): select the text so a manual copy works
+  function copyDailyResult(pre){
+    const text = pre.innerText;
+    const selectIt = () => {
+      try{ const range = document.createRange(); range.selectNodeContents(pre); const sel = window.getSelection(); sel.removeAllRanges(); sel.addRange(range); }catch(e){}
+      showAchievement('Result selected', { subtitle: 'Copy it with Ctrl+C / ⌘C', duration: 1800 });
+    };
+    if(navigator.clipboard && navigator.clipboard.writeText){
+      navigator.clipboard.writeText(text).then(() => { showAchievement('Copied!', { subtitle: 'Paste it anywhere to share', duration: 1400 }); announce('Result copied'); }, selectIt);
+    } else selectIt();
+  }
+
+  // -------------------------
+  // Versus
+  // -------------------------
+  // online, player 0 is always you and player 1 the opponent
+  function versusLabel(i){
+    if(versus && versus.online) return i === 0 ? 'You' : (versus.match.names[1] || 'Opponent');
+    return 'Player ' + (i + 1);
+  }
+  function versusWins(i){ return versus && versus.online && i === 0 ? 'You win!' : `${versusLabel(i)} wins!`; }
+  function versusBowl(i){ return versus && versus.online && i === 0 ? 'Your bowl' : `${versusLabel(i)}'s bowl`; }
+
+  // both players get the chosen fruit set and rules (SuikaVersus lays its own on top) and the same seed
+  function startVersus(){
+    const t = selectedTheme;
+    applySeed(resolveSeed());
+    beginVersus(SuikaVersus.createMatch({ seed: activeSeed, theme: t.id, levels: SuikaThemes.gameplayLevels(t), rules: activeRules }), t, false);
+    showAchievement('Versus', { subtitle: 'First bowl to overflow loses', duration: 2000 });
+    announce('Versus. ' + versusPrompt());
+  }
+
+  // the two bowls take the screen from whatever was running
+  function beginVersus(match, t, online){
+    if(replayState) endReplayPlayback();
+    endVersus();
+    detachGame();
+    if(paused) setPaused(false);
+    versus = { match, online, players: match.games.map(() => ({ aimX: BOARD_SIZE / 2, lastDropTick: -Infinity, held: {} })), offs: [] };
+    showTheme(t);
+    attachVersus(match);
+    document.body.classList.add('versus');
+    if(document.activeElement && document.activeElement.tagName === 'BUTTON') document.activeElement.blur();
+    particles = [];
+    gameOver = false; isRunning = true;
+    stepAccumulator = 0;
+    showStartOverlay(false); closeGameOver();
+    updateInputPrompts();
+  }
+
+  function endVersus(){
+    if(!versus) return;
+    for(const off of versus.offs) off();
+    versus.match.stop();
+    versus = null;
+    document.body.classList.remove('versus');
+    updateInputPrompts();
+  }
+
+  function attachVersus(match){
+    match.games.forEach((g, i) => {
+      const at = (x, y) => toScreen(x, y, computeBoardRect(i));
+      versus.offs.push(
+        g.on('drop', e => { const p = at(e.x, e.y); spawnParticles(p.x, p.y + 2, e.level, 8); sound.play('drop', { level: e.level }); }),
+        g.on('merge', e => {
+          const p = at(e.x, e.y);
+          spawnParticles(p.x, p.y, e.level, 20);
+          spawnFloatPop(p.x, p.y - 8, '+' + e.points);
+          sound.play('merge', { level: e.level });
+        }),
+        g.on('chain', e => { sound.play('chain', { count: e.count }); announce(`${versusLabel(i)}: chain of ${e.count}`); }),
+        g.on('clear', e => { sound.play('clear'); announce(`${versusLabel(i)} cleared ${e.removed} small fruit${e.removed === 1 ? '' : 's'}`); }),
+        g.on('garbagedrop', e => { const p = at(e.x, e.y); spawnParticles(p.x, p.y, e.level, 6); }),
+        g.on('danger', e => {
+          dangerBeats.delete(g);
+          if(dangerCue(g, e) === true) announce(`${versusLabel(i)}: ${dangerText(e, g)}`, true);
+        })
+      );
+    });
+    versus.offs.push(match.on('attack', onVersusAttack), match.on('end', onVersusEnd));
+  }
+
+  function onVersusAttack(e){
+    const p = toScreen(e.x, e.y, computeBoardRect(e.from));
+    spawnFloatPop(p.x, p.y - 30, `${e.to > e.from ? '→' : '←'} ${e.count} garbage`);
+    sound.play('pop');
+    announce(`${e.count} garbage fruit${e.count === 1 ? '' : 's'} from ${versusLabel(e.from)} to ${versusLabel(e.to)}`);
+  }
+
+  // the match's verdict on the Game Over card; the single-player parts of the card stay hidden
+  function onVersusEnd(e){
+    gameOver = true;
+    isRunning = false;
+    sound.play(e.reason === 'supernova' ? 'supernova' : 'gameover');
+    if(e.reason === 'supernova') supernovaBurst();
+    // online a match can also end with a player gone (winner null: the connection to the relay dropped)
+    const title = e.winner === null ? 'No contest' : versusWins(e.winner);
+    const why = e.reason === 'supernova' ? `${versusLabel(e.winner)} set off a Fruit Supernova`
+      : e.reason === 'left' || e.reason === 'quit' ? `${versusLabel(e.loser)} left the match`
+      : e.reason === 'disconnected' ? 'Lost the connection to the relay'
+      : `${versusBowl(e.loser)} overflowed`;
+    const line = why + ' · ' + versusScoreLine();
+    const ov = el('overlayGameOver'); if(ov) ov.style.display = 'flex';
+    const t = el('gameOverTitle'); if(t) t.innerText = title;
+    const gs = el('gameOverScore'); if(gs) gs.innerText = line;
+    const mr = el('modeResult'); if(mr) mr.style.display = 'none';
+    renderDailyResult(null);
+    updateSeedDom();
+    showAchievement(title, { subtitle: line, duration: 2400, big: true });
+    announce(`${title} ${line}`, true);
+    openDialog('overlayGameOver');
+  }
+
+  function versusScoreLine(){ return versus.match.games.map((g, i) => `${versusLabel(i)} ${g.score}`).join(' · '); }
+
+  function versusKeysText(i){
+    const k = VERSUS_KEYS[i], rules = versus.match.rules;
+    return `P${i + 1}: ${keyLabel(k.left)} ${keyLabel(k.right)} aim · ${keyLabel(k.drop)} drop` +
+      (rules.holdSlot ? ` · ${keyLabel(k.hold)} hold` : '') + (rules.powerClear ? ` · ${keyLabel(k.clear)} clear` : '');
+  }
+
+  // online either half of the keyboard plays your bowl
+  function versusPrompt(){
+    if(!versus.online) return versus.players.map((p, i) => versusKeysText(i)).join('   ·   ');
+    const rules = versus.match.rules, both = action => VERSUS_KEYS.map(k => keyLabel(k[action])).join(' or ');
+    return VERSUS_KEYS.map(k => `${keyLabel(k.left)} ${keyLabel(k.right)}`).join(' or ') + ` aim · ${both('drop')} drop` +
+      (rules.holdSlot ? ` · ${both('hold')} hold` : '') + (rules.powerClear ? ` · ${both('clear')} clear` : '');
   }
 
-  // -------------------------
-  // Particles & audio
-  // -------------------------
-  function spawnParticles(x,y,level, count=18){
-    const hueBase = 28 + (level*18) % 320;
-    for(let i=0;i<count;i++){
-      const ang = Math.random()*Math.PI*2;
-      const speed = 1 + Math.random()*3;
-      particles.push({
-        x, y,
-        vx: Math.cos(ang)*speed,
-        vy: Math.sin(ang)*speed - 1.3,
-        life: 26 + Math.floor(Math.random()*12),
-        size: 2 + Math.random()*5,
-        col: `hsl(${(hueBase + Math.random()*40)%360} 84% 58%)`
-      });
-    }
+  function versusStatusText(){
+    return versus.match.games.map((g, i) => {
+      const st = g.getState();
+      const parts = [`${versusLabel(i)}: score ${st.score}`, 'next ' + levelInfo(st.queue[0]).name];
+      if(st.hold.enabled && st.hold.level) parts.push('holding ' + levelInfo(st.hold.level).name);
+      if(st.garbage.pending) parts.push(`${st.garbage.pending} garbage incoming`);
+      parts.push(dangerText(st.danger, g));
+      return parts.join(', ');
+    }).join('. ');
   }
-  function updateParticles(){
-    for(const p of particles){
-      p.x += p.vx; p.y += p.vy; p.vy += 0.12; p.life--;
-      p.vx *= 0.996; p.vy *= 0.996;
+
+  // [player, action] for a key of either half of the keyboard, or null (online both halves are yours)
+  function versusKey(k){
+    k = normalizeKey(k);
+    for(let i=0;i<VERSUS_KEYS.length;i++){
+      for(const action of Object.keys(VERSUS_KEYS[i])) if(normalizeKey(VERSUS_KEYS[i][action]) === k) return [versus.online ? 0 : i, action];
     }
-    particles = particles.filter(p => p.life > 0);
+    return null;
   }
-  function drawParticles(){
-    noStroke();
-    for(const p of particles){
-      const alpha = map(p.life, 0, 40, 0, 1);
-      drawingContext.globalAlpha = alpha;
-      fill(p.col);
-      circle(p.x, p.y, p.size);
-      drawingContext.globalAlpha = 1;
+
+  function moveVersusAim(i, dx){
+    const p = versus.players[i];
+    p.aimX = constrain(p.aimX + dx, SPAWN_PAD, BOARD_SIZE - SPAWN_PAD);
+  }
+
+  function versusAction(i, action){
+    const g = versus.match.games[i], p = versus.players[i];
+    if(action === 'left' || action === 'right'){
+      moveVersusAim(i, (action === 'left' ? -1 : 1) * AIM_STEP);
+      p.held[action] = millis();
+    } else if(action === 'drop'){
+      if(g.tick - p.lastDropTick < SPAWN_DEBOUNCE_TICKS) return;
+      p.lastDropTick = g.tick;
+      g.drop(p.aimX);
     }
+    else if(action === 'hold') g.hold();
+    else if(action === 'clear') g.clearSmall();
   }
 
-  let audioCtx = null;
-  function ensureAudio(){ if(!audioCtx) audioCtx = new (window.AudioContext || window.webkitAudioContext)(); if(audioCtx.state === 'suspended') audioCtx.resume().catch(()=>{}); }
-  function playPop(level){
-    try{
-      ensureAudio();
-      const t0 = audioCtx.currentTime;
-      const o = audioCtx.createOscillator();
-      const g = audioCtx.createGain();
-      o.type = 'sine';
-      const base = 420 + (level * 22);
-      o.frequency.setValueAtTime(base + Math.random()*35, t0);
-      g.gain.setValueAtTime(0.08, t0);
-      g.gain.exponentialRampToValueAtTime(0.001, t0 + 0.14);
-      o.connect(g); g.connect(audioCtx.destination);
-      o.start(t0); o.stop(t0 + 0.14);
-    }catch(e){}
+  // held aim keys glide, as in single play (no fine steps: Shift can't tell the players apart)
+  function updateVersusAim(frameMs){
+    const now = millis();
+    versus.players.forEach((p, i) => {
+      for(const action of ['left', 'right']){
+        if(p.held[action] == null || now - p.held[action] < AIM_HOLD_DELAY_MS) continue;
+        moveVersusAim(i, (action === 'left' ? -1 : 1) * AIM_SPEED * Math.min(MAX_FRAME_MS, frameMs) / 1000);
+      }
+    });
   }
 
-  // -------------------------
-  // Gravity & spin control
-  // -------------------------
-  function updateGravity(){
-    if(!world || !world.gravity) return;
-    const levels = bodies
-      .filter(b => b && b._fruit && Number.isFinite(b._fruit.level))
-      .map(b => b._fruit.level);
-    if(levels.length === 0) {
-      world.gravity.y = 1.06;
-      return;
+  // slot = the pad's place among the connected ones; pads past the player count only pause (online: only the first pad plays)
+  function pollVersusPad(slot, move, pressed, frameMs){
+    if(pressed('START')) togglePause();
+    if(slot < 0 || slot >= (versus.online ? 1 : versus.players.length) || !isRunning || gameOver || paused) return;
+    if(move !== 0) moveVersusAim(slot, constrain(move, -1, 1) * PAD_AIM_SPEED * Math.min(MAX_FRAME_MS, frameMs) / 1000);
+    if(pressed('A')) versusAction(slot, 'drop');
+    if(pressed('X')) versusAction(slot, 'clear');
+    if(pressed('Y')) versusAction(slot, 'hold');
+  }
+
+  function advanceVersus(frameMs){
+    if(!isRunning || paused) return;
+    stepAccumulator += Math.min(MAX_FRAME_MS, Math.max(0, frameMs));
+    while(stepAccumulator >= STEP_MS){
+      stepAccumulator -= STEP_MS;
+      versus.match.step(1);
+      updateParticles();
+      if(versus.match.over){ stepAccumulator = 0; break; }
     }
-    const highestLevel = Math.max(...levels);
-    const gravityBase = 1.35;
-    const gravityGainPerLevel = 0.08;
-    const gravityCap = 2.0;
-    const proposed = gravityBase + gravityGainPerLevel * (highestLevel - 1);
-    const newG = Number.isFinite(proposed) ? Math.min(proposed, gravityCap) : world.gravity.y;
-    if(!Number.isFinite(newG) || newG <= 0 || newG > 10) return;
-    world.gravity.y = newG;
-  }
-
-  function clampSpinForFruit(b){
-    if(!b || !b._fruit || b.isStatic) return;
-    const level = Math.max(1, Math.floor(b._fruit.level || 1));
-    // bigger fruits spin less
-    const maxSpin = Math.max(0.0015, 0.036 - 0.0038 * level);
-    const current = (b.angularVelocity || 0);
-    if(Math.abs(current) > maxSpin){
-      Body.setAngularVelocity(b, Math.sign(current) * maxSpin);
-    } else {
-      // apply damping for larger fruits
-      if(level >= 5){
-        const damping = 0.80;
-        Body.setAngularVelocity(b, current * damping);
+  }
+
+  function drawVersus(){
+    if(isRunning && !paused) updateVersusAim(typeof deltaTime === 'number' ? deltaTime : STEP_MS);
+    versus.match.games.forEach((g, i) => {
+      const box = computeBoardRect(i), k = box.boardW / BOARD_SIZE;
+      drawBoard(g, box);
+      drawDangerZone(box.boardX, box.boardW, box.boardY, k, g);
+      drawVersusHud(i, box);
+      // nobody knows where the opponent is aiming online
+      if(isRunning && !g.over && !(versus.online && i > 0)){
+        const px = constrain(toScreen(versus.players[i].aimX, 0, box).x, box.boardX + 16, box.boardX + box.boardW - 16);
+        drawDropGuide(px, box.boardY, box.boardW, g.nextPick);
       }
+    });
+    drawParticles();
+  }
+
+  // above each bowl: player and score on the left; next fruit (and the hold slot) on the right;
+  // Clear Small and incoming garbage underneath
+  function drawVersusHud(i, box){
+    const g = versus.match.games[i], st = g.getState();
+    const left = box.boardX - 18, right = box.boardX + box.boardW + 18, top = box.boardY - 18 - VERSUS_HUD_H;
+    push();
+    noStroke(); textAlign(LEFT, TOP);
+    fill(VERSUS_COLORS[i % VERSUS_COLORS.length]); textStyle(BOLD); textSize(16);
+    text(versusLabel(i), left, top + 2);
+    fill(30); textSize(22);
+    text('Score ' + st.score, left, top + 22);
+    textStyle(NORMAL); textSize(13);
+    if(st.garbage.pending){ fill(200, 50, 50); text(`⚠ ${st.garbage.pending} garbage incoming`, left, top + 50); }
+    else if(g.rules.powerClear){
+      fill(110);
+      text(st.clear.available ? 'Clear Small ready' + (versus.online && i > 0 ? '' : ` (${keyLabel(VERSUS_KEYS[i].clear)})`) : st.clear.unlocked ? `Clear Small ${Math.round(st.clear.charge * 100)}%` : `Clear Small at ${g.rules.clearUnlockScore}`, left, top + 50);
     }
+
+    // right to left: hold slot, then the queue with the next fruit biggest
+    let x = right;
+    const slot = (level, d, label) => {
+      x -= d;
+      fill(255, 255, 255, 230); ellipse(x + d / 2, top + 36, d + 6, d + 6);
+      if(level){ push(); translate(x + d / 2, top + 36); drawFruitGlyph(level, d); pop(); }
+      fill(110); textSize(11); textAlign(CENTER, TOP); text(label, x + d / 2, top);
+      x -= 10;
+    };
+    if(st.hold.enabled) slot(st.hold.level, 30, st.hold.used ? 'Held' : 'Hold');
+    for(let q = st.queue.length - 1; q >= 0; q--) slot(st.queue[q], q === 0 ? 36 : 24, q === 0 ? 'Next' : '');
+    pop();
   }
 
   // -------------------------
-  // Scoring helper (table-based)
+  // Online versus
   // -------------------------
-  function scoreForMerge(level, chainCount=1){
-    const base = POINTS_PER_LEVEL[Math.max(1, Math.min(level, MAX_LEVEL))] || 1;
-    const chainMul = 1 + Math.min(0.6, CHAIN_MULTIPLIER_PER * Math.max(0, chainCount - 1));
-    return Math.round(base * chainMul);
+  // the host's seed field and rules go to both players; the fruit set is always the built-in one
+  function netClient(){
+    if(net) return net.client;
+    const t = dailyTheme(), input = el('netUrl');
+    let client;
+    try{ client = SuikaNet.createClient({ url: (input && input.value.trim()) || SuikaNet.defaultUrl(), theme: t.id, levels: SuikaThemes.gameplayLevels(t) }); }
+    catch(e){ setNetNote(e.message || 'Could not reach the relay'); return null; }
+    net = { client };
+    netNote = 'Connecting…';
+    client.on('open', () => setNetNote(''));
+    client.on('lobby', () => setNetNote(''));
+    client.on('error', e => setNetNote(e.message));
+    client.on('close', () => {
+      if(!net || net.client !== client) return;
+      net = null;
+      setNetNote(netNote || 'Disconnected from the relay');
+    });
+    client.on('start', startOnlineVersus);
+    return client;
   }
 
-  // -------------------------
-  // Bounds, spawn weights, preview
-  // -------------------------
-  function createBounds(){
-    try{
-      if(ground) World.remove(world, ground);
-      if(leftWall) World.remove(world, leftWall);
-      if(rightWall) World.remove(world, rightWall);
-    }catch(e){}
-    const { boardW, boardX, boardY } = computeBoardRect();
-    const thickness = Math.max(120, boardW*0.12);
-    ground = Bodies.rectangle(boardX + boardW/2, boardY + boardW + thickness/2, boardW + thickness*2, thickness, { isStatic:true, restitution:0.02, friction:0.92 });
-    leftWall = Bodies.rectangle(boardX - thickness/2, boardY + boardW/2, thickness, boardW + thickness*2, { isStatic:true, restitution:0.02, friction:0.92 });
-    rightWall = Bodies.rectangle(boardX + boardW + thickness/2, boardY + boardW/2, thickness, boardW + thickness*2, { isStatic:true, restitution:0.02, friction:0.92 });
-    World.add(world, [ground, leftWall, rightWall]);
+  function setNetNote(text){
+    netNote = text;
+    if(text) announce(text);
+    updateOnlineDom();
   }
 
-  function weightedPick(){ const weights = SPAWN_WEIGHTS.slice(0, SPAWN_MAX_LEVEL); const total = weights.reduce((a,b)=>a+b,0); const r = Math.random() * total; let cum = 0; for(let i=0;i<weights.length;i++){ cum += weights[i]; if(r < cum) return i+1; } return weights.length; }
-  function generateNextPick(){ nextPick = weightedPick(); updateNextPreviewDom(); positionNextPreview(); }
+  function netHost(){
+    const c = netClient(); if(!c) return;
+    c.host({ name: playerName(), seed: resolveSeed(), rules: activeRules });
+  }
 
-  // -------------------------
-  // Clamp inside board (prevents leaks)
-  // -------------------------
-  function clampBodyInsideBoard(b){
-    if(!b || !b.position || !b._fruit) return;
-    const { boardW, boardX, boardY } = computeBoardRect();
-    const topLineY = boardY + 8;
-    // clamp horizontally
-    const leftBound = boardX + 12 + b._fruit.radius;
-    const rightBound = boardX + boardW - 12 - b._fruit.radius;
-    if(b.position.x < leftBound) Body.setPosition(b, { x: leftBound, y: b.position.y });
-    if(b.position.x > rightBound) Body.setPosition(b, { x: rightBound, y: b.position.y });
-    // clamp top so fruit cannot leak above the top line
-    const topOfFruit = b.position.y - b._fruit.radius;
-    if(topOfFruit < topLineY + 2){
-      Body.setPosition(b, { x: b.position.x, y: topLineY + 2 + b._fruit.radius });
-      Body.setVelocity(b, { x: (b.velocity && b.velocity.x) ? b.velocity.x * 0.25 : 0, y: Math.max(0.1, (b.velocity && b.velocity.y) ? b.velocity.y * 0.2 : 0.1) });
-    }
-  }
-
-  // -------------------------
-  // Create / spawn fruits (use radiusForLevel)
-  // -------------------------
-  function createFruitAt(level, x, y){
-    const r = radiusForLevel(level);
-    // density proportional to area (heavier for bigger fruits)
-    const baseDensity = 0.0022;
-    const areaScale = Math.max(1, (r * r) / Math.max(1, Math.round((computeBoardRect().boardW * RADIUS_BASE_FRAC) ** 2)));
-    const density = baseDensity * (1 + (areaScale - 1) * 0.9);
-    const options = { restitution: 0.01, friction: 0.96, frictionAir: 0.04, density: density, label: 'fruit' };
-    const b = Bodies.circle(x, y, r, options);
-    // increase inertia for larger fruits so they rotate less for same force
-    const inertiaScale = 100;
-    const inertia = (r * r) * inertiaScale;
-    try { Body.setInertia(b, inertia); } catch(e){}
-    b._fruit = { level, radius: r, wobble: 0 };
-    World.add(world, b);
-    bodies.push(b);
-    Body.setVelocity(b, { x: (Math.random()-0.5)*0.03, y: -0.12 + Math.random()*0.20 });
-    Body.setAngularVelocity(b, (Math.random()-0.5)*0.004);
-    clampSpinForFruit(b);
-    b._spawnTime = millis();
-    clampBodyInsideBoard(b);
-    return b;
-  }
-
-  function spawnFruit(screenX, forcedLevel){
-    if(!isRunning || gameOver) return null;
-    lastSpawnTime = millis();
-    const { boardW, boardX, boardY } = computeBoardRect();
-    const pad = 18;
-    const spawnX = (typeof screenX === 'number') ? constrain(screenX, boardX + pad, boardX + boardW - pad) : boardX + boardW/2;
+  function netJoin(){
+    const input = el('netCode'), code = SuikaNet.normalizeCode(input ? input.value : '');
+    if(!SuikaNet.isCode(code)){ setNetNote('A lobby code is four letters'); return; }
+    const c = netClient(); if(!c) return;
+    c.join(code, playerName());
+  }
 
-    // determine spawnLevel
-    let spawnLevel;
-    if(forcedLevel){
-      spawnLevel = Math.min(forcedLevel, MAX_LEVEL);
-    } else {
-      // if there is a nextPick pick it; if null pick weighted
-      spawnLevel = Math.min(nextPick || weightedPick(), SPAWN_MAX_LEVEL);
-      // refresh preview AFTER we decide spawnLevel to keep preview = upcoming fruit
-      generateNextPick();
-    }
-
-    const r = radiusForLevel(spawnLevel);
-    const spawnY = boardY + r + 6;
-
-    // create the body (similar to createFruitAt)
-    const baseDensity = 0.0022;
-    const areaScale = Math.max(1, (r * r) / Math.max(1, Math.round((computeBoardRect().boardW * RADIUS_BASE_FRAC) ** 2)));
-    const density = baseDensity * (1 + (areaScale - 1) * 0.9);
-    const options = { restitution: 0.01, friction: 0.96, frictionAir: 0.04, density: density, label: 'fruit' };
-    const b = Bodies.circle(spawnX, spawnY, r, options);
-    const inertiaScale = 100;
-    const inertia = (r * r) * inertiaScale;
-    try { Body.setInertia(b, inertia); } catch(e){}
-    b._fruit = { level: spawnLevel, radius: r, wobble: 0 };
-    b._spawnTime = millis();
-    World.add(world, b);
-    bodies.push(b);
-    Body.setVelocity(b, { x: (Math.random()-0.5)*0.03, y: 0.26 + Math.random()*0.20 });
-    Body.setAngularVelocity(b, (Math.random()-0.5) * 0.004);
-    clampSpinForFruit(b);
-    spawnParticles(spawnX, spawnY + 2, spawnLevel, 8);
-    clampBodyInsideBoard(b);
-
-    return b;
-  }
-
-  // -------------------------
-  // Merge scheduling & collision
-  // -------------------------
-  function scheduleMergeCheck(A,B, delay = 50 + Math.floor(Math.random()*90)){
-    const idA = A.id, idB = B.id;
-    const lev = A._fruit.level;
-    if(lev >= MAX_LEVEL) return;
-    setTimeout(() => {
-      const bodyA = bodies.find(b => b.id === idA);
-      const bodyB = bodies.find(b => b.id === idB);
-      if(!bodyA || !bodyB) return;
-      if(!bodyA._fruit || !bodyB._fruit) return;
-      if(bodyA._fruit.level !== lev || bodyB._fruit.level !== lev) return;
-      const d = Vector.magnitude(Vector.sub(bodyA.position, bodyB.position));
-      const minDist = (bodyA._fruit.radius + bodyB._fruit.radius) * MERGE_MIN_DIST;
-      const relVel = Vector.magnitude(Vector.sub(bodyA.velocity, bodyB.velocity));
-      if(d <= minDist && relVel <= 3.0){
-        tryMergePair(bodyA, bodyB);
-      }
-    }, delay);
-  }
-
-  function onCollision(event){
-    for(const pair of event.pairs){
-      const A = pair.bodyA, B = pair.bodyB;
-      if(!A._fruit || !B._fruit) continue;
-      if(A.isStatic || B.isStatic) continue;
-      if(A._fruit.level === B._fruit.level && A._fruit.level < MAX_LEVEL){
-        const d = Vector.magnitude(Vector.sub(A.position, B.position));
-        const minDist = (A._fruit.radius + B._fruit.radius) * MERGE_MIN_DIST;
-        if(d <= minDist) scheduleMergeCheck(A,B);
-      }
+  function netToggleReady(){
+    const lobby = net && net.client.lobby; if(!lobby) return;
+    net.client.setReady(!lobby.players[lobby.you].ready);
+  }
+
+  function netLeave(){
+    if(!net) return;
+    const client = net.client;
+    net = null;
+    netNote = '';
+    client.close();
+    updateOnlineDom();
+  }
+
+  function startOnlineVersus(match){
+    closeStartOverlay();
+    applySeed(match.games[0].seed);
+    beginVersus(match, dailyTheme(), true);
+    versus.offs.push(
+      match.on('desync', e => showAchievement('Out of sync', { subtitle: `${versusLabel(1)}'s bowl differs at ${flowTime(e.tick).replace(/\.\d$/, '')} — fetching it`, duration: 1800 })),
+      match.on('resync', () => announce(`${versusLabel(1)}'s bowl is back in sync`))
+    );
+    showAchievement('Online versus', { subtitle: `You vs ${versusLabel(1)} — first bowl to overflow loses`, duration: 2000 });
+    announce(`Online versus against ${versusLabel(1)}. ${versusPrompt()}`);
+  }
+
+  // back to the landing card with the lobby open, where Ready asks for a rematch
+  function openOnlineLobby(){
+    startFromLanding();
+    const d = el('onlineDetails'); if(d) d.open = true;
+    updateOnlineDom();
+  }
+
+  // landing-card panel: relay address, Host / code + Join, then the lobby with Ready / Leave
+  function createOnlinePanel(){
+    const panel = el('onlinePanel'); if(!panel || el('onlineDetails')) return;
+    const details = document.createElement('details'); details.className = 'rules-editor'; details.id = 'onlineDetails';
+    const summary = document.createElement('summary'); summary.innerText = 'Online versus';
+    const row = (...children) => { const r = document.createElement('div'); r.className = 'seed-row'; for(const c of children) r.appendChild(c); details.appendChild(r); return r; };
+    const button = (id, text, onclick) => { const b = document.createElement('button'); b.id = id; b.className = 'btn'; b.innerText = text; b.onclick = onclick; return b; };
+
+    details.appendChild(summary);
+    const urlLabel = document.createElement('label'); urlLabel.htmlFor = 'netUrl'; urlLabel.innerText = 'Relay';
+    const url = document.createElement('input'); url.id = 'netUrl'; url.type = 'text'; url.placeholder = SuikaNet.defaultUrl();
+    url.autocomplete = 'off'; url.spellcheck = false;
+    row(urlLabel, url);
+    const code = document.createElement('input'); code.id = 'netCode'; code.type = 'text'; code.maxLength = 4; code.placeholder = 'CODE';
+    code.setAttribute('aria-label', 'Lobby code'); code.autocomplete = 'off'; code.spellcheck = false; code.style.width = '72px';
+    code.onkeydown = e => { if(e.key === 'Enter') netJoin(); };
+    row(button('netHost', 'Host', netHost), code, button('netJoin', 'Join', netJoin)).id = 'netSetupRow';
+    row(button('netReady', 'Ready', netToggleReady), button('netLeave', 'Leave', netLeave)).id = 'netLobbyRow';
+    const status = document.createElement('div'); status.className = 'tip'; status.id = 'netStatus'; status.setAttribute('aria-live', 'polite');
+    details.appendChild(status);
+    panel.appendChild(details);
+    updateOnlineDom();
+  }
+
+  function updateOnlineDom(){
+    const status = el('netStatus'); if(!status) return;
+    const lobby = net && net.client.lobby;
+    const show = (id, on) => { const e = el(id); if(e) e.style.display = on ? '' : 'none'; };
+    show('netSetupRow', !lobby);
+    show('netLobbyRow', !!lobby);
+    const url = el('netUrl'); if(url) url.disabled = !!net;
+    if(!lobby){
+      status.innerText = netNote || 'Host a lobby and share its code, or join one — run node suika-relay.js and open the page it serves';
+      return;
     }
+    const me = lobby.players[lobby.you];
+    const ready = el('netReady'); if(ready) ready.innerText = me.ready ? 'Not ready' : (lobby.round ? 'Ready for a rematch' : 'Ready');
+    const players = lobby.players.map((p, i) => `${p.name}${i === lobby.you ? ' (you)' : ''} ${p.ready ? '✓ ready' : '… not ready'}`);
+    if(lobby.players.length < 2) players.push('waiting for someone to join');
+    status.innerText = (netNote ? netNote + ' · ' : '') + `Lobby ${lobby.code} · ` + players.join(' · ');
   }
 
   // -------------------------
-  // Merge action & scoring & achievements
+  // Leaderboard
   // -------------------------
-  function tryMergePair(A,B){
-    if(mergedThisStep.has(A.id) || mergedThisStep.has(B.id)) return;
-    if(!A._fruit || !B._fruit) return;
-    if(A._fruit.level >= MAX_LEVEL) return;
-    mergedThisStep.add(A.id); mergedThisStep.add(B.id);
-    if(!Composite.get(world, A.id, 'body') || !Composite.get(world, B.id, 'body')) return;
+  function playerName(){
+    let name = '';
+    try{ name = localStorage.getItem(NAME_KEY) || ''; }catch(e){}
+    return name.trim() || 'Player';
+  }
 
-    const level = Math.min(A._fruit.level + 1, MAX_LEVEL);
-    const pos = { x: (A.position.x + B.position.x)/2, y: (A.position.y + B.position.y)/2 };
+  // resolves to the new run's id (null if the leaderboard is unavailable)
+  function recordRun(g, e){
+    const state = g.getState(), st = state.stats;
+    lastRunId = null;
+    const nameInput = el('playerName'); if(nameInput) nameInput.value = playerName();
+    return SuikaLeaderboard.addRun({
+      name: playerName(), date: Date.now(), score: e.score, ticks: e.tick,
+      drops: st.drops, highestLevel: st.highestLevel, highestName: st.highestLevel ? levelInfo(st.highestLevel).name : null,
+      longestChain: st.longestChain, longestDrought: st.longestDrought, randomizer: g.rules.randomizer, undos: state.undo.used,
+      preset: SuikaGame.presetIdForRules(g.rules) || 'custom', presetName: rulesName(g.rules),
+      mode: SuikaGame.modeIdForRules(g.rules), modeName: modeName(g.rules) || 'Endless', targetTicks: e.reason === 'target' ? e.tick : null,
+      seed: g.seed, theme: g.theme, replay: lastRun, resumedAt: g.resumedAt
+    }).then(id => { lastRunId = id; return id; }, err => { console.warn('Leaderboard:', err.message); return null; });
+  }
 
-    try{ World.remove(world, A); } catch(e){}
-    try{ World.remove(world, B); } catch(e){}
-    bodies = bodies.filter(bb => bb.id !== A.id && bb.id !== B.id);
+  // Game Over name field: remembered for next time and applied to the run that just ended
+  function renameLastRun(){
+    const input = el('playerName'); if(!input) return;
+    const name = input.value.trim().slice(0, 24);
+    try{ localStorage.setItem(NAME_KEY, name); }catch(e){}
+    if(lastRunId !== null) SuikaLeaderboard.updateRun(lastRunId, { name: name || 'Player' }).catch(()=>{});
+  }
 
-    const nb = createFruitAt(level, pos.x, pos.y - 6);
-    if(nb){
-      Body.applyForce(nb, nb.position, { x: (Math.random()-0.5)*0.002, y: -0.012 - Math.random()*0.006 });
-      nb._fruit.wobble = 1.2;
-      clampSpinForFruit(nb);
+  function createLeaderboardOverlay(){
+    if(el('overlayLeaderboard')) return;
+    const ov = document.createElement('div'); ov.id = 'overlayLeaderboard'; ov.style.display = 'none';
+    ov.onclick = e => { if(e.target === ov) closeLeaderboard(); };
+    const card = document.createElement('div'); card.className = 'card leaderboard-card';
+    const title = document.createElement('div'); title.className = 'title'; title.innerText = 'Leaderboard';
+    const row = document.createElement('div'); row.className = 'seed-row';
+    const label = document.createElement('label'); label.htmlFor = 'boardPreset'; label.innerText = 'Rules';
+    const sel = document.createElement('select'); sel.id = 'boardPreset';
+    const options = [['', 'All rules']].concat(SuikaGame.RULE_PRESETS.map(p => [p.id, p.name]), [['custom', 'Custom']]);
+    for(const [value, text] of options){
+      const opt = document.createElement('option'); opt.value = value; opt.innerText = text;
+      sel.appendChild(opt);
+    }
+    sel.onchange = () => { boardView.preset = sel.value; renderLeaderboard(); };
+    // one board per mode; Target ranks by the time the target took
+    const modeLabel = document.createElement('label'); modeLabel.htmlFor = 'boardMode'; modeLabel.innerText = 'Mode';
+    const modeSel = document.createElement('select'); modeSel.id = 'boardMode';
+    for(const [value, text] of [['', 'All modes']].concat(MODE_OPTIONS)){
+      const opt = document.createElement('option'); opt.value = value; opt.innerText = text;
+      modeSel.appendChild(opt);
     }
+    modeSel.onchange = () => {
+      boardView.mode = modeSel.value;
+      if(boardView.mode === 'target'){ boardView.sort = 'targetTicks'; boardView.dir = 'asc'; }
+      else if(boardView.sort === 'targetTicks'){ boardView.sort = 'score'; boardView.dir = 'desc'; }
+      renderLeaderboard();
+    };
+    row.appendChild(label); row.appendChild(sel); row.appendChild(modeLabel); row.appendChild(modeSel);
+    const table = document.createElement('div'); table.id = 'boardTable';
+    const status = document.createElement('div'); status.id = 'boardStatus'; status.className = 'tip';
+    const actions = document.createElement('div'); actions.className = 'card-actions';
+    const close = document.createElement('button'); close.className = 'btn'; close.innerText = 'Close';
+    close.onclick = closeLeaderboard;
+    actions.appendChild(close);
+    card.appendChild(title); card.appendChild(row); card.appendChild(table); card.appendChild(status); card.appendChild(actions);
+    ov.appendChild(card);
+    document.body.appendChild(ov);
+  }
 
-    spawnParticles(pos.x, pos.y, level, 20);
-    playPop(level);
-    recordMergeForChain();
+  function showLeaderboard(){
+    createLeaderboardOverlay();
+    el('overlayLeaderboard').style.display = 'flex';
+    renderLeaderboard();
+    openDialog('overlayLeaderboard');
+  }
 
-    // scoring via helper
-    const ptsFinal = scoreForMerge(level, chainCount);
-    spawnFloatPop(pos.x, pos.y - 8, '+' + ptsFinal);
-    score += ptsFinal;
-    const scoreEl = el('score'); if(scoreEl) scoreEl.innerText = 'Score ' + score;
-    pointsAccumSinceClear += ptsFinal;
-    if(score > high){ high = score; localStorage.setItem('suika_physics_high', String(high)); const hEl = el('high'); if(hEl) hEl.innerText = high; }
+  function closeLeaderboard(){ const ov = el('overlayLeaderboard'); if(ov) ov.style.display = 'none'; closeDialog('overlayLeaderboard'); }
+
+  function renderLeaderboard(){
+    const wrap = el('boardTable'), status = el('boardStatus'); if(!wrap) return;
+    SuikaLeaderboard.listRuns(boardView).then(runs => {
+      wrap.innerHTML = '';
+      if(status) status.innerText = runs.length ? `${runs.length} run${runs.length === 1 ? '' : 's'} · best ${SuikaLeaderboard.MAX_RUNS} are kept` : 'No runs yet — finish a game to get on the board.';
+      if(!runs.length) return;
+      const table = document.createElement('table');
+      const head = document.createElement('tr');
+      for(const [field, text] of boardColumns()){
+        const th = document.createElement('th'); th.innerText = text;
+        if(field){
+          th.className = 'sortable' + (boardView.sort === field ? ' sorted' : '');
+          th.tabIndex = 0;
+          th.setAttribute('aria-sort', boardView.sort !== field ? 'none' : boardView.dir === 'asc' ? 'ascending' : 'descending');
+          if(boardView.sort === field) th.innerText += boardView.dir === 'asc' ? ' ▲' : ' ▼';
+          th.dataset.field = field;
+          th.onclick = () => {
+            if(boardView.sort === field) boardView.dir = boardView.dir === 'asc' ? 'desc' : 'asc';
+            else { boardView.sort = field; boardView.dir = field === 'name' || field === 'targetTicks' ? 'asc' : 'desc'; }
+            renderLeaderboard();
+          };
+          th.onkeydown = e => { if(e.key === 'Enter' || e.key === ' '){ e.preventDefault(); refocusSort = field; th.onclick(); } };
+        }
+        head.appendChild(th);
+      }
+      table.appendChild(head);
+      for(const run of runs) table.appendChild(leaderboardRowDom(run));
+      wrap.appendChild(table);
+      // the table was rebuilt under a keyboard sort; keep focus on that column
+      if(refocusSort){ const th = wrap.querySelector(`th[data-field="${refocusSort}"]`); if(th) th.focus(); refocusSort = null; }
+    }).catch(e => {
+      wrap.innerHTML = '';
+      if(status) status.innerText = 'Leaderboard unavailable: ' + e.message;
+    });
+  }
 
-    if(!clearUnlocked && score >= CLEAR_UNLOCK_SCORE){ clearUnlocked = true; clearAvailable = true; updateClearDom(); }
-    if(clearUnlocked && !clearAvailable && pointsAccumSinceClear >= CLEAR_RECHARGE_POINTS){ clearAvailable = true; pointsAccumSinceClear = 0; updateClearDom(); }
+  // the Target board gets a column for the time the target took
+  function boardColumns(){
+    if(boardView.mode !== 'target') return BOARD_COLUMNS;
+    const i = BOARD_COLUMNS.findIndex(c => c[0] === 'ticks') + 1;
+    return BOARD_COLUMNS.slice(0, i).concat([['targetTicks', 'Target time']], BOARD_COLUMNS.slice(i));
+  }
 
-    // Achievements
-    if(level === 8){
-      showAchievement('Almost there!', { subtitle: 'Level 8 reached', duration: 1900 });
-    } else if(level === MAX_LEVEL){
-      showAchievement('WATERMELON!', { subtitle: 'Final fruit achieved', duration: 2600, big:true });
+  function leaderboardRowDom(run){
+    const tr = document.createElement('tr');
+    if(run.id === lastRunId) tr.className = 'current';
+    const cell = text => { const td = document.createElement('td'); td.innerText = text; tr.appendChild(td); return td; };
+    cell(run.name || 'Player');
+    cell(run.score);
+    cell(run.date ? new Date(run.date).toLocaleDateString() : '—');
+    cell(run.ticks != null ? flowTime(run.ticks) : '—');
+    if(boardView.mode === 'target') cell(run.targetTicks != null ? flowTime(run.targetTicks) : 'missed');
+    cell(run.drops != null ? run.drops : '—');
+    cell(run.highestLevel ? (run.highestName || 'Lvl ' + run.highestLevel) : '—').title = run.highestLevel ? 'Level ' + run.highestLevel : '';
+    cell(run.longestChain ? 'x' + run.longestChain : '—');
+    cell(run.longestDrought != null ? run.longestDrought : '—').title = 'Most drops in a row without some spawnable fruit';
+    const rulesCell = cell((run.presetName || run.preset || '—') + (run.randomizer === 'bag' ? ' · bag' : '') + (run.mode && run.mode !== 'endless' ? ' · ' + run.modeName : ''));
+    if(run.undos){
+      const flag = document.createElement('span'); flag.className = 'run-flag'; flag.innerText = '↶ ' + run.undos;
+      flag.title = `Used undo ${run.undos} time${run.undos === 1 ? '' : 's'}`;
+      rulesCell.appendChild(flag);
+    }
+    const actions = cell('');
+    if(run.replay){
+      const watch = document.createElement('button'); watch.className = 'flow-chip'; watch.innerText = '▶'; watch.title = 'Watch replay';
+      watch.setAttribute('aria-label', `Watch ${run.name || 'Player'}'s replay`);
+      watch.onclick = () => { closeLeaderboard(); startReplay(run.replay); };
+      actions.appendChild(watch);
     }
+    const del = document.createElement('button'); del.className = 'flow-chip'; del.innerText = '✕'; del.title = 'Delete run';
+    del.setAttribute('aria-label', `Delete ${run.name || 'Player'}'s run`);
+    del.onclick = () => {
+      if(!window.confirm(`Delete ${run.name || 'Player'}'s run (${run.score})?`)) return;
+      SuikaLeaderboard.deleteRun(run.id).then(renderLeaderboard, e => showAchievement('Could not delete', { subtitle: e.message, duration: 1800 }));
+    };
+    actions.appendChild(del);
+    return tr;
   }
 
-  function clearMergeTrackers(){ mergedThisStep.clear(); }
-
   // -------------------------
   // Float pop & chain shout
   // -------------------------
   function spawnFloatPop(x,y,text){
+    if(reducedMotion()) return;
     const node = document.createElement('div');
     node.className = 'float-pop';
     // inline minimal styling so it shows even if CSS missing
@@ -426,22 +2320,6 @@
     setTimeout(()=>{ if(node && node.parentNode) node.parentNode.removeChild(node); }, 900);
   }
 
-  function recordMergeForChain(){
-    const now = millis();
-    if(lastMergeTime && (now - lastMergeTime) <= CHAIN_TIMEOUT && lastSpawnTime <= lastMergeTime){
-      chainCount = (chainCount || 0) + 1;
-    } else {
-      chainCount = 1;
-    }
-    lastMergeTime = now;
-    if(chainTimer) clearTimeout(chainTimer);
-    chainTimer = setTimeout(() => {
-      if(chainCount > 1) showChainShout(chainCount);
-      chainCount = 0;
-      chainTimer = null;
-    }, CHAIN_TIMEOUT);
-  }
-
   function showChainShout(n){
     if(!chainShoutEl){
       chainShoutEl = document.createElement('div');
@@ -472,18 +2350,59 @@
   // -------------------------
   function updateNextPreviewDom(){
     const np = el('nextPreview'); if(!np) return;
-    const lvl = nextPick || 1;
+    const lvl = (game && game.nextPick) || 1;
     np.innerHTML = '';
-    const img = document.createElement('img');
-    img.alt = 'next fruit';
-    img.src = `fruit${lvl}.png`;
-    img.style.width = '84px';
-    img.style.height = '84px';
-    img.style.objectFit = 'contain';
-    img.onerror = function(){ np.innerText = 'Lvl '+lvl; };
-    np.appendChild(img);
+    np.title = 'Next: ' + levelInfo(lvl).name;
+    np.appendChild(fruitIconDom(lvl, 84));
+    // the rest of the queue, smaller, in drop order
+    const later = game ? game.queue.slice(1) : [];
+    np.classList.toggle('queue', later.length > 0);
+    if(later.length){
+      const q = document.createElement('div'); q.className = 'next-queue';
+      for(const l of later) q.appendChild(fruitIconDom(l, 34));
+      np.title += ' · then ' + later.map(l => levelInfo(l).name).join(', ');
+      np.appendChild(q);
+    }
+    np.setAttribute('aria-label', np.title);
     np.style.position = 'absolute';
     np.style.zIndex = 999;
+    updateHoldDom();
+  }
+
+  // hold slot: hidden unless the rules allow holding; dimmed once used until the next drop
+  function updateHoldDom(){
+    const hs = el('holdSlot'); if(!hs) return;
+    const st = game && game.rules.holdSlot ? game.getState().hold : null;
+    hs.style.display = st ? 'flex' : 'none';
+    if(!st) return;
+    hs.innerHTML = '';
+    const label = document.createElement('span'); label.className = 'hold-label'; label.innerText = 'Hold';
+    hs.appendChild(label);
+    if(st.level) hs.appendChild(fruitIconDom(st.level, 56));
+    hs.classList.toggle('used', st.used);
+    hs.title = st.level ? 'Held: ' + levelInfo(st.level).name + (st.used ? ' (drop first to swap again)' : ' — click to swap') : 'Click to hold the next fruit';
+    hs.setAttribute('aria-label', hs.title);
+  }
+
+  function handleHold(){
+    if(!isRunning || gameOver || paused || !game) return;
+    game.hold();
+  }
+
+  // top-bar Undo button: hidden unless the rules give undo charges
+  function updateUndoDom(u = game ? game.getState().undo : null){
+    const btn = el('btnUndo'); if(!btn) return;
+    btn.style.display = u && u.enabled ? '' : 'none';
+    if(!u || !u.enabled) return;
+    btn.innerText = `Undo ×${u.charges}`;
+    btn.classList.toggle('disabled', !u.available);
+    btn.title = u.available ? 'Take back the last drop (' + keyLabel(bindings.undo[0] != null ? bindings.undo[0] : bindings.undo[1]) + ')'
+      : u.charges ? 'Nothing to undo until the next drop' : `Recharging: ${Math.round(u.charge * 100)}%`;
+  }
+
+  function handleUndo(){
+    if(!isRunning || gameOver || paused || !game) return;
+    game.undo();
   }
 
   function positionNextPreview(){
@@ -502,6 +2421,12 @@
     if(top < 64) top = Math.max(12, boardY + 12);
     np.style.left = left + 'px';
     np.style.top = top + 'px';
+    // hold slot sits under the preview, or to its left when the preview is centred above the bowl
+    const hs = el('holdSlot'); if(!hs) return;
+    const holdW = hs.offsetWidth || 72;
+    const beside = left > boardX + boardW;
+    hs.style.left = (beside ? left + (previewW - holdW) / 2 : left - holdW - gap) + 'px';
+    hs.style.top = (beside ? top + previewH + gap : top + (previewH - (hs.offsetHeight || 80)) / 2) + 'px';
   }
 
   // -------------------------
@@ -511,7 +2436,9 @@
     const container = document.getElementById('mobileMergeIcons');
     if(!container) return;
     container.innerHTML = '';
-    for(let i=1;i<=Math.min(SPAWN_MAX_LEVEL, MAX_LEVEL); i++){
+    // same spawn range as the core: never the last level
+    const spawnMax = (game ? game.rules : activeRules).spawnWeights.length;
+    for(let i=1;i<=Math.min(spawnMax, theme.levels.length - 1); i++){
       const elIcon = document.createElement('div');
       elIcon.className = 'mobile-merge-icon';
       elIcon.style.display = 'inline-flex';
@@ -522,49 +2449,129 @@
       elIcon.style.height = '36px';
       elIcon.style.borderRadius = '8px';
       elIcon.style.background = 'rgba(255,255,255,0.9)';
-      const img = document.createElement('img');
-      img.style.width = '22px'; img.style.height = '22px';
-      img.alt = `lvl${i}`;
-      img.src = `fruit${i}.png`;
-      img.onerror = function(){ elIcon.innerText = i; };
-      elIcon.appendChild(img);
+      elIcon.appendChild(fruitIconDom(i, 22));
       container.appendChild(elIcon);
     }
   }
 
-  function updateClearDom(){
+  // the charge bar is the meter every power draws on; with more than one charge banked the label counts them
+  function updateClearDom(clear = game ? game.getState().clear : { unlocked: false, available: false, charge: 0, charges: 0, max: activeRules.powerMaxCharges }){
+    updatePowerDom(clear.powers);
     const btn = el('btnClear'); if(!btn) return;
     const fill = el('chargeFill'); const label = el('chargeLabel');
-    const pct = Math.min(1, pointsAccumSinceClear / CLEAR_RECHARGE_POINTS);
+    const pct = clear.charge;
     if(fill) fill.style.width = `${Math.round(pct*100)}%`;
     if(label) {
-      if(!clearUnlocked) label.innerText = `Unlock: ${CLEAR_UNLOCK_SCORE}`;
-      else if(clearAvailable) label.innerText = 'Ready';
+      if(!clear.unlocked) label.innerText = `Unlock: ${(game ? game.rules : activeRules).clearUnlockScore}`;
+      else if(clear.max > 1) label.innerText = clear.charges >= clear.max ? `Full ${clear.charges}/${clear.max}` : `${clear.charges}/${clear.max} · ${Math.round(pct*100)}%`;
+      else if(clear.charges > 0) label.innerText = 'Ready';
       else label.innerText = `Charge ${Math.round(pct*100)}%`;
     }
-    if(!clearUnlocked){
+    if(!clear.unlocked){
       btn.classList.add('disabled'); btn.setAttribute('data-locked','true'); btn.innerText = 'Clear Small';
     } else {
       btn.removeAttribute('data-locked');
-      if(clearAvailable){ btn.classList.remove('disabled'); btn.innerText = 'Clear Small'; }
+      if(clear.available){ btn.classList.remove('disabled'); btn.innerText = 'Clear Small'; }
       else { btn.classList.add('disabled'); btn.innerText = 'Clear (recharging)'; }
     }
   }
 
   function handleClearSmall(){
-    if(!clearUnlocked || !clearAvailable) return;
-    for(const b of bodies.slice()){
-      if(!b || !b._fruit) continue;
-      if(b._fruit.level <= 2){
-        try{ World.remove(world, b); } catch(e){}
+    if(!isRunning || !game) return;
+    game.clearSmall();
+  }
+
+  // every power button but Clear Small's: hidden when the rules leave the power off, one pip per charge it costs,
+  // and a fill that drains while it cools down (or while the magnet pulls)
+  function updatePowerDom(powers = game ? game.powers : null){
+    const rules = game ? game.rules : activeRules;
+    const bClear = el('btnClear'); if(bClear) bClear.style.display = rules.powerClear ? '' : 'none';
+    for(const id of Object.keys(POWER_BUTTONS)){
+      const btn = el(POWER_BUTTONS[id]);
+      if(!btn || id === 'clear') continue;
+      const p = SuikaGame.POWERS[id];
+      btn.style.display = rules[p.rule] ? '' : 'none';
+      if(!rules[p.rule]) continue;
+      const st = powers ? powers[id] : { available: false, cooldown: 0, active: 0 };
+      const pips = '●'.repeat(p.cost);
+      if(btn.dataset.label !== p.name + pips){
+        btn.dataset.label = p.name + pips;
+        btn.innerHTML = '';
+        btn.appendChild(document.createTextNode(p.name + ' '));
+        const pip = document.createElement('span'); pip.className = 'power-pips'; pip.innerText = pips;
+        btn.appendChild(pip);
       }
+      btn.classList.toggle('disabled', !st.available);
+      btn.classList.toggle('targeting', targeting === id);
+      btn.style.setProperty('--cool', `${Math.round(Math.max(st.cooldown, st.active || 0) * 100)}%`);
+      const key = bindings[id] && (bindings[id][0] != null ? bindings[id][0] : bindings[id][1]);
+      btn.title = `${p.name}: ${p.cost} charge${p.cost === 1 ? '' : 's'}` + (key != null ? ` (${keyLabel(key)})` : '')
+        + (st.cooldown > 0 ? ', cooling down' : '');
     }
-    bodies = bodies.filter(b => b && b._fruit && b._fruit.level > 2);
-    clearAvailable = false;
-    pointsAccumSinceClear = 0;
-    clearUsed = true;
-    updateClearDom();
-    showAchievement('Cleared small fruits', { duration: 1400 });
+  }
+
+  // Upgrade and Pop first ask for a fruit; pressing the power again cancels
+  function handlePower(id){
+    if(!isRunning || gameOver || paused || !game) return;
+    if(id === 'clear'){ handleClearSmall(); return; }
+    if(!SuikaGame.POWERS[id].target){ game.usePower(id); return; }
+    if(targeting === id){ cancelTargeting(); return; }
+    if(!game.powers[id].available) return;
+    targeting = id;
+    updatePowerDom();
+    const how = inputMode === 'pointer' ? 'Click a fruit' : 'Aim at a fruit and press drop';
+    showAchievement(SuikaGame.POWERS[id].name, { subtitle: `${how} · Esc cancels`, duration: 1600 });
+    announce(`${SuikaGame.POWERS[id].name}: ${how.toLowerCase()}, Escape cancels`);
+  }
+
+  function cancelTargeting(){
+    if(!targeting) return;
+    targeting = null;
+    updatePowerDom();
+    announce('Cancelled');
+  }
+
+  function pickTarget(fruit){
+    const id = targeting;
+    if(!id || !game) return;
+    if(!fruit){ announce('No fruit there'); return; }
+    targeting = null;
+    if(!game.usePower(id, fruit.id)) announce(`${SuikaGame.POWERS[id].name} can't be used on that fruit`);
+    updatePowerDom();
+  }
+
+  // fruit under a screen point
+  function fruitAtScreen(sx, sy){
+    const { boardW, boardX, boardY } = computeBoardRect();
+    const k = boardW / BOARD_SIZE;
+    const bx = (sx - boardX) / k, by = (sy - boardY) / k;
+    let best = null, bestD = Infinity;
+    for(const b of game.getState().bodies){
+      const d = Math.hypot(b.x - bx, b.y - by);
+      if(d <= b.radius * VISUAL_DIAMETER_FACTOR && d < bestD){ best = b; bestD = d; }
+    }
+    return best;
+  }
+
+  // keyboard / gamepad targeting: the topmost fruit the aim line passes through
+  function aimTargetFruit(){
+    let best = null;
+    for(const b of game.getState().bodies){
+      if(Math.abs(b.x - aimX) <= b.radius && (!best || b.y < best.y)) best = b;
+    }
+    return best;
+  }
+
+  function drawTargetRing(boardX, boardY, k){
+    const b = inputMode === 'pointer' ? fruitAtScreen(mouseX, mouseY) : aimTargetFruit();
+    if(!b) return;
+    const d = b.radius * k * 2 * VISUAL_DIAMETER_FACTOR + 10;
+    push();
+    noFill(); stroke(targeting === 'pop' ? color(230, 70, 70) : color(60, 170, 110)); strokeWeight(3);
+    drawingContext.setLineDash([8, 6]);
+    ellipse(boardX + b.x * k, boardY + b.y * k, d, d);
+    drawingContext.setLineDash([]);
+    pop();
   }
 
   // -------------------------
@@ -611,29 +2618,21 @@
     const title = document.createElement('div'); title.className = 'title'; title.innerText = 'Merge order';
     container.appendChild(title);
     const wrap = document.createElement('div'); wrap.className = 'levels';
-    for(let i=1;i<=MAX_LEVEL;i++){
+    for(let i=1;i<=theme.levels.length;i++){
       const item = document.createElement('div');
       item.style.display='flex'; item.style.flexDirection='column'; item.style.alignItems='center';
       item.style.width='68px'; item.style.padding='6px'; item.style.borderRadius='10px';
       item.style.background = '#fff'; item.style.border = '1px solid rgba(0,0,0,0.04)';
       item.style.marginBottom = '8px';
-      const img = document.createElement('img');
-      img.style.width='44px'; img.style.height='44px'; img.style.objectFit='contain';
-      img.src = `fruit${i}.png`;
-      img.onerror = function(){ this.style.display='none'; };
-      const fallback = document.createElement('div');
-      fallback.style.fontSize='20px'; fallback.style.fontWeight='800'; fallback.style.marginTop='6px';
-      fallback.innerText = ('Lvl'+i);
-      item.appendChild(img);
-      item.appendChild(fallback);
-      const lbl = document.createElement('div'); lbl.style.fontSize='12px'; lbl.style.marginTop = '6px'; lbl.innerText = 'Lvl ' + i;
+      item.appendChild(fruitIconDom(i, 44));
+      const lbl = document.createElement('div'); lbl.style.fontSize='12px'; lbl.style.marginTop = '6px'; lbl.innerText = levelInfo(i).name;
       item.appendChild(lbl);
       wrap.appendChild(item);
     }
     container.appendChild(wrap);
     const hint = document.createElement('div');
     hint.style.fontSize = '13px'; hint.style.color = 'var(--muted)'; hint.style.marginTop = '8px'; hint.style.textAlign = 'center';
-    hint.innerText = 'Merge two same fruits to get the next level. Level ' + MAX_LEVEL + ' is terminal.';
+    hint.innerText = 'Merge two same fruits to get the next level. ' + levelInfo(theme.levels.length).name + ' (level ' + theme.levels.length + ') is terminal.';
     container.appendChild(hint);
   }
 
@@ -646,27 +2645,78 @@
     ov = el('overlayStart');
     if(!ov) return;
     ov.style.display = visible ? 'flex' : 'none'; 
+    if(visible) openDialog('overlayStart');
   }
   function closeStartOverlay(){ const ov = el('overlayStart'); if(ov) ov.style.display = 'none'; }
 
-  function triggerGameOver(){
+  function triggerGameOver(score, fruit){
     gameOver = true;
     isRunning = false;
-    try { engine.world.gravity.y = 0; } catch(e){}
     const ov = el('overlayGameOver'); if(ov) ov.style.display = 'flex';
+    const title = el('gameOverTitle');
+    if(title){
+      const secs = game ? Math.round(game.rules.overflowTicks * STEP_MS / 100) / 10 : 0;
+      title.innerText = fruit
+        ? `Game Over — the ${levelInfo(fruit.level).name} stayed over the line` + (secs ? ` for ${secs}s` : '')
+        : 'Game Over...fruit went over the edge';
+    }
     const gs = el('gameOverScore'); if(gs) gs.innerText = 'Score ' + score;
+    updateSeedDom();
     showAchievement('Game Over', { subtitle: `Final score ${score}`, duration: 2200 });
+    announce((title ? title.innerText : 'Game Over') + `. Final score ${score}`, true);
+    openDialog('overlayGameOver');
+  }
+
+  // Time Attack / Limited Drops / Target finishing on their own terms: the same card, with the mode's verdict
+  function triggerModeResult(e){
+    gameOver = true;
+    isRunning = false;
+    const rules = game.rules;
+    const ov = el('overlayGameOver'); if(ov) ov.style.display = 'flex';
+    const title = el('gameOverTitle'); if(title) title.innerText = MODE_ENDS[e.reason];
+    const line = e.reason === 'target' ? `${levelInfo(rules.modeTargetLevel).name} in ${flowTime(e.tick)} · score ${e.score}`
+      : e.reason === 'drops' ? `Score ${e.score} from ${rules.modeDrops} drops`
+      : `Score ${e.score} in ${clockText(rules.modeTicks)}`;
+    const gs = el('gameOverScore'); if(gs) gs.innerText = line;
+    updateSeedDom();
+    showAchievement(MODE_ENDS[e.reason], { subtitle: line, duration: 2200, big: e.reason === 'target' });
+    announce(`${MODE_ENDS[e.reason]} ${line}`, true);
+    openDialog('overlayGameOver');
+  }
+
+  // the mode's board: where this run landed on it (Endless runs show nothing here)
+  function renderModeResult(g, e, idPromise){
+    const box = el('modeResult'); if(!box) return;
+    const mode = SuikaGame.modeIdForRules(g.rules), name = modeName(g.rules);
+    box.style.display = name ? '' : 'none';
+    if(!name) return;
+    const byTime = SuikaGame.MODES[g.rules.mode].ranks === 'time';
+    box.innerText = byTime && e.reason !== 'target' ? `${name} — target missed` : name;
+    Promise.resolve(idPromise).then(id => {
+      if(id === null) return;
+      return SuikaLeaderboard.listRuns({ mode, sort: byTime ? 'targetTicks' : 'score', dir: byTime ? 'asc' : 'desc' }).then(runs => {
+        const rank = runs.findIndex(r => r.id === id) + 1;
+        if(!rank || (byTime && e.reason !== 'target')) return;
+        box.innerText = rank === 1 ? `${name} — new best! 🏆` : `${name} — #${rank} of ${runs.length} on this board`;
+      });
+    }).catch(()=>{});
+  }
+
+  function supernovaBurst(){
+    for(let i=0;i<200;i++){ spawnParticles(fxRng()*width, fxRng()*height, Math.floor(fxRng()*theme.levels.length)+1, 1); }
   }
 
-  function triggerFruitSupernova(){
+  function triggerFruitSupernova(score){
     gameOver = true;
     isRunning = false;
-    for(let i=0;i<200;i++){ spawnParticles(Math.random()*width, Math.random()*height, Math.floor(Math.random()*MAX_LEVEL)+1, 1); }
-    for(const b of bodies){ try{ World.remove(world, b); }catch(e){} }
-    bodies = [];
+    supernovaBurst();
     const ov = el('overlayGameOver'); if(ov){
       ov.style.display = 'flex';
       const gs = el('gameOverScore'); if(gs) gs.innerText = 'Fruit Supernova! Score ' + score;
+      const title = el('gameOverTitle'); if(title) title.innerText = 'Fruit Supernova!';
+      updateSeedDom();
+      announce(`Fruit Supernova! Final score ${score}`, true);
+      openDialog('overlayGameOver');
     } else {
       alert('Fruit Supernova! Score ' + score);
     }
@@ -675,11 +2725,9 @@
   // -------------------------
   // p5 hooks: preload, setup, resize, draw
   // -------------------------
+  // images are loaded per theme once the set is known (see loadThemeImages)
   function preload(){
-    for(let i=1;i<=MAX_LEVEL;i++){
-      const fname = `fruit${i}.png`;
-      FRUIT_IMAGES[i] = loadImage(fname, ()=>{}, ()=>{ FRUIT_IMAGES[i] = null; });
-    }
+    loadJSON(SuikaThemes.MANIFEST_URL, applyManifest, () => { console.warn('Theme manifest unavailable, using built-in emoji fruit'); applyManifest(null); });
   }
   window.preload = preload;
 
@@ -688,30 +2736,72 @@
     cnv.style('display','block');
     pixelDensity(1);
     canvasElem = cnv.elt;
-    if(canvasElem) canvasElem.style.touchAction = 'none';
-
-    engine = Engine.create();
-    world = engine.world;
-    world.gravity.y = 1.06;
-
-    createBounds();
-    Events.on(engine, 'collisionStart', onCollision);
+    if(canvasElem){
+      canvasElem.style.touchAction = 'none';
+      canvasElem.setAttribute('role', 'img');
+      canvasElem.setAttribute('aria-label', 'Fruit bowl. Turn on accessibility mode for spoken updates');
+    }
 
     // UI wiring
     const bReset = el('btnReset'), bClear = el('btnClear'), startBtn = el('startBtn'), restartBtn = el('restartBtn');
     if(bReset) bReset.addEventListener('click', startFromLanding);
     if(bClear) bClear.addEventListener('click', handleClearSmall);
+    for(const id of Object.keys(POWER_BUTTONS)){ const b = el(POWER_BUTTONS[id]); if(b && id !== 'clear') b.addEventListener('click', () => handlePower(id)); }
+    const holdSlot = el('holdSlot'); if(holdSlot) holdSlot.addEventListener('click', handleHold);
+    const bUndo = el('btnUndo'); if(bUndo) bUndo.addEventListener('click', handleUndo);
+    const bPause = el('btnPause'); if(bPause) bPause.addEventListener('click', togglePause);
+    const bMute = el('btnMute'); if(bMute) bMute.addEventListener('click', toggleMute);
     if(startBtn) startBtn.addEventListener('click', () => { closeStartOverlay(); startGame(); });
-    if(restartBtn) restartBtn.addEventListener('click', () => { closeGameOver(); startGame(); });
+    if(restartBtn) restartBtn.addEventListener('click', playAgain);
+    const dailyBtn = el('dailyBtn'); if(dailyBtn) dailyBtn.addEventListener('click', () => { closeStartOverlay(); startDaily(); });
+    const versusBtn = el('versusBtn'); if(versusBtn) versusBtn.addEventListener('click', () => { closeStartOverlay(); startVersus(); });
+    const resumeBtn = el('resumeBtn');
+    if(resumeBtn) resumeBtn.addEventListener('click', resumeGame);
+    const watchBtn = el('watchReplayBtn'), exportBtn = el('exportReplayBtn');
+    if(watchBtn) watchBtn.addEventListener('click', () => { if(lastRun) startReplay(lastRun); });
+    if(exportBtn) exportBtn.addEventListener('click', () => { if(lastRun) exportReplay(lastRun); });
+    for(const id of ['leaderboardBtn', 'gameOverLeaderboardBtn']){ const b = el(id); if(b) b.addEventListener('click', showLeaderboard); }
+    for(const id of ['trophiesBtn', 'gameOverTrophiesBtn']){ const b = el(id); if(b) b.addEventListener('click', showTrophies); }
+    const nameInput = el('playerName');
+    if(nameInput){ nameInput.value = playerName(); nameInput.addEventListener('change', renameLastRun); }
+
+    // drop a replay .json anywhere on the page to watch it
+    window.addEventListener('dragover', e => { e.preventDefault(); });
+    window.addEventListener('drop', onReplayFileDropped);
+
+    // save when the tab is hidden or closed; browsers may never run another frame after this
+    document.addEventListener('visibilitychange', () => { if(document.visibilityState === 'hidden'){ autoPause(); saveProgress(); } });
+    window.addEventListener('blur', autoPause);
+    window.addEventListener('pagehide', saveProgress);
+
+    document.addEventListener('keydown', onDialogKeydown, true);
+    const motionQuery = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
+    if(motionQuery && motionQuery.addEventListener) motionQuery.addEventListener('change', updateA11yDom);
+
+    window.addEventListener('gamepadconnected', onGamepadConnected);
+    window.addEventListener('gamepaddisconnected', onGamepadDisconnected);
 
     const md = el('mobileDrop'), mn = el('mobileNew');
     if(md) md.addEventListener('click', () => attemptSpawnAtScreenXFromClient(width/2));
     if(mn) mn.addEventListener('click', () => startFromLanding());
 
-    const saved = localStorage.getItem('suika_physics_high');
-    high = saved ? parseInt(saved) : 0;
-    const hEl = el('high'); if(hEl) hEl.innerText = high;
-    const sEl = el('score'); if(sEl) sEl.innerText = 'Score ' + score;
+    const seedInput = el('seedInput'), urlSeed = seedFromUrl();
+    if(seedInput && urlSeed && !seedInput.value) seedInput.value = urlSeed;
+
+    initRules();
+    loadMode();
+    loadGhostSetting();
+    loadHigh(rulesForNewGame());
+    loadAchievements();
+    loadDaily();
+    loadBindings();
+    loadDeadzone();
+    loadA11y();
+    createLiveRegions();
+    sound = SuikaAudio.createEngine(loadAudioSettings());
+    sound.attachUnlock(window);
+    SuikaLeaderboard.open().catch(e => console.warn('Leaderboard:', e.message)); // runs the one-time high score migration
+    const sEl = el('score'); if(sEl) sEl.innerText = 'Score 0';
 
     // insert charge bar DOM next to Clear Small if not present
     const leftControls = document.querySelector('.left-controls');
@@ -722,80 +2812,102 @@
       bar.style.width = '120px'; bar.style.height = '10px'; bar.style.background = 'rgba(0,0,0,0.06)'; bar.style.borderRadius = '8px';
       const fill = document.createElement('div'); fill.className = 'charge-fill'; fill.id = 'chargeFill'; fill.style.height = '100%'; fill.style.width = '0%'; fill.style.background = 'linear-gradient(90deg,#7be9a5,#4ec1ff)'; fill.style.borderRadius = '8px';
       bar.appendChild(fill);
-      const label = document.createElement('div'); label.className = 'charge-label'; label.id = 'chargeLabel'; label.innerText = `Unlock: ${CLEAR_UNLOCK_SCORE}`;
+      const label = document.createElement('div'); label.className = 'charge-label'; label.id = 'chargeLabel'; label.innerText = `Unlock: ${activeRules.clearUnlockScore}`;
       label.style.fontSize = '12px'; label.style.color = '#27323a';
       wrap.appendChild(bar); wrap.appendChild(label);
       leftControls.appendChild(wrap);
     }
 
-    renderMergeRingDom();
-    renderMobileMergeHint();
-
-    // initial deterministic pick
-    nextPick = 1;
-    updateNextPreviewDom();
+    createReplayBar();
+    createRulesEditor();
+    createModeEditor();
+    createGhostToggle();
+    createSoundEditor();
+    createKeysEditor();
+    createA11yEditor();
+    createOnlinePanel();
+    createFlowControls();
+    populateThemeSelect();
+    // first fruit of every game is level 1
+    showTheme(selectedTheme);
     positionNextPreview();
     updateClearDom();
 
-    // store initial board rect
-    previousBoardRect = computeBoardRect();
-
     showStartOverlay(true);
+    updateResumeDom();
+    updateDailyDom();
     frameRate(60);
     console.log('suika-physics.js loaded — ClearBar + chain shoutouts active');
   }
 
+  // the core works in board units, so a resize only has to move the canvas and the DOM around it
   function windowResized(){
-    const oldRect = previousBoardRect || computeBoardRect();
     resizeCanvas(window.innerWidth, window.innerHeight);
-    try{ World.remove(world, [ground, leftWall, rightWall]); }catch(e){}
-    createBounds();
-    const newRect = computeBoardRect();
-    const sx = newRect.boardW / oldRect.boardW;
-    const sy = sx;
-    for(const b of bodies){
-      if(!b || !b.position) continue;
-      // reposition bodies so they scale with board
-      const relX = b.position.x - oldRect.boardX;
-      const relY = b.position.y - oldRect.boardY;
-      const newX = newRect.boardX + relX * sx;
-      const newY = newRect.boardY + relY * sy;
-      Body.setPosition(b, { x: newX, y: newY });
-      if(b.velocity){
-        Body.setVelocity(b, { x: b.velocity.x * sx, y: b.velocity.y * sy });
-      }
-      clampSpinForFruit(b);
-    }
     positionNextPreview();
-    previousBoardRect = newRect;
+  }
+
+  // -------------------------
+  // Fixed-step loop
+  // -------------------------
+  // feed real frame time into an accumulator and run as many whole core ticks as it covers
+  function advanceSimulation(frameMs){
+    if(replayState){ advanceReplay(frameMs); return; }
+    if(versus){ advanceVersus(frameMs); return; }
+    if(!game || !isRunning || paused) return;
+    stepAccumulator += Math.min(MAX_FRAME_MS, Math.max(0, frameMs));
+    while(stepAccumulator >= STEP_MS){
+      stepAccumulator -= STEP_MS;
+      game.step(1);
+      updateParticles();
+      if(game.over){ stepAccumulator = 0; break; }
+    }
+    advanceGhost();
+    if(isRunning && game.tick - lastSaveTick >= AUTOSAVE_TICKS) saveProgress();
   }
 
   function draw(){
     if(gameOver) 
       return;
     background(242,248,252);
-    Engine.update(engine, 1000/60);
+    const frameMs = typeof deltaTime === 'number' ? deltaTime : STEP_MS;
+    advanceSimulation(frameMs);
+    pollGamepads(frameMs);
+    if(isRunning && !paused) updateHeldAim(frameMs);
+    updateMusic();
+    if(versus){ drawVersus(); return; }
+
+    const box = computeBoardRect(), { boardW, boardX, boardY } = box;
+    const k = boardW / BOARD_SIZE;
+    drawBoard(game, box, ghostBoard());
 
-    // dynamic gravity & spin clamping
-    updateGravity();
-    for (const b of bodies) clampSpinForFruit(b);
+    drawParticles();
 
-    clearMergeTrackers();
-    updateParticles();
+    drawDangerZone(boardX, boardW, boardY, k);
+    updateModeDom();
 
-    const { boardW, boardX, boardY } = computeBoardRect();
+    if(game && targeting && isRunning && !paused) drawTargetRing(boardX, boardY, k);
+    // cooldown fills drain between the core's charge events
+    if(game && isRunning && frameCount % 6 === 0) updatePowerDom();
 
-    // board background + border
+    if(isRunning && !gameOver) drawShooterProjection(boardX, boardW, boardY);
+
+    positionNextPreview();
+  }
+
+  // one bowl: background + border, the ghost run's fruit if there is one, then its fruit sorted by y so overlap looks natural
+  function drawBoard(g, box, ghostGame = null){
+    const { boardW, boardX, boardY } = box;
     push(); noStroke(); fill(250,253,255); rect(boardX - 18, boardY - 18, boardW + 36, boardW + 36, 20);
     stroke(205); strokeWeight(6); noFill(); rect(boardX - 14, boardY - 14, boardW + 28, boardW + 28, 18); pop();
 
-    // draw bodies sorted by y so overlap looks natural
-    const drawBodies = bodies.slice().filter(b => b && b._fruit && b.position).sort((a,b)=> (a.position.y - b.position.y));
+    const k = boardW / BOARD_SIZE;
+    if(ghostGame) drawGhostBodies(ghostGame, box);
+    const drawBodies = g ? g.getState().bodies.sort((a,b)=> (a.y - b.y)) : [];
+    const still = reducedMotion();
     noStroke();
     for(const b of drawBodies){
-      if(!b || !b.position || !b._fruit) continue;
-      const x = b.position.x, y = b.position.y;
-      const r = b._fruit.radius;
+      const x = boardX + b.x * k, y = boardY + b.y * k;
+      const r = b.radius * k;
 
       push();
       drawingContext.shadowColor = "rgba(10,14,20,0.12)";
@@ -805,9 +2917,9 @@
       drawingContext.shadowBlur = 0;
       pop();
 
-      const level = b._fruit.level;
+      const level = b.level;
       // terminal glow for final fruit
-      if(level === MAX_LEVEL){
+      if(level === theme.levels.length){
         push();
         noFill();
         const glowSize = Math.min(r * 2.08, r * 2.6);
@@ -819,76 +2931,55 @@
 
       push();
       translate(x,y); rotate(b.angle);
-      const wob = b._fruit.wobble || 0;
+      const wob = still ? 0 : (b.wobble || 0);
       scale(1 + wob*0.02, 1 - wob*0.02);
-      const img = FRUIT_IMAGES[b._fruit.level];
       const visualDiameter = Math.max(6, Math.round(r * 2 * VISUAL_DIAMETER_FACTOR));
-      if(img && img.width > 8){
-        imageMode(CENTER);
-        image(img, 0, 0, visualDiameter, visualDiameter);
-      } else {
-        textAlign(CENTER, CENTER);
-        textSize(r * 0.92);
-        text('?', 0, -2);
-      }
+      drawFruitGlyph(level, visualDiameter);
       pop();
 
-      if(b._fruit.wobble > 0) b._fruit.wobble = Math.max(0, b._fruit.wobble - 0.06);
-      clampBodyInsideBoard(b);
+      if(a11y.mode) drawFruitMarking(x, y, r * 2, level);
+      // garbage from a versus opponent keeps a grey dashed ring until it merges away
+      if(b.garbage){
+        push(); noFill(); stroke(90, 100, 110, 170); strokeWeight(2);
+        drawingContext.setLineDash([4, 4]);
+        ellipse(x, y, r * 2 * VISUAL_DIAMETER_FACTOR + 4);
+        pop();
+      }
     }
+  }
 
-    drawParticles();
-
-    // top dashed line (game-over line)
+  // -------------------------
+  // Danger zone
+  // -------------------------
+  // top line: grey dashes when safe, a pulsing red band on warning, plus a countdown ring once a fruit is over
+  function drawDangerZone(boardX, boardW, boardY, k, g = game){
+    const dz = g && g.rules.overflowEnds ? g.danger : null;
+    const lineY = boardY + TOP_LINE_Y * k; const seg = 12;
     push();
-    stroke(170); strokeWeight(1);
-    const lineY = boardY + 8; const seg = 12;
-    for(let sx = boardX + 10; sx < boardX + boardW - 10; sx += seg*2) line(sx, lineY, Math.min(sx + seg, boardX + boardW - 10), lineY);
-    pop();
-
-    if(isRunning && !gameOver) drawShooterProjection(boardX, boardW, boardY);
-
-    // cleanup bodies that fell far away
-    bodies = bodies.filter(b => {
-      if(!b) return false;
-      if(b.position.y > height + 900){
-        try{ World.remove(world, b); } catch(e){}
-        return false;
-      }
-      return true;
-    });
-
-    // supernova condition: too many terminal fruits (safety end)
-    if(!gameOver){
-      const terminalCount = bodies.reduce((acc, bb) => acc + ((bb && bb._fruit && bb._fruit.level === MAX_LEVEL) ? 1 : 0), 0);
-      if(terminalCount >= 5){
-        triggerFruitSupernova();
-      }
+    if(!dz || dz.state === 'safe'){
+      stroke(170); strokeWeight(1);
+      for(let sx = boardX + 10; sx < boardX + boardW - 10; sx += seg*2) line(sx, lineY, Math.min(sx + seg, boardX + boardW - 10), lineY);
+      pop();
+      return;
     }
-
-    // normal game over detection: fruit top crosses line
-    if(!gameOver){
-      const now = millis();
-      const topLineY = boardY + 8;
-      for(const b of bodies){
-        if(!b || !b.position || !b._fruit) continue;
-        if(b._spawnTime && (now - b._spawnTime) < SPAWN_GRACE_MS) continue;
-        const topOfFruit = b.position.y - b._fruit.radius;
-        if(topOfFruit < topLineY + 2){
-          triggerGameOver();
-          break;
-        }
-        // also if fruit barely touching top and nearly static
-        const speed = Math.sqrt((b.velocity.x||0)*(b.velocity.x||0) + (b.velocity.y||0)*(b.velocity.y||0));
-        if(topOfFruit < topLineY + 8 && speed < 0.12){
-          triggerGameOver();
-          break;
-        }
-      }
+    const overflow = dz.state === 'overflow';
+    const pulse = reducedMotion() ? 0.6 : 0.5 + 0.5 * Math.sin(millis() / (overflow ? 90 : 220));
+    noStroke(); fill(230, 60, 60, 18 + 30 * pulse);
+    rect(boardX, lineY, boardW, g.rules.dangerBand * k);
+    stroke(220, 50, 50, 120 + 135 * pulse); strokeWeight(overflow ? 3 : 2);
+    line(boardX + 6, lineY, boardX + boardW - 6, lineY);
+    if(overflow && dz.fruit){
+      const x = boardX + dz.fruit.x * k, y = boardY + dz.fruit.y * k;
+      const ringD = dz.fruit.radius * k * 2 * VISUAL_DIAMETER_FACTOR + 12;
+      noFill(); stroke(255, 255, 255, 200); strokeWeight(5); ellipse(x, y, ringD, ringD);
+      stroke(220, 50, 50); strokeWeight(4);
+      arc(x, y, ringD, ringD, -HALF_PI, -HALF_PI + TWO_PI * dz.progress);
+      // one beep per half second left on the clock
+      const beat = Math.ceil((1 - dz.progress) * g.rules.overflowTicks / 30);
+      if(dangerBeats.has(g) && beat !== dangerBeats.get(g) && !paused) sound.play('countdown');
+      dangerBeats.set(g, beat);
     }
-
-    positionNextPreview();
-    updateClearDom();
+    pop();
   }
 
   // -------------------------
@@ -904,11 +2995,16 @@
 
   function drawShooterProjection(boardX, boardW, boardY){
     let px = mouseX;
-    if(typeof touches !== 'undefined' && touches.length > 0 && touches[0] && typeof touches[0].x !== 'undefined'){
+    if(inputMode !== 'pointer') px = toScreen(aimX, 0).x;
+    else if(typeof touches !== 'undefined' && touches.length > 0 && touches[0] && typeof touches[0].x !== 'undefined'){
       px = clientToCanvasX(touches[0].x);
     }
     px = constrain(px, boardX + 16, boardX + boardW - 16);
+    drawDropGuide(px, boardY, boardW, (game && game.nextPick) || 1);
+  }
 
+  // dashed drop line at screen x px, with the upcoming fruit at the top of the bowl
+  function drawDropGuide(px, boardY, boardW, lvl){
     push();
     stroke(110, 90); strokeWeight(1);
     const segH = 10;
@@ -916,20 +3012,11 @@
     noStroke();
     fill(255,255,255,240);
     ellipse(px, boardY + 28, 30, 30);
-    const lvl = nextPick || 1;
     push();
     translate(px, boardY + 28);
-    const img = FRUIT_IMAGES[lvl];
-    if(img && img.width > 8){
-      imageMode(CENTER);
-      image(img, 0, 0, 28, 28);
-    } else {
-      textAlign(CENTER, CENTER);
-      textSize(16);
-      fill(10);
-      text('?', 0, 1);
-    }
+    drawFruitGlyph(lvl, 28);
     pop();
+    if(a11y.mode) drawFruitMarking(px, boardY + 28, 28 / VISUAL_DIAMETER_FACTOR, lvl);
     pop();
   }
 
@@ -942,37 +3029,355 @@
   }
 
   function attemptSpawnAtScreenX(screenX){
-    if(millis() - lastSpawnAt < SPAWN_DEBOUNCE) return;
-    lastSpawnAt = millis();
     const { boardW, boardX } = computeBoardRect();
     if(screenX < boardX + 4 || screenX > boardX + boardW - 4) return;
-    const x = constrain(screenX, boardX + 16, boardX + boardW - 16);
-    spawnFruit(x);
+    setInputMode('pointer');
+    aimX = constrain(toBoardX(screenX), SPAWN_PAD, BOARD_SIZE - SPAWN_PAD);
+    attemptDrop(toBoardX(screenX));
+  }
+
+  function attemptDrop(x){
+    if(!isRunning || !game || paused) return;
+    if(game.tick - lastDropTick < SPAWN_DEBOUNCE_TICKS) return;
+    lastDropTick = game.tick;
+    // the core clamps the drop inside the bowl
+    game.drop(x);
+  }
+
+  function mousePressed(){ if(!isRunning || gameOver || versus) return; if(typeof touches !== 'undefined' && touches.length > 0) return; const { boardW, boardX } = computeBoardRect(); if(mouseX < boardX || mouseX > boardX + boardW) return; if(targeting){ if(!paused) pickTarget(fruitAtScreen(mouseX, mouseY)); return; } attemptSpawnAtScreenX(mouseX); }
+  function mouseMoved(){ if(inputMode !== 'pointer' && isRunning){ setInputMode('pointer'); aimX = constrain(toBoardX(mouseX), SPAWN_PAD, BOARD_SIZE - SPAWN_PAD); } }
+  function touchStarted(){ if(!isRunning || gameOver || versus) return; const tx = (touches && touches[0] && typeof touches[0].x !== 'undefined') ? touches[0].x : mouseX; if(targeting){ if(!paused) pickTarget(fruitAtScreen(clientToCanvasX(tx), mouseY)); return false; } attemptSpawnAtScreenXFromClient(tx); return false; }
+
+  // returning false stops the browser's own handling (Space scrolling, Enter re-clicking a focused button)
+  function keyPressed(){
+    if(capturingKey){ captureKey(key); return false; }
+    if(typingInField()) return;
+    // a leaderboard or trophy room on top gets the keys (Tab, Enter, Space, Esc), not the game
+    const top = topOverlay();
+    if(top && (top.id === 'overlayLeaderboard' || top.id === 'overlayTrophies')) return;
+    // Esc backs out of picking a fruit before it gets to pause
+    if(targeting && key === 'Escape'){ cancelTargeting(); return false; }
+    // both players' keys come first in versus; the bindings still pause, mute and so on
+    const versusHit = versus ? versusKey(key) : null;
+    if(versusHit && isRunning && !gameOver && !paused){ versusAction(versusHit[0], versusHit[1]); return false; }
+    const action = actionForKey(key);
+    if(!action) return;
+    if(action === 'status'){ readStatus(); return false; }
+    if(action === 'pause'){ togglePause(); return false; }
+    if(action === 'mute'){ toggleMute(); return false; }
+    if(action === 'newGame'){ if(isRunning || gameOver) startFromLanding(); return false; }
+    if(!isRunning || gameOver || paused || versus) return;
+    const fine = keyIsDown(SHIFT);
+    if(action === 'left' || action === 'right'){
+      moveAim((action === 'left' ? -1 : 1) * (fine ? AIM_STEP_FINE : AIM_STEP));
+      heldAim[action] = millis();
+    } else if(action === 'drop'){
+      if(targeting) pickTarget(inputMode !== 'pointer' ? aimTargetFruit() : fruitAtScreen(mouseX, mouseY));
+      else attemptDrop(inputMode !== 'pointer' ? aimX : toBoardX(constrain(mouseX, 0, width)));
+    }
+    else if(POWER_BUTTONS[action]) handlePower(action);
+    else if(action === 'hold') handleHold();
+    else if(action === 'undo') handleUndo();
+    return false;
   }
 
-  function mousePressed(){ if(!isRunning || gameOver) return; if(typeof touches !== 'undefined' && touches.length > 0) return; const { boardW, boardX } = computeBoardRect(); if(mouseX < boardX || mouseX > boardX + boardW) return; attemptSpawnAtScreenX(mouseX); }
-  function touchStarted(){ if(!isRunning || gameOver) return; const tx = (touches && touches[0] && typeof touches[0].x !== 'undefined') ? touches[0].x : mouseX; attemptSpawnAtScreenXFromClient(tx); return false; }
-  function keyPressed(){ if(!isRunning || gameOver) return; if(keyCode === 32) spawnFruit(width/2); }
+  function keyReleased(){
+    const versusHit = versus ? versusKey(key) : null;
+    if(versusHit){ versus.players[versusHit[0]].held[versusHit[1]] = null; return; }
+    const action = actionForKey(key);
+    if(action === 'left' || action === 'right') heldAim[action] = null;
+  }
 
   // -------------------------
   // Game control
   // -------------------------
-  function startGame(){
-    clearAllFruits();
-    score = 0; const sEl = el('score'); if(sEl) sEl.innerText = 'Score ' + score;
+  // every run gets a fresh core; Clear Small starts locked again
+  // opts.seed / theme / rules override the start screen's choices (the Daily challenge fixes all three)
+  function startGame(opts = {}){
+    if(replayState) endReplayPlayback();
+    endVersus();
+    applySeed(opts.seed || resolveSeed());
+    const t = opts.theme || selectedTheme;
+    attachGame(SuikaGame.createGame({ seed: activeSeed, theme: t.id, levels: SuikaThemes.gameplayLevels(t), rules: opts.rules || rulesForNewGame() }));
+    clearSavedProgress();
+    const sEl = el('score'); if(sEl) sEl.innerText = 'Score 0';
     gameOver = false; isRunning = true;
-    nextPick = 1; updateNextPreviewDom(); positionNextPreview();
-    if(!clearUnlocked){ clearAvailable = false; pointsAccumSinceClear = 0; } else { if(!clearUsed) clearAvailable = true; pointsAccumSinceClear = 0; }
+    stepAccumulator = 0; lastDropTick = -Infinity; lastSaveTick = 0;
+    updateNextPreviewDom(); positionNextPreview();
     updateClearDom();
     showStartOverlay(false);
     const gow = el('overlayGameOver'); if(gow) gow.style.display = 'none';
-    try { engine.world.gravity.y = 1.06; } catch(e){}
   }
 
-  function startFromLanding(){ showStartOverlay(true); isRunning = false; gameOver = false; const ov = el('overlayGameOver'); if(ov) ov.style.display = 'none'; if(!nextPick) nextPick = 1; updateNextPreviewDom(); positionNextPreview(); }
+  function startFromLanding(){ if(replayState){ endReplayPlayback(); detachGame(); } endVersus(); if(paused) setPaused(false); saveProgress(); showStartOverlay(true); isRunning = false; gameOver = false; const ov = el('overlayGameOver'); if(ov) ov.style.display = 'none'; updateNextPreviewDom(); positionNextPreview(); updateResumeDom(); updateDailyDom(); loadHigh(rulesForNewGame()); }
+  // Restart and Play Again keep the mode: a Daily run starts today's Daily again, a versus match a new match
+  // (online: back to the lobby to ready up for a rematch)
+  function restartCurrent(){ if(versus && versus.online) openOnlineLobby(); else if(versus) startVersus(); else if(daily) startDaily(); else startGame(); }
+  function playAgain(){ closeGameOver(); restartCurrent(); }
   function closeGameOver(){ const ov = el('overlayGameOver'); if(ov) ov.style.display = 'none'; }
 
-  function clearAllFruits(){ for(const b of bodies){ try{ World.remove(world, b); }catch(e){} } bodies = []; }
+  // -------------------------
+  // Save / resume
+  // -------------------------
+  function saveProgress(){
+    if(!game || !isRunning || gameOver || replayState) return;
+    try{
+      localStorage.setItem(SAVE_KEY, JSON.stringify({ savedAt: Date.now(), game: game.serialize() }));
+      lastSaveTick = game.tick;
+    }catch(e){}
+  }
+
+  function clearSavedProgress(){ try{ localStorage.removeItem(SAVE_KEY); }catch(e){} }
+
+  // returns { savedAt, snapshot } migrated to the current format, or null
+  function loadSavedProgress(){
+    let raw = null;
+    try{ raw = localStorage.getItem(SAVE_KEY); }catch(e){}
+    if(!raw) return null;
+    try{
+      const saved = JSON.parse(raw);
+      return { savedAt: saved.savedAt, snapshot: SuikaGame.migrateSnapshot(saved.game) };
+    }catch(e){
+      // unreadable save: drop it rather than offer a resume that can't work
+      clearSavedProgress();
+      return null;
+    }
+  }
+
+  function updateResumeDom(){
+    const saved = loadSavedProgress();
+    const btn = el('resumeBtn'); if(btn) btn.style.display = saved ? '' : 'none';
+    const info = el('resumeInfo');
+    if(info) info.innerText = saved ? `Saved game: score ${saved.snapshot.score} · ${new Date(saved.savedAt).toLocaleString()}` : '';
+  }
+
+  function resumeGame(){
+    const saved = loadSavedProgress();
+    let g = null;
+    try{ if(saved) g = SuikaGame.restoreGame(saved.snapshot); }
+    catch(e){ clearSavedProgress(); showAchievement('Could not resume', { subtitle: e.message, duration: 2200 }); }
+    if(!g){ updateResumeDom(); return; }
+    if(replayState) endReplayPlayback();
+    endVersus();
+    applySeed(g.seed);
+    attachGame(g);
+    const sEl = el('score'); if(sEl) sEl.innerText = 'Score ' + g.score;
+    gameOver = false; isRunning = true;
+    stepAccumulator = 0; lastDropTick = -Infinity; lastSaveTick = g.tick;
+    updateNextPreviewDom(); positionNextPreview(); updateClearDom();
+    closeStartOverlay(); closeGameOver();
+  }
+
+  // -------------------------
+  // Replay playback
+  // -------------------------
+  // same accumulator as live play, scaled by the playback speed
+  function advanceReplay(frameMs){
+    const rs = replayState;
+    if(rs.paused || rs.player.done) return;
+    stepAccumulator += Math.min(MAX_FRAME_MS, Math.max(0, frameMs)) * rs.speed;
+    while(stepAccumulator >= STEP_MS && !rs.player.done){
+      stepAccumulator -= STEP_MS;
+      rs.player.step(1);
+      updateParticles();
+    }
+    if(rs.player.done) stepAccumulator = 0;
+    updateReplayBarDom();
+  }
+
+  function startReplay(data){
+    let player;
+    try { player = SuikaGame.createReplayPlayer(data); }
+    catch(e){ showAchievement('Could not load replay', { subtitle: e.message, duration: 2400 }); return; }
+    const gow = el('overlayGameOver');
+    const returnTo = (gow && gow.style.display !== 'none' && lastRun && !versus) ? 'gameover' : 'landing';
+    endVersus();
+    replayState = { player, speed: 1, paused: false, returnTo };
+    applySeed(player.replay.seed);
+    attachGame(player.game);
+    particles = [];
+    stepAccumulator = 0;
+    isRunning = false; gameOver = false;
+    closeGameOver(); closeStartOverlay();
+    const sEl = el('score'); if(sEl) sEl.innerText = 'Score 0';
+    updateNextPreviewDom(); updateClearDom();
+    const bar = el('replayBar'); if(bar) bar.style.display = 'flex';
+    updateReplayBarDom();
+  }
+
+  function endReplayPlayback(){
+    replayState = null;
+    stepAccumulator = 0;
+    const bar = el('replayBar'); if(bar) bar.style.display = 'none';
+  }
+
+  // back to wherever the replay was opened from
+  function closeReplay(){
+    if(!replayState) return;
+    const returnTo = replayState.returnTo;
+    endReplayPlayback();
+    if(returnTo === 'gameover' && liveGame){
+      attachGame(liveGame);
+      applySeed(liveGame.seed);
+      gameOver = true;
+      const sEl = el('score'); if(sEl) sEl.innerText = 'Score ' + liveGame.score;
+      updateNextPreviewDom(); updateClearDom();
+      const ov = el('overlayGameOver'); if(ov) ov.style.display = 'flex';
+      openDialog('overlayGameOver');
+    } else {
+      detachGame();
+      startFromLanding();
+      showTheme(selectedTheme);
+    }
+  }
+
+  function exportReplay(rec){
+    const safeSeed = String(rec.seed || 'random').replace(/[^\w-]+/g, '_').slice(0, 32);
+    downloadText(`suika-replay-${safeSeed}-${rec.score}.json`, JSON.stringify(rec), 'application/json');
+  }
+
+  function downloadText(filename, text, type){
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([text], { type }));
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  function onReplayFileDropped(e){
+    e.preventDefault();
+    const file = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+    if(!file) return;
+    if(isRunning){ showAchievement('Finish this game first', { subtitle: 'Replays can be dropped on the menu or Game Over screen', duration: 2200 }); return; }
+    file.text().then(startReplay, () => showAchievement('Could not read file', { duration: 1800 }));
+  }
+
+  function createReplayBar(){
+    if(el('replayBar')) return;
+    const bar = document.createElement('div'); bar.id = 'replayBar'; bar.style.display = 'none';
+    const label = document.createElement('div'); label.className = 'replay-label'; label.id = 'replayLabel'; label.innerText = 'Replay';
+    const pause = document.createElement('button'); pause.className = 'btn'; pause.id = 'replayPause'; pause.innerText = 'Pause';
+    pause.onclick = () => { if(!replayState) return; replayState.paused = !replayState.paused; stepAccumulator = 0; updateReplayBarDom(); };
+    const stepBtn = document.createElement('button'); stepBtn.className = 'btn'; stepBtn.id = 'replayStep'; stepBtn.innerText = 'Step';
+    stepBtn.title = 'Advance one tick (pauses playback)';
+    stepBtn.onclick = () => {
+      if(!replayState) return;
+      replayState.paused = true;
+      replayState.player.step(1); updateParticles();
+      updateReplayBarDom();
+    };
+    const speeds = document.createElement('div'); speeds.className = 'replay-speeds';
+    for(const s of REPLAY_SPEEDS){
+      const b = document.createElement('button'); b.className = 'btn'; b.innerText = s + 'x'; b.dataset.speed = String(s);
+      b.onclick = () => { if(!replayState) return; replayState.speed = s; updateReplayBarDom(); };
+      speeds.appendChild(b);
+    }
+    const progress = document.createElement('div'); progress.className = 'replay-progress';
+    const fill = document.createElement('div'); fill.className = 'replay-progress-fill'; fill.id = 'replayProgressFill';
+    progress.appendChild(fill);
+    const exportBtn = document.createElement('button'); exportBtn.className = 'btn'; exportBtn.innerText = 'Export';
+    exportBtn.onclick = () => { if(replayState) exportReplay(replayState.player.replay); };
+    const close = document.createElement('button'); close.className = 'btn'; close.innerText = 'Close';
+    close.onclick = closeReplay;
+    bar.appendChild(label); bar.appendChild(pause); bar.appendChild(stepBtn); bar.appendChild(speeds);
+    bar.appendChild(progress); bar.appendChild(exportBtn); bar.appendChild(close);
+    document.body.appendChild(bar);
+  }
+
+  // preset picker + collapsible custom rules editor, built into #rulesPanel on the landing card
+  function createRulesEditor(){
+    const panel = el('rulesPanel'); if(!panel || el('presetSelect')) return;
+    const row = document.createElement('div'); row.className = 'seed-row';
+    const label = document.createElement('label'); label.htmlFor = 'presetSelect'; label.innerText = 'Rules';
+    const sel = document.createElement('select'); sel.id = 'presetSelect';
+    for(const p of SuikaGame.RULE_PRESETS){
+      const opt = document.createElement('option'); opt.value = p.id; opt.innerText = p.name;
+      sel.appendChild(opt);
+    }
+    const customOpt = document.createElement('option'); customOpt.value = 'custom'; customOpt.innerText = 'Custom'; customOpt.disabled = true;
+    sel.appendChild(customOpt);
+    sel.onchange = () => { const p = presetById(sel.value); if(p) setActiveRules(SuikaGame.normalizeRules(p.rules)); };
+    row.appendChild(label); row.appendChild(sel);
+
+    const details = document.createElement('details'); details.className = 'rules-editor';
+    const summary = document.createElement('summary'); summary.innerText = 'Customize rules';
+    const grid = document.createElement('div'); grid.className = 'rules-grid';
+    for(const [key, text] of RULE_FIELDS){
+      const id = 'rule_' + key;
+      const lbl = document.createElement('label'); lbl.htmlFor = id; lbl.innerText = text;
+      const choices = SuikaGame.RULE_CHOICES[key];
+      const input = document.createElement(choices ? 'select' : 'input'); input.id = id; input.dataset.rule = key;
+      if(choices){
+        for(const c of choices){ const opt = document.createElement('option'); opt.value = c; opt.innerText = c; input.appendChild(opt); }
+      }
+      else if(typeof SuikaGame.DEFAULT_RULES[key] === 'boolean') input.type = 'checkbox';
+      else if(key === 'spawnWeights'){ input.type = 'text'; input.spellcheck = false; }
+      else {
+        const [min, max, whole] = SuikaGame.RULE_LIMITS[key];
+        input.type = 'number'; input.min = min; input.max = max; input.step = whole ? '1' : 'any';
+      }
+      input.addEventListener('change', applyRulesEditor);
+      grid.appendChild(lbl); grid.appendChild(input);
+    }
+    const err = document.createElement('div'); err.id = 'rulesError'; err.className = 'rules-error';
+    const actions = document.createElement('div'); actions.className = 'card-actions';
+    const share = document.createElement('button'); share.className = 'btn'; share.innerText = 'Copy share link';
+    share.onclick = () => {
+      const url = shareUrlFor(activeRules);
+      const fallback = () => window.prompt('Copy this link', url);
+      if(navigator.clipboard && navigator.clipboard.writeText){
+        navigator.clipboard.writeText(url).then(() => showAchievement('Link copied', { subtitle: rulesName(activeRules) + ' rules', duration: 1400 }), fallback);
+      } else fallback();
+    };
+    const reset = document.createElement('button'); reset.className = 'btn'; reset.innerText = 'Reset to Classic';
+    reset.onclick = () => setActiveRules(SuikaGame.DEFAULT_RULES);
+    actions.appendChild(share); actions.appendChild(reset);
+    details.appendChild(summary); details.appendChild(grid); details.appendChild(err); details.appendChild(actions);
+
+    panel.appendChild(row); panel.appendChild(details);
+    updateRulesEditorDom();
+  }
+
+  // editor fields -> rules; invalid input is reported and the previous rules stay active
+  function applyRulesEditor(){
+    const partial = {};
+    for(const input of document.querySelectorAll('#rulesPanel [data-rule]')){
+      const key = input.dataset.rule;
+      if(input.type === 'checkbox') partial[key] = input.checked;
+      else if(input.tagName === 'SELECT') partial[key] = input.value;
+      else if(key === 'spawnWeights') partial[key] = input.value.split(',').map(s => s.trim()).filter(Boolean).map(Number);
+      else partial[key] = input.value === '' ? NaN : Number(input.value);
+    }
+    const err = el('rulesError');
+    try{
+      setActiveRules(SuikaGame.normalizeRules(partial));
+      if(err) err.innerText = '';
+    }catch(e){ if(err) err.innerText = e.message; }
+  }
+
+  function updateRulesEditorDom(){
+    const sel = el('presetSelect'); if(!sel) return;
+    sel.value = SuikaGame.presetIdForRules(activeRules) || 'custom';
+    for(const input of document.querySelectorAll('#rulesPanel [data-rule]')){
+      const v = activeRules[input.dataset.rule];
+      if(input.type === 'checkbox') input.checked = v;
+      else input.value = Array.isArray(v) ? v.join(', ') : v;
+    }
+  }
+
+  function updateReplayBarDom(){
+    if(!replayState) return;
+    const { player, paused, speed } = replayState;
+    const label = el('replayLabel');
+    if(label) label.innerText = player.done ? `Replay finished · ${player.game.score}` : `Replay · tick ${player.game.tick}`;
+    const pause = el('replayPause'); if(pause) pause.innerText = paused ? 'Play' : 'Pause';
+    const fill = el('replayProgressFill'); if(fill) fill.style.width = `${Math.round(player.progress*100)}%`;
+    for(const b of document.querySelectorAll('#replayBar .replay-speeds .btn')){
+      b.classList.toggle('active', Number(b.dataset.speed) === speed);
+    }
+  }
 
   // -------------------------
   // Landing overlay builder (if HTML missing)
@@ -1002,21 +3407,84 @@
     tutorial.style.lineHeight = '1.5';
     tutorial.innerHTML = '<li>Tap / click inside the box to drop a fruit.</li><li>Merge two identical fruits to create a higher-level fruit.</li><li>Use "Clear Small" once it unlocks to remove level 1-2 fruits when recharging.</li>';
 
+    const seedRow = document.createElement('div'); seedRow.className = 'seed-row';
+    const seedLabel = document.createElement('label'); seedLabel.htmlFor = 'seedInput'; seedLabel.innerText = 'Seed';
+    const seedInput = document.createElement('input'); seedInput.id = 'seedInput'; seedInput.type = 'text';
+    seedInput.placeholder = 'random'; seedInput.autocomplete = 'off'; seedInput.spellcheck = false;
+    seedInput.value = seedFromUrl();
+    seedRow.appendChild(seedLabel); seedRow.appendChild(seedInput);
+
+    const themeRow = document.createElement('div'); themeRow.className = 'seed-row';
+    const themeLabel = document.createElement('label'); themeLabel.htmlFor = 'themeSelect'; themeLabel.innerText = 'Fruit set';
+    const themeSelect = document.createElement('select'); themeSelect.id = 'themeSelect';
+    themeRow.appendChild(themeLabel); themeRow.appendChild(themeSelect);
+
+    const rulesPanel = document.createElement('div'); rulesPanel.id = 'rulesPanel';
+    const modePanel = document.createElement('div'); modePanel.id = 'modePanel';
+    const soundPanel = document.createElement('div'); soundPanel.id = 'soundPanel';
+    const keysPanel = document.createElement('div'); keysPanel.id = 'keysPanel';
+    const a11yPanel = document.createElement('div'); a11yPanel.id = 'a11yPanel';
+    const onlinePanel = document.createElement('div'); onlinePanel.id = 'onlinePanel';
+
     const startBtn = document.createElement('button');
     startBtn.id = 'startBtn';
     startBtn.className = 'bigBtn';
     startBtn.style.marginTop = '14px';
     startBtn.innerText = 'Start Game';
     startBtn.onclick = () => { closeStartOverlay(); startGame(); };
+    const dailyBtn = document.createElement('button');
+    dailyBtn.id = 'dailyBtn';
+    dailyBtn.className = 'btn';
+    dailyBtn.style.marginTop = '14px'; dailyBtn.style.marginLeft = '8px';
+    dailyBtn.innerText = 'Daily challenge';
+    dailyBtn.onclick = () => { closeStartOverlay(); startDaily(); };
+    const versusBtn = document.createElement('button');
+    versusBtn.id = 'versusBtn';
+    versusBtn.className = 'btn';
+    versusBtn.style.marginTop = '14px'; versusBtn.style.marginLeft = '8px';
+    versusBtn.innerText = 'Versus (2 players)';
+    versusBtn.onclick = () => { closeStartOverlay(); startVersus(); };
+    const dailyInfo = document.createElement('div'); dailyInfo.id = 'dailyInfo'; dailyInfo.className = 'tip';
 
     const tips = document.createElement('div');
     tips.className = 'tip';
     tips.style.marginTop = '10px';
     tips.innerText = 'Tip: The preview at the top-right shows the next fruit. Try to plan merges!';
 
-    card.appendChild(h); card.appendChild(sub); card.appendChild(tutorial); card.appendChild(startBtn); card.appendChild(tips);
+    const resumeBtn = document.createElement('button');
+    resumeBtn.id = 'resumeBtn';
+    resumeBtn.className = 'btn';
+    resumeBtn.style.marginTop = '14px'; resumeBtn.style.marginLeft = '8px';
+    resumeBtn.style.display = 'none';
+    resumeBtn.innerText = 'Resume game';
+    resumeBtn.onclick = resumeGame;
+    const boardBtn = document.createElement('button');
+    boardBtn.id = 'leaderboardBtn';
+    boardBtn.className = 'btn';
+    boardBtn.style.marginTop = '14px'; boardBtn.style.marginLeft = '8px';
+    boardBtn.innerText = 'Leaderboard';
+    boardBtn.onclick = showLeaderboard;
+    const trophiesBtn = document.createElement('button');
+    trophiesBtn.id = 'trophiesBtn';
+    trophiesBtn.className = 'btn';
+    trophiesBtn.style.marginTop = '14px'; trophiesBtn.style.marginLeft = '8px';
+    trophiesBtn.innerText = 'Trophies';
+    trophiesBtn.onclick = showTrophies;
+    const resumeInfo = document.createElement('div'); resumeInfo.id = 'resumeInfo'; resumeInfo.className = 'tip';
+
+    card.appendChild(h); card.appendChild(sub); card.appendChild(tutorial); card.appendChild(seedRow); card.appendChild(themeRow); card.appendChild(rulesPanel); card.appendChild(modePanel); card.appendChild(soundPanel); card.appendChild(keysPanel); card.appendChild(a11yPanel); card.appendChild(startBtn); card.appendChild(dailyBtn); card.appendChild(versusBtn); card.appendChild(resumeBtn); card.appendChild(boardBtn); card.appendChild(trophiesBtn); card.appendChild(onlinePanel); card.appendChild(dailyInfo); card.appendChild(resumeInfo); card.appendChild(tips);
     ov.appendChild(card);
     document.body.appendChild(ov);
+    populateThemeSelect();
+    createRulesEditor();
+    createModeEditor();
+    createGhostToggle();
+    if(sound) createSoundEditor();
+    createKeysEditor();
+    createA11yEditor();
+    createOnlinePanel();
+    updateResumeDom();
+    updateDailyDom();
     // also create overlayGameOver if not present (simple)
     if(!el('overlayGameOver')){
       const og = document.createElement('div'); og.id = 'overlayGameOver';
@@ -1024,11 +3492,27 @@
       og.style.zIndex='350'; og.style.display='none'; og.style.alignItems='center'; og.style.justifyContent='center';
       og.style.background='linear-gradient(180deg, rgba(8,12,18,0.48), rgba(8,12,18,0.48))';
       const cardg = document.createElement('div'); cardg.className='card';
-      const gh = document.createElement('div'); gh.className='title'; gh.innerText='Game Over';
+      const gh = document.createElement('div'); gh.id='gameOverTitle'; gh.className='title'; gh.innerText='Game Over';
       const gs = document.createElement('div'); gs.id='gameOverScore'; gs.style.marginTop='10px'; gs.innerText='Score 0';
+      const gseed = document.createElement('div'); gseed.id='gameOverSeed'; gseed.className='seed-note';
+      const gmode = document.createElement('div'); gmode.id='modeResult'; gmode.className='mode-result'; gmode.style.display='none';
       const restartBtn = document.createElement('button'); restartBtn.id='restartBtn'; restartBtn.className='bigBtn'; restartBtn.style.marginTop='12px'; restartBtn.innerText='Play Again';
-      restartBtn.onclick = () => { closeGameOver(); startGame(); };
-      cardg.appendChild(gh); cardg.appendChild(gs); cardg.appendChild(restartBtn); og.appendChild(cardg);
+      restartBtn.onclick = playAgain;
+      const watchBtn = document.createElement('button'); watchBtn.id='watchReplayBtn'; watchBtn.className='btn single-only'; watchBtn.style.marginTop='12px'; watchBtn.style.marginLeft='8px'; watchBtn.innerText='Watch replay';
+      watchBtn.onclick = () => { if(lastRun) startReplay(lastRun); };
+      const exportBtn = document.createElement('button'); exportBtn.id='exportReplayBtn'; exportBtn.className='btn single-only'; exportBtn.style.marginTop='12px'; exportBtn.style.marginLeft='8px'; exportBtn.innerText='Export replay';
+      exportBtn.onclick = () => { if(lastRun) exportReplay(lastRun); };
+      const nameRow = document.createElement('div'); nameRow.className='seed-row single-only';
+      const nameLabel = document.createElement('label'); nameLabel.htmlFor='playerName'; nameLabel.innerText='Name';
+      const nameInput = document.createElement('input'); nameInput.id='playerName'; nameInput.type='text'; nameInput.maxLength=24; nameInput.placeholder='Player';
+      nameInput.value = playerName(); nameInput.onchange = renameLastRun;
+      nameRow.appendChild(nameLabel); nameRow.appendChild(nameInput);
+      const dailyResult = document.createElement('div'); dailyResult.id='dailyResult'; dailyResult.className='daily-result'; dailyResult.style.display='none';
+      const boardBtnG = document.createElement('button'); boardBtnG.id='gameOverLeaderboardBtn'; boardBtnG.className='btn'; boardBtnG.style.marginTop='12px'; boardBtnG.style.marginLeft='8px'; boardBtnG.innerText='Leaderboard';
+      boardBtnG.onclick = showLeaderboard;
+      const trophiesBtnG = document.createElement('button'); trophiesBtnG.id='gameOverTrophiesBtn'; trophiesBtnG.className='btn'; trophiesBtnG.style.marginTop='12px'; trophiesBtnG.style.marginLeft='8px'; trophiesBtnG.innerText='Trophies';
+      trophiesBtnG.onclick = showTrophies;
+      cardg.appendChild(gh); cardg.appendChild(gs); cardg.appendChild(gseed); cardg.appendChild(gmode); cardg.appendChild(nameRow); cardg.appendChild(dailyResult); cardg.appendChild(restartBtn); cardg.appendChild(watchBtn); cardg.appendChild(exportBtn); cardg.appendChild(boardBtnG); cardg.appendChild(trophiesBtnG); og.appendChild(cardg);
       document.body.appendChild(og);
     }
   }
@@ -1043,6 +3527,8 @@
   window.mousePressed = mousePressed;
   window.touchStarted = touchStarted;
   window.keyPressed = keyPressed;
+  window.keyReleased = keyReleased;
+  window.mouseMoved = mouseMoved;
 
   // create landing overlay immediately if HTML missing
   if(typeof window !== 'undefined'){
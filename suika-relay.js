@@ -0,0 +1,294 @@
+/* suika-relay.js — relay server for online versus (Node only, no dependencies)
+   - node suika-relay.js [port] (default 8787, or $PORT), then open http://localhost:8787/ in two browsers
+   - Serves the game's own files over http and speaks WebSocket on /relay (text frames, ping / pong, close)
+   - Lobbies: the host gets a four-letter code and one guest joins with it; the host's seed and rules are used
+   - Ready check: a match starts once both players are ready, and a rematch needs both ready again
+   - Gameplay messages are passed to the other player untouched; the server only judges the end:
+     the first board reported over loses (a Supernova wins), and leaving mid-match forfeits
+   - require('./suika-relay.js').createRelayServer() gives an unstarted http.Server for tests
+*/
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+const RELAY_PATH = '/relay';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_FRAME_BYTES = 1 << 20;  // a resync's input log is the biggest message, well under this
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // no I / O, they read as 1 / 0
+const CODE_LENGTH = 4;
+const NAME_MAX = 24;
+// sent on to the other player as they are
+const RELAYED = new Set(['in', 'tick', 'attack', 'resync', 'log']);
+
+const STATIC_ROOT = __dirname;
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json', '.png': 'image/png', '.jpg': 'image/jpeg', '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg', '.ogg': 'audio/ogg', '.wav': 'audio/wav'
+};
+
+// -------------------------
+// WebSocket connection
+// -------------------------
+function encodeFrame(opcode, payload){
+  const len = payload.length;
+  let header;
+  if(len < 126) header = Buffer.from([0x80 | opcode, len]);
+  else if(len < 65536){ header = Buffer.alloc(4); header[1] = 126; header.writeUInt16BE(len, 2); }
+  else { header = Buffer.alloc(10); header[1] = 127; header.writeBigUInt64BE(BigInt(len), 2); }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// wraps an upgraded socket; onMessage gets each parsed JSON message, onClose runs once
+function createConnection(socket, onMessage, onClose){
+  let buffer = Buffer.alloc(0);
+  let fragments = null;
+  let closed = false;
+
+  function send(msg){
+    if(closed) return;
+    try{ socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(msg)))); }catch(e){}
+  }
+
+  function close(code = 1000){
+    if(closed) return;
+    const body = Buffer.alloc(2); body.writeUInt16BE(code, 0);
+    try{ socket.write(encodeFrame(0x8, body)); }catch(e){}
+    try{ socket.end(); }catch(e){}
+    finish();
+  }
+
+  function finish(){
+    if(closed) return;
+    closed = true;
+    onClose();
+  }
+
+  function deliver(text){
+    let msg;
+    try{ msg = JSON.parse(text); }catch(e){ return; }
+    if(msg && typeof msg === 'object' && typeof msg.t === 'string') onMessage(msg);
+  }
+
+  // one frame at a time; returns false while the buffer still lacks a whole frame
+  function readFrame(){
+    if(buffer.length < 2) return false;
+    const fin = (buffer[0] & 0x80) !== 0, opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let len = buffer[1] & 0x7f, offset = 2;
+    if(len === 126){ if(buffer.length < 4) return false; len = buffer.readUInt16BE(2); offset = 4; }
+    else if(len === 127){
+      if(buffer.length < 10) return false;
+      const big = buffer.readBigUInt64BE(2);
+      len = big > BigInt(MAX_FRAME_BYTES) ? Infinity : Number(big); offset = 10;
+    }
+    // clients must mask what they send (RFC 6455 5.1)
+    if(!masked){ close(1002); return false; }
+    if(len > MAX_FRAME_BYTES){ close(1009); return false; }
+    if(buffer.length < offset + 4 + len) return false;
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + len));
+    for(let i=0;i<payload.length;i++) payload[i] ^= mask[i & 3];
+    buffer = buffer.subarray(offset + 4 + len);
+
+    if(opcode === 0x8){ close(); return false; }
+    if(opcode === 0x9){ try{ socket.write(encodeFrame(0xA, payload)); }catch(e){} return true; }
+    if(opcode === 0xA) return true;
+    if(opcode === 0x1 || opcode === 0x0){
+      if(opcode === 0x1) fragments = [];
+      if(!fragments){ close(1002); return false; }
+      fragments.push(payload);
+      if(Buffer.concat(fragments).length > MAX_FRAME_BYTES){ close(1009); return false; }
+      if(fin){ const text = Buffer.concat(fragments).toString('utf8'); fragments = null; deliver(text); }
+      return true;
+    }
+    // binary frames mean nothing here
+    close(1003);
+    return false;
+  }
+
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while(!closed && readFrame());
+  });
+  socket.on('close', finish);
+  socket.on('error', finish);
+
+  return { send, close, get closed(){ return closed; } };
+}
+
+// -------------------------
+// Lobbies
+// -------------------------
+function createLobbies(){
+  const rooms = new Map(); // code -> { code, seed, rules, players: [{ conn, name, ready }], playing, round }
+
+  function newCode(){
+    for(;;){
+      let code = '';
+      for(let i=0;i<CODE_LENGTH;i++) code += CODE_LETTERS[crypto.randomInt(CODE_LETTERS.length)];
+      if(!rooms.has(code)) return code;
+    }
+  }
+
+  function cleanName(name, fallback){
+    const s = String(name == null ? '' : name).replace(/\s+/g, ' ').trim().slice(0, NAME_MAX);
+    return s || fallback;
+  }
+
+  function broadcastLobby(room){
+    room.players.forEach((p, i) => p.conn.send({
+      t: 'lobby', code: room.code, you: i, playing: room.playing, round: room.round,
+      players: room.players.map(q => ({ name: q.name, ready: q.ready }))
+    }));
+  }
+
+  function maybeStart(room){
+    if(room.playing || room.players.length < 2 || !room.players.every(p => p.ready)) return;
+    room.playing = true;
+    room.round++;
+    // a rematch gets a fresh fruit sequence from the same seed
+    const seed = room.round > 1 ? `${room.seed}-${room.round}` : room.seed;
+    const names = room.players.map(p => p.name);
+    room.players.forEach((p, i) => p.conn.send({ t: 'start', seed, rules: room.rules, round: room.round, you: i, names }));
+  }
+
+  function finishMatch(room, winner, reason){
+    room.playing = false;
+    for(const p of room.players) p.ready = false;
+    room.players.forEach((p, i) => p.conn.send({ t: 'result', winner, loser: 1 - winner, reason, round: room.round, you: i }));
+    broadcastLobby(room);
+  }
+
+  // a connection's part in the lobbies: returns its message and close handlers
+  function attach(conn){
+    let room = null;
+    const seat = () => room.players.findIndex(p => p.conn === conn);
+
+    function leave(){
+      if(!room) return;
+      const r = room, wasPlaying = r.playing, leaver = seat();
+      r.players.splice(leaver, 1);
+      room = null;
+      if(r.players.length === 0){ rooms.delete(r.code); return; }
+      // whoever is left is the host now
+      for(const p of r.players) p.ready = false;
+      // the result is in the match's seats, as the players were numbered at its start
+      if(wasPlaying){
+        r.playing = false;
+        r.players[0].conn.send({ t: 'result', winner: 1 - leaver, loser: leaver, reason: 'left', round: r.round, you: 1 - leaver });
+      }
+      broadcastLobby(r);
+    }
+
+    function join(r, name){
+      if(r.players.length >= 2){ conn.send({ t: 'error', message: 'That lobby is full' }); return; }
+      leave();
+      room = r;
+      r.players.push({ conn, name: cleanName(name, 'Player ' + (r.players.length + 1)), ready: false });
+      broadcastLobby(r);
+    }
+
+    function onMessage(msg){
+      if(msg.t === 'host'){
+        const code = newCode();
+        const r = { code, seed: String(msg.seed == null ? code : msg.seed).slice(0, 64),
+          rules: msg.rules && typeof msg.rules === 'object' ? msg.rules : {}, players: [], playing: false, round: 0 };
+        rooms.set(code, r);
+        join(r, msg.name);
+      } else if(msg.t === 'join'){
+        const r = rooms.get(String(msg.code || '').trim().toUpperCase());
+        if(!r) conn.send({ t: 'error', message: 'No lobby with that code' });
+        else if(r === room) broadcastLobby(r);
+        else if(r.playing) conn.send({ t: 'error', message: 'That lobby is in a match' });
+        else join(r, msg.name);
+      } else if(msg.t === 'leave'){
+        leave();
+        conn.send({ t: 'left' });
+      } else if(!room){
+        conn.send({ t: 'error', message: 'Not in a lobby' });
+      } else if(msg.t === 'ready'){
+        if(room.playing) return;
+        room.players[seat()].ready = msg.ready !== false;
+        broadcastLobby(room);
+        maybeStart(room);
+      } else if(msg.t === 'over'){
+        // only the first report of a round counts; a Supernova is a win for the board it happened on
+        if(!room.playing || msg.round !== room.round) return;
+        const i = seat();
+        finishMatch(room, msg.reason === 'supernova' ? i : 1 - i, String(msg.reason || 'overflow'));
+      } else if(RELAYED.has(msg.t)){
+        if(!room.playing) return;
+        const other = room.players[1 - seat()];
+        if(other) other.conn.send(msg);
+      }
+    }
+
+    return { onMessage, onClose: leave };
+  }
+
+  return { attach, rooms };
+}
+
+// -------------------------
+// Static files
+// -------------------------
+function serveStatic(req, res){
+  let pathname;
+  try{ pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname); }
+  catch(e){ res.writeHead(400); res.end(); return; }
+  if(pathname.endsWith('/')) pathname += 'index.html';
+  const file = path.join(STATIC_ROOT, path.normalize(pathname));
+  // nothing outside the game folder, and no dotfiles (.git)
+  if(!file.startsWith(STATIC_ROOT + path.sep) || /[\\/]\./.test(file.slice(STATIC_ROOT.length))){
+    res.writeHead(404); res.end('Not found'); return;
+  }
+  fs.readFile(file, (err, data) => {
+    if(err){ res.writeHead(404); res.end('Not found'); return; }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+// -------------------------
+// Server
+// -------------------------
+function createRelayServer(){
+  const lobbies = createLobbies();
+  const server = http.createServer((req, res) => {
+    if(req.method !== 'GET' && req.method !== 'HEAD'){ res.writeHead(405); res.end(); return; }
+    serveStatic(req, res);
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    const url = new URL(req.url, 'http://localhost');
+    if(url.pathname !== RELAY_PATH || !key || String(req.headers.upgrade).toLowerCase() !== 'websocket'){
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+    let handlers = null;
+    const conn = createConnection(socket, msg => handlers.onMessage(msg), () => handlers.onClose());
+    handlers = lobbies.attach(conn);
+  });
+
+  server.lobbies = lobbies;
+  return server;
+}
+
+if(require.main === module){
+  const port = Number(process.argv[2] || process.env.PORT) || DEFAULT_PORT;
+  createRelayServer().listen(port, () => {
+    console.log(`Suika relay on http://localhost:${port}/ (WebSocket ${RELAY_PATH})`);
+  });
+}
+
+module.exports = { createRelayServer, DEFAULT_PORT, RELAY_PATH };
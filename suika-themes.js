@@ -0,0 +1,86 @@
+/* suika-themes.js — fruit sets / theme packs
+   - A theme lists its levels in merge order: name, image, radius factor, points, colour (+ optional emoji)
+   - Packs come from themes/manifest.json; the emoji theme below is built in and needs no files,
+     so the game still renders when the manifest or the PNGs can't be loaded
+   - Radius factor is relative to the level-1 fruit; points are awarded for merging INTO that level
+   - Works as a plain <script> (window.SuikaThemes) or under Node
+*/
+
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SuikaThemes = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  const MANIFEST_URL = 'themes/manifest.json';
+  const MIN_LEVELS = 3;
+  const MAX_LEVELS = 16;
+
+  // vector/emoji theme: same sizes and points as the classic fruit, no images required
+  const EMOJI_THEME = {
+    id: 'emoji',
+    name: 'Emoji (built-in)',
+    levels: [
+      { name: 'Cherry',     emoji: '🍒', radius: 1,     points: 1,  color: '#f0417a' },
+      { name: 'Strawberry', emoji: '🍓', radius: 1.43,  points: 3,  color: '#e8322e' },
+      { name: 'Grape',      emoji: '🍇', radius: 2.045, points: 6,  color: '#a23fd0' },
+      { name: 'Orange',     emoji: '🍊', radius: 2.924, points: 10, color: '#f28a12' },
+      { name: 'Tomato',     emoji: '🍅', radius: 4.182, points: 15, color: '#ef5a24' },
+      { name: 'Apple',      emoji: '🍎', radius: 5.980, points: 21, color: '#e5391f' },
+      { name: 'Pear',       emoji: '🍐', radius: 8.551, points: 28, color: '#c2c21c' },
+      { name: 'Peach',      emoji: '🍑', radius: 12.23, points: 36, color: '#f4998f' },
+      { name: 'Watermelon', emoji: '🍉', radius: 17.49, points: 45, color: '#35b52a' }
+    ]
+  };
+
+  const COLOR_RE = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+  // validates one theme from a manifest; throws with the offending theme/level in the message
+  function normalizeTheme(raw){
+    if(!raw || typeof raw !== 'object') throw new Error('Theme must be an object');
+    const id = String(raw.id || '').trim();
+    if(!/^[\w-]{1,32}$/.test(id)) throw new Error('Theme id "' + id + '" must be 1-32 letters, digits, - or _');
+    if(!Array.isArray(raw.levels) || raw.levels.length < MIN_LEVELS || raw.levels.length > MAX_LEVELS){
+      throw new Error(`Theme "${id}" needs ${MIN_LEVELS}-${MAX_LEVELS} levels`);
+    }
+    let prevRadius = 0;
+    const levels = raw.levels.map((lv, i) => {
+      const where = `Theme "${id}" level ${i + 1}`;
+      if(!lv || typeof lv !== 'object') throw new Error(where + ' must be an object');
+      const radius = Number(lv.radius);
+      if(!Number.isFinite(radius) || radius <= 0) throw new Error(where + ': radius must be a positive number');
+      if(radius < prevRadius) throw new Error(where + ': radius must not shrink between levels');
+      prevRadius = radius;
+      const points = Number(lv.points);
+      if(!Number.isInteger(points) || points < 0) throw new Error(where + ': points must be a whole number >= 0');
+      const color = lv.color && COLOR_RE.test(lv.color) ? lv.color : '#9aa5b1';
+      return {
+        name: lv.name ? String(lv.name) : 'Lvl ' + (i + 1),
+        image: lv.image ? String(lv.image) : null,
+        emoji: lv.emoji ? String(lv.emoji) : null,
+        radius, points, color
+      };
+    });
+    return { id, name: raw.name ? String(raw.name) : id, levels };
+  }
+
+  // manifest -> { themes, defaultId, errors }; broken themes are skipped, not fatal
+  function parseManifest(manifest){
+    const themes = [normalizeTheme(EMOJI_THEME)];
+    const errors = [];
+    const list = manifest && Array.isArray(manifest.themes) ? manifest.themes : [];
+    for(const raw of list){
+      try{
+        const theme = normalizeTheme(raw);
+        const i = themes.findIndex(t => t.id === theme.id);
+        if(i >= 0) themes[i] = theme; else themes.push(theme);
+      } catch(e){ errors.push(e.message); }
+    }
+    const wanted = manifest && manifest.default;
+    const defaultId = themes.some(t => t.id === wanted) ? wanted : (themes.find(t => t.id !== EMOJI_THEME.id) || themes[0]).id;
+    return { themes, defaultId, errors };
+  }
+
+  // just the parts the rules care about, in the shape SuikaGame.createGame expects
+  function gameplayLevels(theme){ return theme.levels.map(lv => ({ radius: lv.radius, points: lv.points })); }
+
+  return { MANIFEST_URL, EMOJI_THEME, normalizeTheme, parseManifest, gameplayLevels };
+});
@@ -0,0 +1,99 @@
+/* suika-versus.js — local two-player versus: two SuikaGame boards side by side, each with its own Matter engine
+   - Both boards start from the same seed, rules and fruit set; they drift apart as soon as the players do
+   - A board's 'attack' (a big merge or a long chain, see SuikaGame.garbageForMerge) becomes garbage on the other board
+   - step() runs both boards in lockstep, one tick each; the first board to end loses (a Fruit Supernova wins instead)
+   - Each board still records its own replay, garbage included, so either one plays back alone
+   - Works as a plain <script> (window.SuikaVersus) or under Node (require('./suika-versus.js') + suika-core.js)
+*/
+
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./suika-core.js'));
+  else root.SuikaVersus = factory(root.SuikaGame);
+})(typeof self !== 'undefined' ? self : this, function(SuikaGame){
+  const PLAYERS = 2;
+
+  // laid over whatever rules the players picked: overflow must end a board, there is no clock to race,
+  // and nothing that takes a drop back or needs a fruit picked with the mouse
+  const VERSUS_RULES = Object.freeze({
+    mode: 'endless', overflowEnds: true, undoCharges: 0,
+    powerShake: false, powerUpgrade: false, powerPop: false, powerMagnet: false
+  });
+
+  function versusRules(rules){
+    return SuikaGame.normalizeRules(Object.assign(SuikaGame.diffRules(SuikaGame.normalizeRules(rules)), VERSUS_RULES));
+  }
+
+  // options: { seed, theme, levels, rules } as for SuikaGame.createGame
+  function createMatch(options = {}){
+    const rules = versusRules(options.rules);
+    const games = [];
+    for(let i=0;i<PLAYERS;i++) games.push(SuikaGame.createGame({ seed: options.seed, theme: options.theme, levels: options.levels, rules }));
+    let tick = 0;
+    let result = null; // { winner, loser, reason, player, tick, scores }
+
+    // -------------------------
+    // Events
+    // -------------------------
+    const listeners = {};
+    function on(type, fn){ (listeners[type] = listeners[type] || []).push(fn); return () => off(type, fn); }
+    function off(type, fn){ if(listeners[type]) listeners[type] = listeners[type].filter(f => f !== fn); }
+    function emit(type, payload){
+      const list = listeners[type]; if(!list) return;
+      for(const fn of list.slice()){ try{ fn(payload); } catch(e){ console.error(e); } }
+    }
+
+    // -------------------------
+    // Garbage & the end
+    // -------------------------
+    function onAttack(from, e){
+      const to = (from + 1) % PLAYERS;
+      if(games[to].addGarbage(e.count)) emit('attack', Object.assign({}, e, { from, to }));
+    }
+
+    // player = the board that ended; it loses, unless it ended in a Supernova
+    function onBoardOver(player, e){
+      if(result) return;
+      const winner = e.reason === 'supernova' ? player : (player + 1) % PLAYERS;
+      result = { winner, loser: (winner + 1) % PLAYERS, reason: e.reason, player, tick, scores: games.map(g => g.score) };
+      emit('end', Object.assign({}, result));
+    }
+
+    const offs = [];
+    games.forEach((g, i) => {
+      offs.push(g.on('attack', e => onAttack(i, e)));
+      offs.push(g.on('gameover', e => onBoardOver(i, e)));
+    });
+
+    // -------------------------
+    // Stepping
+    // -------------------------
+    function step(ticks = 1){
+      for(let t=0;t<ticks && !result;t++){
+        tick++;
+        for(const g of games){ if(!result) g.step(1); }
+      }
+    }
+
+    function getState(){
+      return {
+        tick, over: !!result, result: result ? Object.assign({}, result) : null,
+        players: games.map(g => {
+          const st = g.getState();
+          return { score: st.score, queue: st.queue, garbage: st.garbage.pending, stats: st.stats, over: st.over };
+        })
+      };
+    }
+
+    // detaches the match from its boards (the boards themselves are left as they are)
+    function stop(){ for(const o of offs) o(); offs.length = 0; }
+
+    return {
+      games, rules, on, off, step, getState, stop,
+      get tick(){ return tick; },
+      get over(){ return !!result; },
+      get result(){ return result ? Object.assign({}, result) : null; }
+    };
+  }
+
+  return { PLAYERS, VERSUS_RULES, versusRules, createMatch };
+});
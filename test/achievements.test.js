@@ -0,0 +1,74 @@
+/* achievements.test.js — the achievement registry and the per-game tracker
+   - npm test (node --test)
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SuikaGame = require('../suika-core.js');
+const SuikaAchievements = require('../suika-achievements.js');
+
+// five small fruit: the last two levels come within a few dozen drops
+const SHORT = [0.05, 0.07, 0.09, 0.11, 0.13].map((radius, i) => ({ radius, points: i + 1 }));
+
+function playAlong(saved, rules, drops = 80){
+  const game = SuikaGame.createGame({ seed: 'ach', levels: SHORT, rules });
+  const unlocks = [], changes = [];
+  const tracker = SuikaAchievements.createTracker(game, saved, {
+    onUnlock: (a, info) => unlocks.push(`${a.id}:${info.isNew ? 'new' : 'again'}`),
+    onChange: s => changes.push(s)
+  });
+  for(let i=0;i<drops && !game.over;i++){ game.drop(120 + (i * 73) % 460); game.step(30); }
+  tracker.stop();
+  return { game, tracker, unlocks, changes };
+}
+
+test('every achievement has a unique id and a positive goal', () => {
+  const ids = SuikaAchievements.REGISTRY.map(a => a.id);
+  assert.strictEqual(new Set(ids).size, ids.length);
+  for(const a of SuikaAchievements.REGISTRY) assert.ok(a.goal > 0 && typeof a.value === 'function', a.id);
+});
+
+test('a run unlocks what it reaches and keeps the best progress of the rest', () => {
+  const saved = {};
+  const { game, tracker, unlocks, changes } = playAlong(saved);
+  assert.deepStrictEqual(unlocks, ['almost:new', 'final:new', 'doubleFinal:new']);
+  for(const id of ['almost', 'final', 'doubleFinal']) assert.ok(saved[id].unlockedAt, id);
+  assert.strictEqual(saved.salad.unlockedAt, null);
+  assert.strictEqual(saved.salad.best, tracker.ctx.merges);
+  assert.strictEqual(saved.highRoller.best, game.score);
+  assert.ok(changes.length > 0 && changes.every(s => s === saved));
+});
+
+test('a later run celebrates the every-run goals again, but not the one-time ones', () => {
+  const saved = {};
+  playAlong(saved);
+  const firstUnlock = saved.final.unlockedAt;
+  const { unlocks } = playAlong(saved);
+  assert.deepStrictEqual(unlocks, ['almost:again', 'final:again']);
+  assert.strictEqual(saved.final.unlockedAt, firstUnlock);
+});
+
+test('a tracker on a resumed game counts goals met before the resume without announcing them', () => {
+  const { game } = playAlong({});
+  const saved = {}, unlocks = [];
+  SuikaAchievements.createTracker(SuikaGame.restoreGame(game.serialize()), saved, { onUnlock: a => unlocks.push(a.id) });
+  assert.deepStrictEqual(unlocks, []);
+  assert.ok(saved.almost.unlockedAt);
+});
+
+test('Marathon does not count when overflowing can\'t end the run', () => {
+  const saved = {};
+  playAlong(saved, { overflowEnds: false }, 10);
+  assert.strictEqual(saved.marathon, undefined);
+  playAlong(saved, {}, 10);
+  assert.ok(saved.marathon.best > 0);
+});
+
+test('describe() gives a trophy room row per achievement', () => {
+  const rows = SuikaAchievements.describe({ salad: { best: 25, unlockedAt: null }, final: { best: 1, unlockedAt: 5 } });
+  assert.strictEqual(rows.length, SuikaAchievements.REGISTRY.length);
+  const row = id => rows.find(r => r.achievement.id === id);
+  assert.deepStrictEqual([row('salad').unlocked, row('salad').fraction], [false, 0.25]);
+  assert.deepStrictEqual([row('final').unlocked, row('final').unlockedAt, row('final').fraction], [true, 5, 1]);
+  assert.deepStrictEqual([row('chain5').best, row('chain5').fraction], [0, 0]);
+});
@@ -0,0 +1,53 @@
+/* bag.test.js — the 'bag' randomizer: shuffled bags that keep the spawn odds and cap droughts
+   - npm test (node --test)
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SuikaGame = require('../suika-core.js');
+
+const BAG_SIZE = 12;
+
+// the levels of the first `count` drops, after the opening fruit (always the smallest, not from a bag)
+function dealt(rules, count, levels){
+  const game = SuikaGame.createGame({ seed: 'bag', rules: Object.assign({ randomizer: 'bag' }, rules), levels });
+  const out = [];
+  game.on('drop', e => out.push(e.level));
+  for(let i=0;i<=count;i++){
+    assert.ok(game.drop(120 + (i * 73) % 460), 'drop ' + i);
+    game.step(30);
+  }
+  return out.slice(1);
+}
+
+function countLevels(levels){
+  const counts = {};
+  for(const l of levels) counts[l] = (counts[l] || 0) + 1;
+  return counts;
+}
+
+test('every bag holds the levels in proportion to their odds, each at least once', () => {
+  // default odds 0.44 / 0.30 / 0.18 / 0.08 of 12: 5.28, 3.6, 2.16, 0.96 -> 5, 4, 2, 1
+  const levels = dealt({}, BAG_SIZE * 3);
+  for(let i=0;i<3;i++) assert.deepStrictEqual(countLevels(levels.slice(i * BAG_SIZE, (i + 1) * BAG_SIZE)), { 1: 5, 2: 4, 3: 2, 4: 1 });
+});
+
+test('a level with no odds is never dealt', () => {
+  const levels = dealt({ spawnWeights: [1, 0, 1] }, BAG_SIZE * 2);
+  assert.deepStrictEqual(countLevels(levels), { 1: 12, 3: 12 });
+});
+
+test('no level waits longer than two bags', () => {
+  const game = SuikaGame.createGame({ seed: 'drought', rules: { randomizer: 'bag' } });
+  for(let i=0;i<60 && !game.over;i++){ game.drop(120 + (i * 73) % 460); game.step(30); }
+  assert.ok(game.getState().stats.longestDrought <= 2 * BAG_SIZE - 2);
+});
+
+test('a theme too short for every level with odds still deals fruit', () => {
+  // three fruit: only levels 1-2 spawn, and both have odds 0; the weighted randomizer falls back to the top one too
+  const short = [{ radius: 0.05, points: 1 }, { radius: 0.08, points: 2 }, { radius: 0.11, points: 3 }];
+  assert.deepStrictEqual(dealt({ spawnWeights: [0, 0, 1] }, 4, short), [2, 2, 2, 2]);
+  const weighted = SuikaGame.createGame({ seed: 'bag', levels: short, rules: { spawnWeights: [0, 0, 1] } });
+  weighted.drop(300);
+  assert.strictEqual(weighted.nextPick, 2);
+});
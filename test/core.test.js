@@ -0,0 +1,96 @@
+/* core.test.js — the core under Node: same seed and inputs give the same run, replays and snapshots reproduce it
+   - npm test (node --test)
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SuikaGame = require('../suika-core.js');
+
+// a fixed drop pattern: one fruit every half second, swept across the bowl
+function dropAll(game, drops, from = 0){
+  for(let i=from;i<from + drops && !game.over;i++){
+    game.drop(120 + (i * 73) % 460);
+    game.step(30);
+  }
+  return game;
+}
+
+function play(seed, drops, rules){
+  const game = dropAll(SuikaGame.createGame({ seed, rules }), drops);
+  game.step(300);
+  return game;
+}
+
+test('the same seed and drops give the same board', () => {
+  const a = play('det', 60), b = play('det', 60);
+  assert.strictEqual(a.tick, b.tick);
+  assert.strictEqual(a.score, b.score);
+  assert.strictEqual(a.stateHash(), b.stateHash());
+  assert.ok(a.score > 0);
+});
+
+test('another seed deals other fruit', () => {
+  assert.notStrictEqual(play('det', 60).stateHash(), play('other', 60).stateHash());
+});
+
+test('createRng is a pure function of its seed', () => {
+  const a = SuikaGame.createRng('rng'), b = SuikaGame.createRng('rng');
+  for(let i=0;i<100;i++) assert.strictEqual(a(), b());
+  assert.strictEqual(a.getState(), b.getState());
+});
+
+test('a replay reproduces the run it was recorded from', () => {
+  const game = play('replay', 80, { mode: 'drops', modeDrops: 40 });
+  assert.ok(game.over);
+  const recorded = JSON.parse(JSON.stringify(game.getReplay()));
+  const player = SuikaGame.createReplayPlayer(recorded);
+  while(!player.done) player.step(60);
+  assert.strictEqual(player.game.score, recorded.score);
+  assert.strictEqual(player.game.tick, game.tick);
+  assert.strictEqual(player.game.stateHash(), game.stateHash());
+});
+
+test('an endless replay runs to its end tick with the recorded score', () => {
+  const game = play('endless', 40);
+  const player = SuikaGame.createReplayPlayer(JSON.stringify(game.getReplay()));
+  while(!player.done) player.step(60);
+  assert.strictEqual(player.game.tick, game.tick);
+  assert.strictEqual(player.game.score, game.score);
+  assert.strictEqual(player.game.stateHash(), game.stateHash());
+});
+
+test('parseReplay rejects what is not a replay', () => {
+  assert.throws(() => SuikaGame.parseReplay('{'), /not valid JSON/);
+  assert.throws(() => SuikaGame.parseReplay({ v: 2 }), /Not a Suika replay/);
+  assert.throws(() => SuikaGame.parseReplay({ v: 2, a: [[5, 'd', 100], [3, 'd', 100]] }), /out of order/);
+});
+
+test('a restored snapshot plays on exactly like the board it was taken from', () => {
+  const game = play('snap', 30);
+  const restored = SuikaGame.restoreGame(JSON.parse(JSON.stringify(game.serialize())));
+  assert.strictEqual(restored.stateHash(), game.stateHash());
+  dropAll(game, 20, 30);
+  dropAll(restored, 20, 30);
+  game.step(300);
+  restored.step(300);
+  assert.strictEqual(restored.tick, game.tick);
+  assert.strictEqual(restored.score, game.score);
+  assert.strictEqual(restored.stateHash(), game.stateHash());
+  assert.strictEqual(restored.resumedAt, null);
+  // and its replay still reproduces the whole run
+  const player = SuikaGame.createReplayPlayer(restored.getReplay());
+  while(!player.done) player.step(60);
+  assert.strictEqual(player.game.stateHash(), restored.stateHash());
+});
+
+test('a snapshot its inputs don\'t lead back to is loaded from its bodies and marked resumed', () => {
+  const game = play('snap', 30);
+  const snap = JSON.parse(JSON.stringify(game.serialize()));
+  snap.bodies[0].x += 1;
+  const restored = SuikaGame.restoreGame(snap);
+  assert.strictEqual(restored.resumedAt, snap.tick);
+  assert.strictEqual(restored.getReplay().resumed, snap.tick);
+  assert.strictEqual(SuikaGame.parseReplay(restored.getReplay()).resumed, snap.tick);
+  // and stays marked through another save
+  assert.strictEqual(SuikaGame.restoreGame(restored.serialize()).resumedAt, snap.tick);
+});
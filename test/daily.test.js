@@ -0,0 +1,86 @@
+/* daily.test.js — the Daily challenge: days and seeds, the objective tracker, history, streaks and the share text
+   - npm test (node --test)
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SuikaGame = require('../suika-core.js');
+const SuikaDaily = require('../suika-daily.js');
+
+const objective = id => SuikaDaily.OBJECTIVES.find(o => o.id === id);
+
+test('a day has one seed and one objective, and the objective rotates daily', () => {
+  assert.strictEqual(SuikaDaily.dayKey(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+  assert.strictEqual(SuikaDaily.seedFor('2026-01-05'), 'daily-2026-01-05');
+  assert.strictEqual(SuikaDaily.dayForSeed('daily-2026-01-05'), '2026-01-05');
+  assert.strictEqual(SuikaDaily.dayForSeed('demo'), null);
+  assert.strictEqual(SuikaDaily.previousDay('2026-03-01'), '2026-02-28');
+  const n = SuikaDaily.OBJECTIVES.length;
+  const ids = [];
+  for(let d=1;d<=n;d++) ids.push(SuikaDaily.objectiveFor(`2026-01-${String(d).padStart(2, '0')}`).id);
+  assert.strictEqual(new Set(ids).size, n);
+  assert.strictEqual(SuikaDaily.objectiveFor(`2026-01-${String(n + 1).padStart(2, '0')}`).id, ids[0]);
+});
+
+test('the tracker reports a missed objective, and an undo of the drop that missed it opens it again', () => {
+  const game = SuikaGame.createGame({ seed: 'daily-undo', rules: { undoCharges: 1 } });
+  const changes = [];
+  const tracker = SuikaDaily.createTracker(game, objective('score400in25'), { onChange: s => changes.push(s) });
+  for(let i=0;i<25;i++){ game.drop(120 + (i * 73) % 460); game.step(40); }
+  assert.ok(game.score < 400);
+  assert.strictEqual(tracker.status, 'failed');
+  assert.ok(game.undo());
+  assert.strictEqual(tracker.status, 'open');
+  assert.strictEqual(tracker.ctx.drops, 24);
+  assert.deepStrictEqual(changes, ['failed', 'open']);
+  game.drop(300);
+  assert.strictEqual(tracker.status, 'failed');
+  tracker.stop();
+});
+
+test('a met objective stays met, undo or not', () => {
+  const game = SuikaGame.createGame({ seed: 'daily-met', rules: { undoCharges: 1 } });
+  const tracker = SuikaDaily.createTracker(game, Object.assign({}, objective('chain4'), { goal: 1 }));
+  for(let i=0;i<40 && tracker.status !== 'met';i++){ game.drop(120 + (i * 73) % 460); game.step(40); }
+  assert.strictEqual(tracker.status, 'met');
+  game.drop(300);
+  game.undo();
+  assert.strictEqual(tracker.status, 'met');
+  assert.strictEqual(tracker.progress, 1);
+});
+
+test('a time limit missed stays missed after an undo: time keeps running', () => {
+  const game = SuikaGame.createGame({ seed: 'daily-time', rules: { undoCharges: 1 } });
+  const tracker = SuikaDaily.createTracker(game, objective('score500in2'));
+  game.drop(300);
+  game.step(2 * 60 * 60);
+  assert.strictEqual(tracker.status, 'failed');
+  assert.ok(game.undo());
+  assert.strictEqual(tracker.status, 'failed');
+});
+
+test('history keeps each day\'s best run and counts the streak', () => {
+  const history = {};
+  SuikaDaily.recordResult(history, '2026-01-01', { met: true, score: 300, drops: 20, ticks: 3000, highestLevel: 6 });
+  SuikaDaily.recordResult(history, '2026-01-02', { met: false, score: 900, drops: 50, ticks: 6000, highestLevel: 7 });
+  const rec = SuikaDaily.recordResult(history, '2026-01-02', { met: true, score: 500, drops: 30, ticks: 4000, highestLevel: 7 });
+  assert.deepStrictEqual([rec.attempts, rec.met, rec.score], [2, true, 500]);
+  SuikaDaily.recordResult(history, '2026-01-02', { met: true, score: 400, drops: 30, ticks: 4000, highestLevel: 7 });
+  assert.strictEqual(history['2026-01-02'].score, 500);
+  SuikaDaily.recordResult(history, '2026-01-04', { met: true, score: 100, drops: 9, ticks: 900, highestLevel: 5 });
+  // today still open doesn't break the streak; a day missed does
+  assert.deepStrictEqual(SuikaDaily.streak(history, '2026-01-03'), { current: 2, best: 2 });
+  assert.deepStrictEqual(SuikaDaily.streak(history, '2026-01-05'), { current: 1, best: 2 });
+});
+
+test('the share text shows the objective, the fruit reached and the streak', () => {
+  const day = '2026-01-02';
+  const rec = { met: true, score: 500, drops: 30, ticks: 65 * 60, highestLevel: 2 };
+  const names = { levelName: n => 'Fruit ' + n, levelEmoji: n => ['', '🍒', '🍓', '🍇'][n], maxLevel: 3 };
+  const lines = SuikaDaily.shareText(day, rec, names, { current: 3, best: 3 }).split('\n');
+  assert.strictEqual(lines[0], 'Suika Daily 2026-01-02');
+  assert.strictEqual(lines[1], SuikaDaily.objectiveText(SuikaDaily.objectiveFor(day), names.levelName) + ' ✅');
+  assert.strictEqual(lines[2], '🍒🍓⬛');
+  assert.strictEqual(lines[3], 'Score 500 · 30 drops · 1:05');
+  assert.strictEqual(lines[4], '🔥 3-day streak');
+});
@@ -0,0 +1,69 @@
+/* leaderboard.test.js — the IndexedDB leaderboard: runs per mode, sorting, renaming, deleting and pruning
+   - npm test (node --test); fake-indexeddb stands in for the browser's IndexedDB
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// the leaderboard is a browser script: give it the globals a page would have, with an old high score to migrate
+require('fake-indexeddb/auto');
+global.self = global;
+global.localStorage = { getItem: key => (key === 'suika_physics_high' ? '1234' : null) };
+const SuikaLeaderboard = require('../suika-leaderboard.js');
+
+const run = (fields) => Object.assign({ name: 'Player', date: 1, score: 0, ticks: 600, drops: 10, highestLevel: 4, longestChain: 1 }, fields);
+
+test('the old high score comes in once as a Classic run', async () => {
+  const runs = await SuikaLeaderboard.listRuns();
+  assert.strictEqual(runs.length, 1);
+  assert.deepStrictEqual([runs[0].name, runs[0].score, runs[0].preset, runs[0].legacy], ['Earlier best', 1234, 'classic', true]);
+  await SuikaLeaderboard.deleteRun(runs[0].id);
+  await SuikaLeaderboard.open();
+  assert.strictEqual((await SuikaLeaderboard.listRuns()).length, 0);
+});
+
+test('runs sort by any field, nulls last, and filter by mode or mode group', async () => {
+  await SuikaLeaderboard.addRun(run({ name: 'Cid', score: 300 }));
+  await SuikaLeaderboard.addRun(run({ name: 'Ann', score: 500, drops: null }));
+  await SuikaLeaderboard.addRun(run({ name: 'Bob', score: 400, mode: 'drops:50' }));
+  await SuikaLeaderboard.addRun(run({ name: 'Dee', score: 100, mode: 'drops:100' }));
+
+  const names = runs => runs.map(r => r.name);
+  assert.deepStrictEqual(names(await SuikaLeaderboard.listRuns()), ['Ann', 'Bob', 'Cid', 'Dee']);
+  assert.deepStrictEqual(names(await SuikaLeaderboard.listRuns({ sort: 'name', dir: 'asc' })), ['Ann', 'Bob', 'Cid', 'Dee']);
+  assert.strictEqual(names(await SuikaLeaderboard.listRuns({ sort: 'drops', dir: 'asc' })).pop(), 'Ann');
+  assert.strictEqual(names(await SuikaLeaderboard.listRuns({ sort: 'drops', dir: 'desc' })).pop(), 'Ann');
+  assert.deepStrictEqual(names(await SuikaLeaderboard.listRuns({ mode: 'endless' })), ['Ann', 'Cid']);
+  assert.deepStrictEqual(names(await SuikaLeaderboard.listRuns({ mode: 'drops:50' })), ['Bob']);
+  assert.deepStrictEqual(names(await SuikaLeaderboard.listRuns({ mode: 'drops' })), ['Bob', 'Dee']);
+});
+
+test('a run can be renamed and deleted', async () => {
+  const id = await SuikaLeaderboard.addRun(run({ name: 'Player', score: 50, mode: 'rename' }));
+  const renamed = await SuikaLeaderboard.updateRun(id, { name: 'Eve' });
+  assert.deepStrictEqual([renamed.id, renamed.name, renamed.score], [id, 'Eve', 50]);
+  assert.strictEqual((await SuikaLeaderboard.listRuns({ mode: 'rename' }))[0].name, 'Eve');
+  assert.strictEqual(await SuikaLeaderboard.updateRun(id + 1000, { name: 'Nobody' }), null);
+  await SuikaLeaderboard.deleteRun(id);
+  assert.deepStrictEqual(await SuikaLeaderboard.listRuns({ mode: 'rename' }), []);
+});
+
+test('each board keeps its MAX_RUNS best: by score, and by time on a Target board with misses last', async () => {
+  const max = SuikaLeaderboard.MAX_RUNS;
+  for(let i=0;i<max + 5;i++) await SuikaLeaderboard.addRun(run({ score: i, mode: 'timeAttack:7200' }));
+  // quick times with low scores and slow ones with high scores, plus 30 runs that missed the target
+  for(let i=0;i<max + 20;i++) await SuikaLeaderboard.addRun(run({ score: 10000 - i, mode: 'target:9', targetTicks: i < 30 ? null : 5000 - i }));
+
+  const timed = await SuikaLeaderboard.listRuns({ mode: 'timeAttack:7200' });
+  assert.strictEqual(timed.length, max);
+  assert.strictEqual(Math.min(...timed.map(r => r.score)), 5);
+
+  const target = await SuikaLeaderboard.listRuns({ mode: 'target:9' });
+  assert.strictEqual(target.length, max);
+  // every run that reached the target is kept, and the best-scoring misses fill the rest
+  assert.strictEqual(target.filter(r => r.targetTicks != null).length, max - 10);
+  assert.strictEqual(Math.min(...target.filter(r => r.targetTicks == null).map(r => r.score)), 10000 - 9);
+
+  // the other boards are left alone
+  assert.strictEqual((await SuikaLeaderboard.listRuns({ mode: 'endless' })).length, 2);
+});
@@ -0,0 +1,183 @@
+/* relay.test.js — suika-relay.js and SuikaNet clients on localhost
+   - npm test (node --test); needs ws for the clients' WebSocket
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { createRelayServer, RELAY_PATH } = require('../suika-relay.js');
+const SuikaNet = require('../suika-net.js');
+
+// a relay on a free port, closed with everything still connected to it
+async function startRelay(t){
+  const server = createRelayServer();
+  const sockets = new Set();
+  server.on('upgrade', (req, socket) => sockets.add(socket));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `ws://127.0.0.1:${server.address().port}${RELAY_PATH}`;
+  const clients = [];
+  t.after(() => {
+    for(const c of clients) c.close();
+    for(const s of sockets) s.destroy();
+    return new Promise(resolve => server.close(resolve));
+  });
+  const connect = () => { const c = SuikaNet.createClient({ url, WebSocket }); clients.push(c); return c; };
+  return { server, connect, url };
+}
+
+// the first `type` event from `client` that `pred` accepts
+function next(client, type, pred = () => true){
+  return new Promise(resolve => {
+    const off = client.on(type, e => { if(pred(e)){ off(); resolve(e); } });
+  });
+}
+
+// host and guest in one lobby, both ready, the match started on both
+async function startMatch(connect){
+  const host = connect(), guest = connect();
+  const hosted = next(host, 'lobby', l => l && l.players.length === 1);
+  host.host({ name: 'Ann', seed: 'relay-test' });
+  const { code } = await hosted;
+  const joined = [next(host, 'lobby', l => l && l.players.length === 2), next(guest, 'lobby', l => l && l.players.length === 2)];
+  guest.join(code.toLowerCase(), 'Bob');
+  await Promise.all(joined);
+  const started = [next(host, 'start'), next(guest, 'start')];
+  host.setReady();
+  guest.setReady();
+  const [hostMatch, guestMatch] = await Promise.all(started);
+  return { code, host, guest, hostMatch, guestMatch };
+}
+
+test('a lobby starts a match once both are ready, and relays inputs and heartbeats', async t => {
+  const { server, connect } = await startRelay(t);
+  const { code, host, guest, hostMatch, guestMatch } = await startMatch(connect);
+  assert.strictEqual(server.lobbies.rooms.get(code).playing, true);
+  assert.deepStrictEqual(hostMatch.names, ['Ann', 'Bob']);
+  assert.deepStrictEqual(guestMatch.names, ['Bob', 'Ann']);
+  assert.strictEqual(host.lobby.you, 0);
+  assert.strictEqual(guest.lobby.you, 1);
+
+  // the host's drop and heartbeats run the guest's ghost of them
+  const ghost = guestMatch.games[1];
+  hostMatch.games[0].drop(300);
+  hostMatch.step(SuikaNet.SYNC_TICKS * 10);
+  while(ghost.tick < hostMatch.tick) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.strictEqual(ghost.tick, hostMatch.tick);
+  assert.strictEqual(ghost.getState().stats.drops, 1);
+});
+
+test('a ghost that went out of sync is rebuilt from the input log and stays in sync', async t => {
+  const { connect } = await startRelay(t);
+  const { hostMatch, guestMatch } = await startMatch(connect);
+  const host = hostMatch.games[0];
+  const events = [];
+  guestMatch.on('desync', e => events.push('desync@' + e.tick));
+  guestMatch.on('resync', e => events.push('resync@' + e.tick));
+  const caughtUp = async () => { while(guestMatch.games[1].tick < hostMatch.tick) await new Promise(resolve => setTimeout(resolve, 5)); };
+
+  for(let i=0;i<50 && !host.over;i++){
+    // garbage the host never got: only the guest's copy of their bowl has it
+    if(i === 20) guestMatch.games[1].addGarbage(3);
+    host.drop(120 + (i * 73) % 460);
+    hostMatch.step(30);
+    await caughtUp();
+  }
+  hostMatch.step(SuikaNet.HASH_TICKS * 3);
+  await caughtUp();
+  assert.strictEqual(events.length, 2, events.join(' '));
+  assert.match(events[0], /^desync/);
+  assert.match(events[1], /^resync/);
+  assert.strictEqual(guestMatch.desyncs, 1);
+  assert.strictEqual(guestMatch.games[1].stateHash(), host.stateHash());
+});
+
+test('the first board reported over loses, and a rematch needs both ready again', async t => {
+  const { server, connect } = await startRelay(t);
+  const { code, host, guest, hostMatch, guestMatch } = await startMatch(connect);
+  const end = next(guestMatch, 'end');
+  const back = next(host, 'lobby', l => l && !l.playing);
+  // stopping an unfinished match reports it over as a quit
+  hostMatch.stop();
+  const e = await end;
+  assert.deepStrictEqual([e.winner, e.loser, e.reason], [0, 1, 'quit']);
+  await back;
+  assert.strictEqual(hostMatch.result, null);
+  assert.strictEqual(server.lobbies.rooms.get(code).playing, false);
+
+  const rematch = [next(host, 'start'), next(guest, 'start')];
+  host.setReady();
+  await next(guest, 'lobby', l => l && l.players[0].ready);
+  assert.strictEqual(server.lobbies.rooms.get(code).playing, false);
+  guest.setReady();
+  const [again] = await Promise.all(rematch);
+  assert.strictEqual(again.round, 2);
+});
+
+test('the host leaving mid-match is a win for the guest', async t => {
+  const { server, connect } = await startRelay(t);
+  const { code, host, guest, guestMatch } = await startMatch(connect);
+  const end = next(guestMatch, 'end');
+  const alone = next(guest, 'lobby', l => l && l.players.length === 1);
+  host.leave();
+  const e = await end;
+  assert.deepStrictEqual([e.winner, e.loser, e.reason], [0, 1, 'left']);
+  // the guest is the host of the lobby now
+  const lobby = await alone;
+  assert.deepStrictEqual([lobby.you, lobby.playing, lobby.players[0].name], [0, false, 'Bob']);
+  assert.strictEqual(server.lobbies.rooms.get(code).players.length, 1);
+});
+
+test('the guest leaving mid-match is a win for the host', async t => {
+  const { server, connect } = await startRelay(t);
+  const { code, host, guest, hostMatch } = await startMatch(connect);
+  const end = next(hostMatch, 'end');
+  const left = next(guest, 'lobby', l => l === null);
+  guest.leave();
+  const e = await end;
+  assert.deepStrictEqual([e.winner, e.loser, e.reason], [0, 1, 'left']);
+  await left;
+  assert.strictEqual(server.lobbies.rooms.get(code).players.length, 1);
+});
+
+test('a guest that can\'t play the host\'s rules says so and leaves', async t => {
+  const { connect, url } = await startRelay(t);
+  // a host that skips the client's own rule check
+  const raw = new WebSocket(url);
+  t.after(() => raw.terminate());
+  const inbox = [];
+  const received = pred => new Promise(resolve => {
+    const look = () => { const m = inbox.find(pred); if(m) resolve(m); else setTimeout(look, 5); };
+    look();
+  });
+  raw.on('message', data => inbox.push(JSON.parse(data)));
+  await new Promise(resolve => raw.on('open', resolve));
+  raw.send(JSON.stringify({ t: 'host', name: 'Ann', rules: { gravity: 'sideways' } }));
+  const { code } = await received(m => m.t === 'lobby');
+
+  const guest = connect();
+  const error = next(guest, 'error');
+  const left = next(guest, 'lobby', l => l === null);
+  guest.join(code, 'Bob');
+  await next(guest, 'lobby', l => l && l.players.length === 2);
+  guest.setReady();
+  raw.send(JSON.stringify({ t: 'ready' }));
+  assert.match((await error).message, /rules/);
+  await left;
+  const result = await received(m => m.t === 'result');
+  assert.deepStrictEqual([result.winner, result.reason], [0, 'left']);
+  assert.strictEqual(guest.match, null);
+});
+
+test('a lobby is gone once everyone has left', async t => {
+  const { server, connect } = await startRelay(t);
+  const { code, host, guest } = await startMatch(connect);
+  const gone = [next(host, 'lobby', l => l === null), next(guest, 'lobby', l => l === null)];
+  guest.leave();
+  host.leave();
+  await Promise.all(gone);
+  assert.strictEqual(server.lobbies.rooms.has(code), false);
+
+  const refused = next(guest, 'error');
+  guest.join(code, 'Bob');
+  assert.match((await refused).message, /No lobby/);
+});
@@ -0,0 +1,67 @@
+/* versus.test.js — local versus: two boards in lockstep, garbage between them and the first board over losing
+   - npm test (node --test)
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SuikaGame = require('../suika-core.js');
+const SuikaVersus = require('../suika-versus.js');
+
+test('versus rules lay the versus overrides over the picked rules', () => {
+  const rules = SuikaVersus.versusRules({ fruitScale: 1.35, undoCharges: 3, mode: 'timeAttack', powerShake: true });
+  assert.strictEqual(rules.fruitScale, 1.35);
+  for(const key of Object.keys(SuikaVersus.VERSUS_RULES)) assert.strictEqual(rules[key], SuikaVersus.VERSUS_RULES[key], key);
+  assert.throws(() => SuikaVersus.versusRules({ gravity: 'sideways' }));
+});
+
+test('both boards start alike and step together', () => {
+  const match = SuikaVersus.createMatch({ seed: 'vs-same' });
+  assert.strictEqual(match.games.length, SuikaVersus.PLAYERS);
+  assert.deepStrictEqual(match.games[0].queue, match.games[1].queue);
+  match.step(90);
+  assert.deepStrictEqual(match.games.map(g => g.tick), [90, 90]);
+  assert.strictEqual(match.games[0].stateHash(), match.games[1].stateHash());
+});
+
+test('an attack on one board queues garbage on the other, and that board\'s replay still plays back alone', () => {
+  const match = SuikaVersus.createMatch({ seed: 'vs' });
+  let attack = null, sent = 0;
+  match.on('attack', e => {
+    sent += e.count;
+    if(!attack) attack = Object.assign({ pending: match.games[1].getState().garbage.pending }, e);
+  });
+  for(let i=0;i<100 && !attack;i++){ match.games[0].drop(120 + (i * 73) % 460); match.step(30); }
+  assert.ok(attack, 'no attack in 100 drops');
+  assert.deepStrictEqual([attack.from, attack.to], [0, 1]);
+  assert.strictEqual(attack.pending, attack.count);
+
+  match.step(600);
+  const target = match.games[1];
+  assert.strictEqual(target.getState().stats.garbageReceived, sent);
+  assert.ok(target.getReplay().a.some(e => e[1] === 'j'));
+  const player = SuikaGame.createReplayPlayer(target.getReplay());
+  while(!player.done) player.step(60);
+  assert.strictEqual(player.game.stateHash(), target.stateHash());
+});
+
+test('the first board to overflow loses and the match stops there', () => {
+  const match = SuikaVersus.createMatch({ seed: 'vs2' });
+  const ends = [];
+  match.on('end', e => ends.push(e));
+  for(let i=0;i<400 && !match.over;i++){ match.games[0].drop(300); match.step(20); }
+  assert.strictEqual(ends.length, 1);
+  assert.deepStrictEqual([ends[0].winner, ends[0].loser, ends[0].player, ends[0].reason], [1, 0, 0, 'overflow']);
+  assert.deepStrictEqual(ends[0].scores, match.games.map(g => g.score));
+  const tick = match.tick;
+  match.step(60);
+  assert.strictEqual(match.tick, tick);
+  assert.deepStrictEqual(match.result, ends[0]);
+});
+
+test('a stopped match no longer passes garbage on', () => {
+  const match = SuikaVersus.createMatch({ seed: 'vs' });
+  match.stop();
+  for(let i=0;i<30;i++){ match.games[0].drop(120 + (i * 73) % 460); match.games[0].step(30); }
+  assert.ok(match.games[0].getState().stats.garbageSent > 0);
+  assert.strictEqual(match.games[1].getState().garbage.pending, 0);
+});